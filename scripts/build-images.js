@@ -0,0 +1,77 @@
+// Generates AVIF/WebP variants of every raster image in public/ plus a
+// manifest (intrinsic size, widths, blur placeholder) read by <ResponsiveImage>.
+// Runs before `dev` and `build`; images whose bytes haven't changed are skipped.
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import sharp from "sharp";
+import { publicDir, root } from "./lib-content.js";
+
+const WIDTHS = [480, 960, 1600];
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 75 },
+};
+const PLACEHOLDER_WIDTH = 16;
+
+const outDir = join(publicDir, "img");
+const manifestPath = join(root, "src/generated/images.json");
+
+function readManifest() {
+  try {
+    return JSON.parse(readFileSync(manifestPath, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+// Widths below the original, plus the original (capped at the largest step).
+function widthsFor(width) {
+  const max = WIDTHS[WIDTHS.length - 1];
+  return [...new Set([...WIDTHS.filter((w) => w < width), Math.min(width, max)])];
+}
+
+function outputs(stem, widths) {
+  return widths.flatMap((w) => Object.keys(FORMATS).map((ext) => join(outDir, `${stem}-${w}.${ext}`)));
+}
+
+async function build(file, input) {
+  const stem = file.replace(/\.[^.]+$/, "");
+  const { width, height } = await sharp(input).metadata();
+  const widths = widthsFor(width);
+  for (const w of widths) {
+    for (const [ext, options] of Object.entries(FORMATS)) {
+      await sharp(input).resize({ width: w }).toFormat(ext, options).toFile(join(outDir, `${stem}-${w}.${ext}`));
+    }
+  }
+  const tiny = await sharp(input).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 40 }).toBuffer();
+  return {
+    width,
+    height,
+    base: `img/${stem}`,
+    widths,
+    placeholder: `data:image/webp;base64,${tiny.toString("base64")}`,
+  };
+}
+
+const previous = readManifest();
+const manifest = {};
+let built = 0;
+mkdirSync(outDir, { recursive: true });
+mkdirSync(join(root, "src/generated"), { recursive: true });
+
+for (const file of readdirSync(publicDir).filter((f) => /\.(png|jpe?g)$/i.test(f)).sort()) {
+  const input = readFileSync(join(publicDir, file));
+  const hash = createHash("sha1").update(input).digest("hex");
+  const old = previous[file];
+  const stem = file.replace(/\.[^.]+$/, "");
+  if (old?.hash === hash && outputs(stem, old.widths).every((p) => existsSync(p))) {
+    manifest[file] = old;
+    continue;
+  }
+  manifest[file] = { ...(await build(file, input)), hash };
+  built += 1;
+}
+
+writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+console.log(`Images OK (${Object.keys(manifest).length} sources, ${built} rebuilt).`);
@@ -0,0 +1,33 @@
+// Encodes a QR code for every video and paper URL in the content (all
+// locales) into src/generated/qr-codes.json, read by <QrCode> and the fact
+// sheet PDF. Each code is a list of rows, "1" for a dark module.
+// Runs before `dev` and `build`.
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import QRCode from "qrcode";
+import { factSheetLinks } from "../src/lib/factSheet.js";
+import { contentDir, localeDirs, readJsonDir, root } from "./lib-content.js";
+
+const outPath = join(root, "src/generated/qr-codes.json");
+
+function rows(url) {
+  const { modules } = QRCode.create(url, { errorCorrectionLevel: "M" });
+  return Array.from({ length: modules.size }, (_, r) =>
+    Array.from({ length: modules.size }, (_, c) => (modules.get(r, c) ? "1" : "0")).join("")
+  );
+}
+
+const errors = [];
+const codes = {};
+for (const locale of localeDirs()) {
+  const { "media.json": media } = readJsonDir(join(contentDir, locale), errors, locale);
+  for (const { url } of media ? factSheetLinks(media) : []) codes[url] ||= rows(url);
+}
+if (errors.length) {
+  console.error(errors.join("\n"));
+  process.exit(1);
+}
+
+mkdirSync(join(root, "src/generated"), { recursive: true });
+writeFileSync(outPath, JSON.stringify(codes, null, 2) + "\n");
+console.log(`QR codes OK (${Object.keys(codes).length} URLs).`);
@@ -0,0 +1,44 @@
+// Writes dist/sw.js: src/service-worker.js with the list of every built file
+// (pages, bundles, images, PDFs) so kiosk mode keeps working offline.
+// Runs last in `build`, after scripts/prerender.js has written the pages.
+import { createHash } from "node:crypto";
+import { readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { join, relative, sep } from "node:path";
+import { normalizeOrigin, resolveDeployBase } from "../src/lib/deploy.js";
+import { precacheManifest } from "../src/lib/precache.js";
+import { root } from "./lib-content.js";
+
+const distDir = join(root, "dist");
+const PLACEHOLDER = "self.__PRECACHE_MANIFEST";
+
+function walk(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name);
+    return statSync(path).isDirectory() ? walk(path) : [path];
+  });
+}
+
+const files = walk(distDir)
+  .map((path) => relative(distDir, path).split(sep).join("/"))
+  .filter((f) => f !== "sw.js")
+  .sort();
+
+// Any changed byte means a new cache, so visitors never mix two deploys.
+const hash = createHash("sha256");
+for (const f of files) hash.update(f).update(readFileSync(join(distDir, f)));
+
+const manifest = precacheManifest(files, {
+  base: resolveDeployBase({ basePath: process.env.BASE_PATH, prNumber: process.env.PR_NUMBER }),
+  assetOrigin: normalizeOrigin(process.env.ASSET_ORIGIN),
+  version: hash.digest("hex").slice(0, 12),
+});
+
+const source = readFileSync(join(root, "src/service-worker.js"), "utf8");
+if (!source.includes(PLACEHOLDER)) throw new Error(`src/service-worker.js no longer contains ${PLACEHOLDER}`);
+writeFileSync(join(distDir, "sw.js"), source.replace(PLACEHOLDER, () => JSON.stringify(manifest)));
+
+const bytes = manifest.urls.reduce((sum, url) => {
+  const f = url.slice(manifest.base.length);
+  return sum + statSync(join(distDir, f.endsWith("/") || f === "" ? `${f}index.html` : f)).size;
+}, 0);
+console.log(`Service worker precaches ${manifest.urls.length} files (${(bytes / 1e6).toFixed(1)} MB), version ${manifest.version}.`);
@@ -0,0 +1,32 @@
+// Flags untranslated strings. Missing keys fail the build; strings that are
+// identical to English are only warned about (brand names legitimately are).
+import { join } from "node:path";
+import { diffContent, diffMessages } from "../src/i18n/check.js";
+import { DEFAULT_LOCALE, LOCALES } from "../src/i18n/locales.js";
+import { contentDir, messagesDir, readJsonDir } from "./lib-content.js";
+
+const errors = [];
+const warnings = [];
+const messages = readJsonDir(messagesDir, errors, "messages");
+const en = messages[`${DEFAULT_LOCALE}.json`];
+const enContent = readJsonDir(join(contentDir, DEFAULT_LOCALE), errors, DEFAULT_LOCALE);
+
+for (const locale of Object.keys(LOCALES).filter((l) => l !== DEFAULT_LOCALE)) {
+  const m = messages[`${locale}.json`];
+  if (!m) {
+    errors.push(`messages/${locale}.json: file missing`);
+    continue;
+  }
+  const msg = diffMessages(en, m);
+  const content = diffContent(enContent, readJsonDir(join(contentDir, locale), errors, locale));
+  errors.push(...[...msg.missing, ...content.missing].map((k) => `${locale}: missing ${k}`));
+  warnings.push(...[...msg.untranslated, ...content.untranslated].map((k) => `${locale}: same as English: ${k}`));
+}
+
+for (const w of warnings) console.warn(`  ! ${w}`);
+if (errors.length > 0) {
+  console.error(`i18n check failed with ${errors.length} untranslated key(s):`);
+  for (const e of errors) console.error(`  - ${e}`);
+  process.exit(1);
+}
+console.log(`i18n OK (${Object.keys(LOCALES).length} locales, ${warnings.length} warning(s)).`);
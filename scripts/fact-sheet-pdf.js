@@ -0,0 +1,151 @@
+// Lays out the fact sheet (src/lib/factSheet.js) as a two-page US Letter PDF.
+// Called by scripts/prerender.js for every locale; the text, QR codes and
+// URLs come from the SSR bundle so the PDF matches the /fact-sheet page.
+import { createWriteStream } from "node:fs";
+import { join } from "node:path";
+import PDFDocument from "pdfkit";
+import sharp from "sharp";
+import { publicDir } from "./lib-content.js";
+
+const PAGE = { width: 612, height: 792, margin: 40 };
+const WIDTH = PAGE.width - 2 * PAGE.margin;
+const GUTTER = 20;
+const COLORS = { brand: "#5b57a3", accent: "#c2410c", ink: "#1f1d3d", muted: "#4b4870", line: "#d4d3e6" };
+
+// The built-in Helvetica only covers WinAnsi: fold CO₂, HNO₃, ™ and friends
+// into plain characters rather than dropping them.
+function pdfText(text) {
+  return text.normalize("NFKC").replace(/[→⇒]/g, "->").replace(/≈/g, "~").replace(/[^\n\x20-\x7e\xa0-\xff–—‘’“”•…€]/g, "");
+}
+
+async function loadImage(file) {
+  const input = join(publicDir, file);
+  const { width, height } = await sharp(input).metadata();
+  const data = await sharp(input)
+    .resize({ width: 900, withoutEnlargement: true })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 80 })
+    .toBuffer();
+  return { data, ratio: height / width };
+}
+
+function heading(doc, text, y) {
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(COLORS.muted);
+  doc.text(pdfText(text).toUpperCase(), PAGE.margin, y, { width: WIDTH, characterSpacing: 1 });
+  return doc.y + 8;
+}
+
+// Title + body in a column; returns the y below it.
+function block(doc, { title, body }, x, y, width, size = 9) {
+  doc.font("Helvetica-Bold").fontSize(size + 1.5).fillColor(COLORS.ink).text(pdfText(title), x, y, { width });
+  doc.font("Helvetica").fontSize(size).fillColor(COLORS.muted).text(pdfText(body), x, doc.y + 3, { width, lineGap: 1.5 });
+  return doc.y;
+}
+
+function figure(doc, image, x, y, width) {
+  const height = width * image.ratio;
+  doc.image(image.data, x, y, { width, height });
+  doc.rect(x, y, width, height).lineWidth(0.5).strokeColor(COLORS.line).stroke();
+  return y + height;
+}
+
+// `size` includes the 4-module quiet zone scanners need around the code.
+function qr(doc, rows, x, y, size) {
+  const unit = size / (rows.length + 8);
+  rows.forEach((row, r) => {
+    for (let c = 0; c < row.length; c++) {
+      if (row[c] === "1") doc.rect(x + (c + 4) * unit, y + (r + 4) * unit, unit, unit);
+    }
+  });
+  doc.fill("#000000");
+}
+
+function grid(doc, items, y, columns, draw) {
+  const width = (WIDTH - GUTTER * (columns - 1)) / columns;
+  let bottom = y;
+  for (let i = 0; i < items.length; i += columns) {
+    const rowTop = bottom;
+    items.slice(i, i + columns).forEach((item, j) => {
+      bottom = Math.max(bottom, draw(item, PAGE.margin + j * (width + GUTTER), rowTop, width, i + j));
+    });
+    bottom += 12;
+  }
+  return bottom;
+}
+
+/**
+ * @param {{ locale: string, sheet: object, t: (key: string, vars?: object) => string,
+ *           qrCodes: Record<string, string[]>, url: string }} data
+ * @param {string} file  output path
+ */
+export async function writeFactSheetPdf({ locale, sheet, t, qrCodes, url }, file) {
+  const images = {};
+  for (const item of [sheet.problem, ...sheet.solutions]) images[item.image] = await loadImage(item.image);
+
+  const doc = new PDFDocument({
+    size: "LETTER",
+    margin: PAGE.margin,
+    lang: locale,
+    info: { Title: pdfText(t("title")), Author: sheet.contact.name, Subject: pdfText(sheet.intro) },
+  });
+  const done = new Promise((resolve, reject) => {
+    const out = createWriteStream(file);
+    out.on("finish", resolve);
+    out.on("error", reject);
+    doc.pipe(out);
+  });
+
+  /* ---------- Page 1: problem and solution ---------- */
+  doc.rect(0, 0, PAGE.width, 8).fill(COLORS.brand);
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(COLORS.accent);
+  doc.text(`N2BIO · ${pdfText(t("kicker")).toUpperCase()}`, PAGE.margin, PAGE.margin, { characterSpacing: 1 });
+  doc.font("Helvetica-Bold").fontSize(26).fillColor(COLORS.brand).text(pdfText(sheet.title), PAGE.margin, doc.y + 4);
+  doc.font("Helvetica").fontSize(11).fillColor(COLORS.muted).text(pdfText(sheet.intro), { width: WIDTH, lineGap: 2 });
+  let y = doc.y + 14;
+  doc.moveTo(PAGE.margin, y).lineTo(PAGE.width - PAGE.margin, y).lineWidth(0.5).strokeColor(COLORS.line).stroke();
+
+  y = heading(doc, t("problem"), y + 14);
+  const half = (WIDTH - GUTTER) / 2;
+  const imageBottom = figure(doc, images[sheet.problem.image], PAGE.margin, y, half);
+  y = Math.max(imageBottom, block(doc, sheet.problem, PAGE.margin + half + GUTTER, y, half)) + 18;
+
+  y = heading(doc, t("solution"), y);
+  grid(doc, sheet.solutions, y, 2, (item, x, top, width) => {
+    const below = figure(doc, images[item.image], x, top, width);
+    return block(doc, item, x, below + 8, width);
+  });
+
+  /* ---------- Page 2: process, benefits, links, contact ---------- */
+  doc.addPage();
+  doc.rect(0, 0, PAGE.width, 8).fill(COLORS.brand);
+  y = heading(doc, t("how"), PAGE.margin);
+  y = grid(doc, sheet.steps, y, 2, (s, x, top, width, i) =>
+    block(doc, { title: `${i + 1}. ${s.label}`, body: s.text }, x, top, width)
+  );
+
+  y = heading(doc, t("benefits"), y + 6);
+  y = grid(doc, sheet.benefits, y, 2, (b, x, top, width) => block(doc, b, x, top, width));
+
+  y = heading(doc, t("links"), y + 6);
+  y = grid(doc, sheet.links, y, 3, (l, x, top, width) => {
+    const size = 72;
+    if (qrCodes[l.url]) qr(doc, qrCodes[l.url], x, top, size);
+    const textX = x + size + 8;
+    doc.font("Helvetica-Bold").fontSize(8.5).fillColor(COLORS.ink).text(pdfText(l.title), textX, top, { width: width - size - 8 });
+    doc.font("Helvetica").fontSize(7).fillColor(COLORS.muted).text(l.url, textX, doc.y + 2, { width: width - size - 8 });
+    return Math.max(top + size, doc.y);
+  });
+
+  y = Math.max(y + 6, PAGE.height - PAGE.margin - 70);
+  doc.moveTo(PAGE.margin, y).lineTo(PAGE.width - PAGE.margin, y).lineWidth(0.5).strokeColor(COLORS.line).stroke();
+  y = heading(doc, t("contact"), y + 10);
+  const { contact } = sheet;
+  doc.font("Helvetica-Bold").fontSize(9).fillColor(COLORS.ink).text(contact.name, PAGE.margin, y, { width: half });
+  doc.font("Helvetica").fillColor(COLORS.muted).text(contact.address, { width: half });
+  doc.text(`${contact.phone} · ${contact.email}`, PAGE.margin + half + GUTTER, y, { width: half });
+  doc.text(contact.url, { width: half, link: contact.url });
+  doc.text(pdfText(t("more", { url })), { width: half, link: url });
+
+  doc.end();
+  await done;
+}
@@ -0,0 +1,26 @@
+// Shared file loading for the content / i18n check scripts.
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+export const contentDir = join(root, "src/content");
+export const messagesDir = join(root, "src/i18n/messages");
+export const publicDir = join(root, "public");
+
+// Parse every *.json in `dir` into { name: data }; parse failures go to `errors`.
+export function readJsonDir(dir, errors, label = dir) {
+  const files = {};
+  for (const name of readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    try {
+      files[name] = JSON.parse(readFileSync(join(dir, name), "utf8"));
+    } catch (err) {
+      errors.push(`${label}/${name}: invalid JSON (${err.message})`);
+    }
+  }
+  return files;
+}
+
+export function localeDirs() {
+  return readdirSync(contentDir).filter((d) => statSync(join(contentDir, d)).isDirectory());
+}
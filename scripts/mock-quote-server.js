@@ -0,0 +1,48 @@
+// Local stand-in for the quote endpoint, for trying the form end to end:
+//   npm run mock:quote
+//   QUOTE_ENDPOINT=http://localhost:8787/quotes npm run dev
+// MOCK_FAIL=503 answers every request with that status (to exercise the
+// offline/retry queue); stop the server to simulate a network failure.
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT || 8787);
+const FAIL = Number(process.env.MOCK_FAIL || 0);
+const received = [];
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (req.url !== "/quotes") return send(res, 404, { error: "not found" });
+  if (req.method === "GET") return send(res, 200, received);
+  if (req.method !== "POST") return send(res, 405, { error: "method not allowed" });
+
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    if (FAIL) return send(res, FAIL, { error: "MOCK_FAIL" });
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+    } catch {
+      return send(res, 400, { error: "invalid JSON" });
+    }
+    if (!payload.id || !payload.email) return send(res, 422, { error: "id and email are required" });
+    const duplicate = received.some((p) => p.id === payload.id);
+    if (!duplicate) received.push(payload);
+    console.log(`${duplicate ? "duplicate" : "received"} ${payload.id} ${payload.request} ${payload.product} <${payload.email}>`);
+    send(res, 201, { id: payload.id });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock quote endpoint on http://localhost:${PORT}/quotes${FAIL ? ` (failing with ${FAIL})` : ""}`);
+});
@@ -0,0 +1,45 @@
+// Writes a static HTML file per page into dist/ (after `vite build` and the
+// SSR build of src/entry-server.js), plus sitemap.xml, robots.txt and the
+// fact sheet PDFs.
+// The client hydrates these pages instead of rendering from scratch.
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { writeFactSheetPdf } from "./fact-sheet-pdf.js";
+import { root } from "./lib-content.js";
+
+const distDir = join(root, "dist");
+const ssrDir = join(root, "dist-ssr");
+
+const { factSheetPdfs, pagePaths, render, robotsTxt, sitemapXml } = await import(pathToFileURL(join(ssrDir, "entry-server.js")).href);
+const template = readFileSync(join(distDir, "index.html"), "utf8");
+
+function fill(pattern, replacement, html) {
+  if (!pattern.test(html)) throw new Error(`dist/index.html no longer matches ${pattern}`);
+  return html.replace(pattern, () => replacement);
+}
+
+const pages = [];
+for (const path of pagePaths()) {
+  const { html, head, page } = render(path);
+  let out = fill(/<html lang="[^"]*">/, `<html lang="${page.lang}">`, template);
+  out = fill(/<title>[^<]*<\/title>/, head, out);
+  out = fill(/<div id="root"><\/div>/, `<div id="root">${html}</div>`, out);
+  const dir = join(distDir, path);
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(join(dir, "index.html"), out);
+  pages.push(page);
+}
+
+writeFileSync(join(distDir, "sitemap.xml"), sitemapXml(pages));
+writeFileSync(join(distDir, "robots.txt"), robotsTxt());
+
+const pdfs = factSheetPdfs();
+for (const { file, ...data } of pdfs) {
+  const out = join(distDir, file);
+  mkdirSync(dirname(out), { recursive: true });
+  await writeFactSheetPdf(data, out);
+}
+
+rmSync(ssrDir, { recursive: true, force: true });
+console.log(`Prerendered ${pages.length} pages and ${pdfs.length} fact sheet PDFs.`);
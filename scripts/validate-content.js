@@ -0,0 +1,35 @@
+// Validates src/content/<locale>/*.json against src/content/schema.js.
+// Runs as `prebuild`; exits non-zero so a bad edit fails the deploy. With
+// --kiosk (`npm run build:kiosk`), featured videos without an offline copy
+// are errors too.
+import { existsSync } from "node:fs";
+import { join } from "node:path";
+import { contentWarnings, kioskErrors, validateContent } from "../src/content/schema.js";
+import { DEFAULT_LOCALE } from "../src/i18n/locales.js";
+import { contentDir, localeDirs, publicDir, readJsonDir } from "./lib-content.js";
+
+const kiosk = process.argv.includes("--kiosk");
+const errors = [];
+const warnings = [];
+let count = 0;
+for (const locale of localeDirs()) {
+  const files = readJsonDir(join(contentDir, locale), errors, locale);
+  count += Object.keys(files).length;
+  const found = validateContent(files, {
+    assetExists: (src) => existsSync(join(publicDir, src)),
+    // Translations may omit whole files (English is shown instead).
+    allowMissing: locale !== DEFAULT_LOCALE,
+  });
+  if (kiosk) found.push(...kioskErrors(files));
+  errors.push(...found.map((e) => `${locale}/${e}`));
+  warnings.push(...contentWarnings(files).map((w) => `${locale}/${w}`));
+}
+
+for (const w of warnings) console.warn(`  ! ${w}`);
+
+if (errors.length > 0) {
+  console.error(`Content check failed with ${errors.length} error(s):`);
+  for (const e of errors) console.error(`  - ${e}`);
+  process.exit(1);
+}
+console.log(`Content OK (${count} files, ${warnings.length} warning(s)).`);
@@ -0,0 +1,108 @@
+import React, { useMemo, useState } from "react";
+import { MANURE_TYPES, acidify, acidificationRows } from "../lib/acidification.js";
+import { downloadText, toCsv } from "../lib/csv.js";
+import { formatNumber, toNumber } from "../lib/format.js";
+import { Field, Select, Stat } from "./CalculatorParts.jsx";
+import { useI18n } from "../i18n/context.js";
+
+/* ---------- Manure acidification + ammonia capture calculator ---------- */
+export default function AcidificationCalculator() {
+  const { t, intl } = useI18n();
+  const num = (v, d) => formatNumber(v, d, intl);
+  const [manureType, setManureType] = useState("layer-manure");
+  const [mass, setMass] = useState("100");
+  const [startPh, setStartPh] = useState(String(MANURE_TYPES["layer-manure"].typicalPh));
+  const [targetPh, setTargetPh] = useState("6.0");
+  const [concentration, setConcentration] = useState("30");
+
+  const r = useMemo(
+    () =>
+      acidify({
+        manureType,
+        massTonnes: toNumber(mass),
+        startPh: toNumber(startPh, NaN),
+        targetPh: toNumber(targetPh, NaN),
+        acidConcentration: toNumber(concentration) / 100,
+      }),
+    [manureType, mass, startPh, targetPh, concentration]
+  );
+
+  const changeType = (key) => {
+    setManureType(key);
+    setStartPh(String(MANURE_TYPES[key].typicalPh));
+  };
+
+  const exportCsv = () => {
+    const percent = num(r.acidConcentration * 100, 0);
+    const rows = acidificationRows(r).map(([key, value, unit]) => [
+      t(`acid.${key}`, { percent }),
+      key === "type" ? t(`acid.types.${value}`) : value,
+      unit,
+    ]);
+    downloadText(`n2bio-acidification-${manureType}.csv`, toCsv(rows, ["quantity", "value", "unit"]));
+  };
+
+  const typeOptions = Object.keys(MANURE_TYPES).map((key) => [key, t(`acid.types.${key}`)]);
+  const invalidTarget = toNumber(targetPh, NaN) > toNumber(startPh, NaN);
+
+  return (
+    <section id="acidification" className="mx-auto max-w-7xl px-6 py-20 border-t border-line-subtle">
+      <h2 className="text-4xl font-semibold">{t("acid.title")}</h2>
+      <p className="mt-4 text-lg text-ink-muted max-w-3xl">{t("acid.intro")}</p>
+
+      <div className="mt-10 grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-10">
+        <form className="space-y-5" onSubmit={(e) => e.preventDefault()}>
+          <Select id="acid-type" label={t("acid.type")} value={manureType} onChange={changeType} options={typeOptions} />
+          <Field id="acid-mass" label={t("acid.mass")} value={mass} onChange={setMass} />
+          <Field id="acid-start" label={t("acid.startPh")} step="0.1" value={startPh} onChange={setStartPh} />
+          <Field
+            id="acid-target"
+            label={t("acid.targetPh")}
+            step="0.1"
+            hint={invalidTarget ? t("acid.targetInvalid") : t("acid.targetHint")}
+            value={targetPh}
+            onChange={setTargetPh}
+          />
+          <Field
+            id="acid-conc"
+            label={t("acid.strength")}
+            step="1"
+            value={concentration}
+            onChange={setConcentration}
+          />
+        </form>
+
+        <div aria-live="polite">
+          <dl className="grid sm:grid-cols-2 xl:grid-cols-3 gap-4">
+            <Stat label={t("acid.hno3")} value={num(r.hno3Kg, 0)} unit="kg" />
+            <Stat
+              label={t("acid.solution", { percent: num(r.acidConcentration * 100, 0) })}
+              value={num(r.acidSolutionKg, 0)}
+              unit="kg"
+            />
+            <Stat label={t("acid.nitrate")} value={num(r.nitrateNKg, 1)} unit="kg N" />
+            <Stat label={t("acid.avoided")} value={num(r.ammoniaAvoidedKg, 1)} unit="kg NH₃" />
+            <Stat label={t("acid.finalN")} value={num(r.finalNKgPerT, 1)} unit="kg N / t" />
+            <Stat label={t("acid.kept")} value={`+${num(r.finalNKg - r.untreatedFinalNKg, 0)}`} unit="kg N" />
+          </dl>
+          <div className="mt-4 flex flex-wrap items-center gap-4">
+            <button
+              type="button"
+              onClick={exportCsv}
+              className="px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+            >
+              {t("acid.download")}
+            </button>
+            <p className="text-xs text-ink-muted">
+              {t("acid.note", {
+                totalN: num(r.manure.totalNKgPerT, 0),
+                tan: num(r.manure.tanKgPerT, 1),
+                loss: num(r.manure.baselineLoss * 100, 0),
+              })}
+            </p>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
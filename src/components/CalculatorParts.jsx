@@ -0,0 +1,52 @@
+import React from "react";
+
+/* ---------- Shared calculator inputs + result tiles ---------- */
+
+export const FIELD =
+  "mt-1 w-full rounded-control border border-line bg-panel px-3 py-2 text-ink placeholder-ink-muted focus:outline-none focus:ring-2 focus:ring-focus";
+
+export function Field({ id, label, hint, value, onChange, step = "any" }) {
+  return (
+    <label htmlFor={id} className="block text-sm">
+      <span className="font-medium">{label}</span>
+      <input
+        id={id}
+        type="number"
+        inputMode="decimal"
+        min="0"
+        step={step}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={FIELD}
+      />
+      {hint && <span className="mt-1 block text-xs text-ink-muted">{hint}</span>}
+    </label>
+  );
+}
+
+export function Stat({ label, value, unit }) {
+  return (
+    <div className="rounded-card border border-line-subtle bg-panel p-4">
+      <dt className="text-xs uppercase tracking-wide text-ink-muted">{label}</dt>
+      <dd className="mt-1 text-2xl font-semibold">
+        {value}
+        {unit && <span className="ml-1 text-sm font-normal text-ink-muted">{unit}</span>}
+      </dd>
+    </div>
+  );
+}
+
+export function Select({ id, label, value, onChange, options }) {
+  return (
+    <label htmlFor={id} className="block text-sm">
+      <span className="font-medium">{label}</span>
+      <select id={id} value={value} onChange={(e) => onChange(e.target.value)} className={FIELD}>
+        {options.map(([v, text]) => (
+          <option key={v} value={v}>
+            {text}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
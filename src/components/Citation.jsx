@@ -0,0 +1,71 @@
+import React, { useId, useState } from "react";
+import { useI18n } from "../i18n/context.js";
+import { citationKey, doiUrl, toAPA, toBibTeX, toRIS } from "../lib/citation.js";
+import { downloadText } from "../lib/csv.js";
+
+const BUTTON =
+  "px-3 py-1.5 rounded-control border border-line bg-panel text-xs font-semibold hover:bg-panel-strong focus:outline-none focus-visible:ring-2 focus-visible:ring-focus";
+
+/* ---------- "Cite" disclosure with BibTeX / RIS / APA export ---------- */
+export default function Citation({ item }) {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const panelId = useId();
+  const apa = toAPA(item);
+
+  const copyApa = async () => {
+    try {
+      await navigator.clipboard.writeText(apa);
+      setCopied(true);
+    } catch {
+      // clipboard blocked; the reference is selectable right above the button
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 text-sm">
+        <button
+          type="button"
+          aria-expanded={open}
+          aria-controls={panelId}
+          onClick={() => setOpen((o) => !o)}
+          className="underline hover:text-accent"
+        >
+          {open ? t("citation.hide") : t("citation.cite")}
+        </button>
+        {item.doi && (
+          <a href={doiUrl(item.doi)} target="_blank" rel="noopener noreferrer" className="underline hover:text-accent">
+            DOI: {item.doi}
+          </a>
+        )}
+      </div>
+      <div id={panelId} hidden={!open} className="mt-3 rounded-control border border-line-subtle bg-surface-raised p-3">
+        <p className="text-sm select-all">{apa}</p>
+        <div className="mt-3 flex flex-wrap gap-2">
+          <button type="button" className={BUTTON} onClick={copyApa}>
+            {copied ? t("citation.copied") : t("citation.copyApa")}
+          </button>
+          <button
+            type="button"
+            className={BUTTON}
+            onClick={() => downloadText(`${citationKey(item)}.bib`, toBibTeX(item), "application/x-bibtex;charset=utf-8")}
+          >
+            {t("citation.bibtex")}
+          </button>
+          <button
+            type="button"
+            className={BUTTON}
+            onClick={() => downloadText(`${citationKey(item)}.ris`, toRIS(item), "application/x-research-info-systems;charset=utf-8")}
+          >
+            {t("citation.ris")}
+          </button>
+        </div>
+        <p role="status" className="sr-only">
+          {copied ? t("citation.copied") : ""}
+        </p>
+      </div>
+    </div>
+  );
+}
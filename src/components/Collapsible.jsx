@@ -0,0 +1,149 @@
+import React, { useCallback, useEffect, useImperativeHandle, useRef, useState } from "react";
+import { track } from "../lib/analytics.js";
+import { subscribe } from "../lib/router.js";
+import useKiosk from "../lib/useKiosk.js";
+
+function prefersReducedMotion() {
+  return window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+}
+
+/**
+ * Section with a show/hide button and an animated body.
+ *
+ * Uncontrolled by default (`defaultOpen`); pass `open` + `onOpenChange` to
+ * control it, or a `ref` for `{ open(), close(), toggle() }`. It also opens
+ * itself when the URL hash points at the section or anything inside it, in
+ * kiosk mode, and always prints expanded.
+ */
+export default function Collapsible({
+  id,
+  title,
+  defaultOpen = false,
+  open: openProp,
+  onOpenChange,
+  openLabel = "Hide",
+  closedLabel = "Show",
+  ref,
+  children,
+}) {
+  const controlled = openProp !== undefined;
+  const [openState, setOpenState] = useState(defaultOpen);
+  const [printing, setPrinting] = useState(false);
+  const [maxH, setMaxH] = useState(0);
+  const sectionRef = useRef(null);
+  const contentRef = useRef(null);
+  const seenHash = useRef(null);
+  const kiosk = useKiosk();
+  const open = controlled ? openProp : openState;
+  const expanded = open || printing;
+
+  const setOpen = useCallback(
+    (next) => {
+      if (!controlled) setOpenState(next);
+      onOpenChange?.(next);
+    },
+    [controlled, onOpenChange]
+  );
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      open: () => setOpen(true),
+      close: () => setOpen(false),
+      toggle: () => setOpen(!open),
+    }),
+    [open, setOpen]
+  );
+
+  // Follow the content's real height: late images, resizes, changing children.
+  useEffect(() => {
+    const el = contentRef.current;
+    if (!expanded) {
+      setMaxH(0);
+      return;
+    }
+    setMaxH(el.scrollHeight);
+    if (typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(() => setMaxH(el.scrollHeight));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [expanded]);
+
+  // Kiosk visitors shouldn't have to find the button; an idle reset remounts
+  // the page, so this reopens anything closed by hand.
+  useEffect(() => {
+    if (kiosk) setOpen(true);
+  }, [kiosk, setOpen]);
+
+  // Open for "#<id>" or a hash naming something inside, on load and on every
+  // later navigation (typed hash changes, in-app links, back/forward). Only a
+  // new hash counts, so query-only updates don't reopen a section closed by hand.
+  useEffect(() => {
+    const check = () => {
+      if (window.location.hash === seenHash.current) return;
+      seenHash.current = window.location.hash;
+      let hash = window.location.hash.slice(1);
+      try {
+        hash = decodeURIComponent(hash);
+      } catch {
+        // "#%E0" isn't a valid escape; look the id up as typed.
+      }
+      const target = hash && document.getElementById(hash);
+      if (!target || !sectionRef.current?.contains(target)) return;
+      setOpen(true);
+      requestAnimationFrame(() =>
+        target.scrollIntoView({ behavior: prefersReducedMotion() ? "auto" : "smooth", block: "start" })
+      );
+    };
+    check();
+    window.addEventListener("hashchange", check);
+    const unsubscribe = subscribe(check);
+    return () => {
+      window.removeEventListener("hashchange", check);
+      unsubscribe();
+    };
+  }, [setOpen]);
+
+  useEffect(() => {
+    const before = () => setPrinting(true);
+    const after = () => setPrinting(false);
+    window.addEventListener("beforeprint", before);
+    window.addEventListener("afterprint", after);
+    return () => {
+      window.removeEventListener("beforeprint", before);
+      window.removeEventListener("afterprint", after);
+    };
+  }, []);
+
+  return (
+    <section ref={sectionRef} id={id} className="mx-auto max-w-7xl px-6 py-8 border-t border-line-subtle">
+      <div className="flex items-center justify-between gap-4">
+        <h2 className="text-3xl md:text-4xl font-semibold">{title}</h2>
+        <button
+          type="button"
+          onClick={() => {
+            setOpen(!open);
+            track("section_toggle", { section: id, open: !open });
+          }}
+          aria-expanded={expanded}
+          aria-controls={`${id}-content`}
+          className="shrink-0 px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover border border-line-subtle print:hidden"
+        >
+          {open ? openLabel : closedLabel}
+        </button>
+      </div>
+
+      {/* Collapsed content stays in the DOM (for measuring) but inert: no focus, no screen reader. */}
+      <div
+        id={`${id}-content`}
+        inert={!expanded}
+        className="overflow-hidden motion-safe:transition-[max-height] motion-safe:duration-500 ease-in-out print:max-h-none! print:overflow-visible"
+        style={{ maxHeight: maxH }}
+      >
+        <div ref={contentRef} className={expanded ? "pt-8" : ""}>
+          {children}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useSyncExternalStore } from "react";
+import Link from "./Link.jsx";
+import { useI18n } from "../i18n/context.js";
+import { consentNeeded, getConsent, setConsent, subscribeConsent } from "../lib/analytics.js";
+
+// Nothing here is prerendered: consent and DNT are only known in the browser.
+function useConsentState() {
+  const asking = useSyncExternalStore(subscribeConsent, () => consentNeeded() && getConsent() === null, () => false);
+  const available = useSyncExternalStore(subscribeConsent, consentNeeded, () => false);
+  return { asking, available };
+}
+
+/* ---------- Footer link to change the answer later ---------- */
+export function ConsentSettingsButton({ className = "" }) {
+  const { t } = useI18n();
+  const { available } = useConsentState();
+  if (!available) return null;
+  return (
+    <button type="button" onClick={() => setConsent(null)} className={`hover:text-accent ${className}`}>
+      {t("consent.settings")}
+    </button>
+  );
+}
+
+/* ---------- Analytics consent banner ---------- */
+export default function ConsentBanner() {
+  const { t } = useI18n();
+  const { asking } = useConsentState();
+  if (!asking) return null;
+
+  return (
+    <section
+      aria-labelledby="consent-title"
+      className="fixed inset-x-0 bottom-0 z-30 border-t border-line bg-surface-raised px-6 py-5 shadow-2xl print:hidden kiosk:hidden"
+    >
+      <div className="mx-auto max-w-7xl flex flex-col md:flex-row md:items-center gap-4 justify-between">
+        <div className="text-sm">
+          <h2 id="consent-title" className="font-semibold">
+            {t("consent.title")}
+          </h2>
+          <p className="mt-1 text-ink-muted max-w-3xl">
+            {t("consent.body")}{" "}
+            <Link to="/privacy" className="underline hover:text-accent">
+              {t("consent.privacy")}
+            </Link>
+          </p>
+        </div>
+        <div className="flex shrink-0 gap-3">
+          <button
+            type="button"
+            onClick={() => setConsent("denied")}
+            className="px-4 py-2 rounded-control border border-line font-semibold hover:bg-panel"
+          >
+            {t("consent.decline")}
+          </button>
+          <button
+            type="button"
+            onClick={() => setConsent("granted")}
+            className="px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+          >
+            {t("consent.accept")}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,208 @@
+import React, { useEffect, useState } from "react";
+import { ASSET_ORIGIN, assetUrl } from "../lib/assets.js";
+import { BUILD_INFO, cumulativeLayoutShift, imageAssets, rateVital } from "../lib/debug.js";
+import { IMAGE_MANIFEST } from "../lib/imageManifest.js";
+import { BASE } from "../lib/router.js";
+
+// Developer tool: English only, loaded on demand (see App.jsx).
+
+function Row({ label, children }) {
+  return (
+    <div className="flex justify-between gap-4">
+      <dt className="text-ink-muted">{label}</dt>
+      <dd className="font-mono text-right break-all">{children}</dd>
+    </div>
+  );
+}
+
+function Heading({ children }) {
+  return <h3 className="mt-4 mb-1 font-semibold uppercase tracking-wider text-ink-muted">{children}</h3>;
+}
+
+/* ---------- Image assets: does every shipped file load? ---------- */
+// HEAD first (cheap, gives the status); cross-origin files without CORS fall
+// back to loading them as an image.
+async function checkAsset(url) {
+  try {
+    const res = await fetch(url, { method: "HEAD", cache: "no-store" });
+    return res.ok ? "ok" : `HTTP ${res.status}`;
+  } catch {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => resolve("ok");
+      img.onerror = () => resolve("failed");
+      img.src = url;
+    });
+  }
+}
+
+function useAssetChecks() {
+  const [results, setResults] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    const assets = imageAssets(IMAGE_MANIFEST);
+    Promise.all(assets.map(async (a) => ({ ...a, status: await checkAsset(assetUrl(a.file)) }))).then((r) => {
+      if (!cancelled) setResults(r);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  return results;
+}
+
+/* ---------- Core Web Vitals so far (buffered, so early entries count) ---------- */
+function describeElement(el) {
+  if (!el) return "";
+  return el.id ? `${el.tagName.toLowerCase()}#${el.id}` : el.currentSrc?.split("/").pop() || el.tagName.toLowerCase();
+}
+
+const SUPPORTED = typeof PerformanceObserver === "undefined" ? [] : (PerformanceObserver.supportedEntryTypes ?? []);
+
+function useVitals() {
+  const [vitals, setVitals] = useState({ cls: null, lcp: null, lcpElement: "" });
+  useEffect(() => {
+    const observers = [];
+    if (SUPPORTED.includes("layout-shift")) {
+      const shifts = [];
+      const o = new PerformanceObserver((list) => {
+        shifts.push(...list.getEntries());
+        setVitals((v) => ({ ...v, cls: cumulativeLayoutShift(shifts) }));
+      });
+      o.observe({ type: "layout-shift", buffered: true });
+      observers.push(o);
+    }
+    if (SUPPORTED.includes("largest-contentful-paint")) {
+      const o = new PerformanceObserver((list) => {
+        const last = list.getEntries().at(-1);
+        if (last) setVitals((v) => ({ ...v, lcp: last.startTime, lcpElement: describeElement(last.element) }));
+      });
+      o.observe({ type: "largest-contentful-paint", buffered: true });
+      observers.push(o);
+    }
+    return () => observers.forEach((o) => o.disconnect());
+  }, []);
+  return vitals;
+}
+
+/* ---------- Page sections: collapsed? on screen? ---------- */
+function readSections() {
+  return [...document.querySelectorAll("main section[id]")].map((el) => {
+    const toggle = document.querySelector(`[aria-controls="${el.id}-content"]`);
+    const rect = el.getBoundingClientRect();
+    return {
+      id: el.id,
+      collapsed: toggle ? toggle.getAttribute("aria-expanded") === "false" : null,
+      inView: rect.bottom > 0 && rect.top < window.innerHeight && rect.height > 0,
+    };
+  });
+}
+
+function useSections() {
+  const [sections, setSections] = useState(readSections);
+  useEffect(() => {
+    let frame = 0;
+    const refresh = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => setSections(readSections()));
+    };
+    // Toggles and navigation don't scroll, so poll as well.
+    const timer = setInterval(refresh, 1000);
+    window.addEventListener("scroll", refresh, { passive: true });
+    window.addEventListener("resize", refresh);
+    return () => {
+      cancelAnimationFrame(frame);
+      clearInterval(timer);
+      window.removeEventListener("scroll", refresh);
+      window.removeEventListener("resize", refresh);
+    };
+  }, []);
+  return sections;
+}
+
+/* ---------- The overlay ---------- */
+export default function DebugOverlay({ onClose }) {
+  const assets = useAssetChecks();
+  const vitals = useVitals();
+  const sections = useSections();
+  const failed = assets?.filter((a) => a.status !== "ok") ?? [];
+  const ms = (v) => `${Math.round(v)} ms`;
+
+  return (
+    <aside
+      aria-label="Debug overlay"
+      className="fixed bottom-4 right-4 z-50 w-[22rem] max-w-[calc(100vw-2rem)] max-h-[80vh] overflow-y-auto rounded-card border border-line bg-surface-raised p-4 text-xs text-ink shadow-2xl print:hidden"
+    >
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-semibold">Debug</h2>
+        <button type="button" onClick={onClose} className="px-2 py-1 rounded-control border border-line hover:bg-panel">
+          Close
+        </button>
+      </div>
+      <p className="mt-1 text-ink-muted">Alt+Shift+D toggles this panel.</p>
+
+      <Heading>Build</Heading>
+      <dl className="space-y-0.5">
+        <Row label="Base">{BASE}</Row>
+        <Row label="Asset origin">{ASSET_ORIGIN || "(same origin)"}</Row>
+        <Row label="Mode">{BUILD_INFO.mode || "—"}</Row>
+        <Row label="Commit">{BUILD_INFO.commit || "—"}</Row>
+        <Row label="Built">{BUILD_INFO.time || "—"}</Row>
+      </dl>
+
+      <Heading>Vitals</Heading>
+      <dl className="space-y-0.5">
+        <Row label="LCP">
+          {vitals.lcp == null
+            ? SUPPORTED.includes("largest-contentful-paint") ? "waiting…" : "not supported"
+            : `${ms(vitals.lcp)} (${rateVital("lcp", vitals.lcp)}) ${vitals.lcpElement}`}
+        </Row>
+        <Row label="CLS">
+          {vitals.cls == null
+            ? SUPPORTED.includes("layout-shift") ? "0 so far" : "not supported"
+            : `${vitals.cls.toFixed(3)} (${rateVital("cls", vitals.cls)})`}
+        </Row>
+      </dl>
+
+      <Heading>Images</Heading>
+      {assets == null ? (
+        <p>Checking…</p>
+      ) : (
+        <>
+          <p>
+            {assets.length - failed.length} of {assets.length} files load.
+          </p>
+          {failed.length > 0 && (
+            <ul className="mt-1 space-y-0.5 text-alert">
+              {failed.map((a) => (
+                <li key={a.file} className="font-mono break-all">
+                  {a.file}: {a.status}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <Heading>Sections</Heading>
+      <table className="w-full text-left">
+        <thead>
+          <tr className="text-ink-muted">
+            <th scope="col" className="font-normal">id</th>
+            <th scope="col" className="font-normal">state</th>
+            <th scope="col" className="font-normal">in view</th>
+          </tr>
+        </thead>
+        <tbody className="font-mono">
+          {sections.map((s) => (
+            <tr key={s.id}>
+              <td className="pr-2 break-all">{s.id}</td>
+              <td className="pr-2">{s.collapsed == null ? "—" : s.collapsed ? "collapsed" : "open"}</td>
+              <td>{s.inView ? "yes" : "no"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </aside>
+  );
+}
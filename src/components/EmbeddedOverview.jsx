@@ -0,0 +1,49 @@
+import React, { useMemo, useState } from "react";
+import { Diagrams, Hero, WhiteBoxTransition } from "./HomeSections.jsx";
+import Lightbox from "./Lightbox.jsx";
+import ProcessFlow from "./ProcessFlow.jsx";
+import { I18nContext, i18nValue } from "../i18n/context.js";
+import { LOCALES, localizePath } from "../i18n/locales.js";
+import { ASSET_ORIGIN, createAssetUrl } from "../lib/assets.js";
+import { AssetUrls } from "../lib/assetUrls.js";
+import { diagramSlides } from "../lib/diagrams.js";
+import { embedAssets, siteHref } from "../lib/embed.js";
+import { SITE_ORIGIN } from "../lib/head.js";
+import { BASE } from "../lib/router.js";
+import { SiteLinks } from "../lib/siteLinks.js";
+
+// Same-origin asset paths would resolve against the host page.
+const SITE_ASSETS = { base: BASE, origin: ASSET_ORIGIN || SITE_ORIGIN };
+
+/* ---------- What <n2bio-overview> renders (src/entry-embed.js) ---------- */
+// `sections` as parsed by parseSections; `assetBase` is the element's
+// asset-base attribute. Links go to the full site; the diagram lightbox opens
+// in place.
+export default function EmbeddedOverview({ locale, sections, assetBase }) {
+  const i18n = useMemo(() => i18nValue(locale), [locale]);
+  const asset = useMemo(() => createAssetUrl(embedAssets(assetBase, document.baseURI, SITE_ASSETS)), [assetBase]);
+  // A bare "#hash" (the hero's call to action) means that section of the home page.
+  const toSite = useMemo(
+    () => (target) => siteHref(target.startsWith("#") ? localizePath("/", locale) + target : target),
+    [locale]
+  );
+  const [viewing, setViewing] = useState(null);
+  const { hero, diagrams, howItWorks, whiteBox } = i18n.content;
+  const slides = diagramSlides(diagrams, (d) => toSite(localizePath(`/diagrams/${d.id}`, locale)), asset);
+
+  return (
+    <I18nContext.Provider value={i18n}>
+      <SiteLinks.Provider value={toSite}>
+        <AssetUrls.Provider value={asset}>
+          <div lang={LOCALES[locale].htmlLang} className="bg-surface text-ink font-sans">
+            {sections.includes("hero") && <Hero content={hero} />}
+            {sections.includes("diagrams") && <Diagrams content={diagrams} onOpenDiagram={setViewing} />}
+            {sections.includes("how") && <ProcessFlow content={howItWorks} />}
+            {sections.includes("white-box") && <WhiteBoxTransition content={whiteBox} />}
+            <Lightbox items={slides} activeId={viewing} onNavigate={setViewing} onClose={() => setViewing(null)} />
+          </div>
+        </AssetUrls.Provider>
+      </SiteLinks.Provider>
+    </I18nContext.Provider>
+  );
+}
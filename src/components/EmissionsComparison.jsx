@@ -0,0 +1,299 @@
+import React, { useMemo, useState } from "react";
+import DATA from "../data/fertilizer-comparison.json";
+import { useI18n } from "../i18n/context.js";
+import { compareFertilizer, comparisonRows } from "../lib/comparison.js";
+import { formatNumber } from "../lib/format.js";
+
+// Theme tokens (src/index.css), so the bars follow the chosen theme.
+const COLORS = {
+  conventional: "var(--color-chart-1)",
+  ammonia: "var(--color-chart-1)",
+  nitric: "var(--color-chart-2)",
+  plasma: "var(--color-chart-3)",
+};
+
+const W = 640;
+const LABEL_W = 150;
+const BAR_H = 28;
+const GAP = 14;
+const PAD_TOP = 8;
+
+// Round the axis up to 1, 2 or 5 × 10^n so ticks land on friendly numbers.
+function niceMax(v) {
+  if (!(v > 0)) return 1;
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].map((m) => m * p).find((m) => m >= v);
+}
+
+/* ---------- One horizontal bar panel (dependency-free SVG) ---------- */
+function BarPanel({ id, title, summary, unit, rows, digits, num }) {
+  const max = niceMax(Math.max(...rows.map((r) => Math.max(r.range?.high ?? 0, r.segments.reduce((s, x) => s + x.value, 0)))));
+  const plotW = W - LABEL_W - 60;
+  const x = (v) => LABEL_W + (v / max) * plotW;
+  const height = PAD_TOP + rows.length * (BAR_H + GAP) + 24;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * max);
+
+  return (
+    <figure className="rounded-card border border-line-subtle bg-panel-subtle p-4">
+      <figcaption id={`${id}-title`} className="text-sm font-semibold">
+        {title} <span className="font-normal text-ink-muted">({unit})</span>
+      </figcaption>
+      <svg viewBox={`0 0 ${W} ${height}`} role="img" aria-labelledby={`${id}-title ${id}-desc`} className="mt-2 w-full h-auto">
+        <desc id={`${id}-desc`}>{summary}</desc>
+        {ticks.map((tk) => (
+          <g key={tk}>
+            <line x1={x(tk)} x2={x(tk)} y1={PAD_TOP - 4} y2={height - 20} className="stroke-line-subtle" />
+            <text x={x(tk)} y={height - 6} textAnchor="middle" fontSize="11" className="fill-ink-muted">
+              {num(tk, max <= 1 ? 2 : max < 10 ? 1 : 0)}
+            </text>
+          </g>
+        ))}
+        {rows.map((row, i) => {
+          const y = PAD_TOP + i * (BAR_H + GAP);
+          let acc = 0;
+          const total = row.segments.reduce((s, seg) => s + seg.value, 0);
+          return (
+            <g key={row.key}>
+              <text x={LABEL_W - 10} y={y + BAR_H / 2 + 4} textAnchor="end" fontSize="13" className="fill-ink">
+                {row.label}
+              </text>
+              {row.segments.map((seg) => {
+                const x0 = x(acc);
+                acc += seg.value;
+                return (
+                  <rect
+                    key={seg.key}
+                    x={x0}
+                    y={y}
+                    width={Math.max(0, x(acc) - x0)}
+                    height={BAR_H}
+                    rx="3"
+                    style={{ fill: seg.color }}
+                    className="motion-safe:transition-all motion-safe:duration-300"
+                  />
+                );
+              })}
+              {row.range && (
+                <g strokeWidth="2" className="stroke-ink">
+                  <line x1={x(row.range.low)} x2={x(row.range.high)} y1={y + BAR_H / 2} y2={y + BAR_H / 2} />
+                  <line x1={x(row.range.low)} x2={x(row.range.low)} y1={y + 6} y2={y + BAR_H - 6} />
+                  <line x1={x(row.range.high)} x2={x(row.range.high)} y1={y + 6} y2={y + BAR_H - 6} />
+                </g>
+              )}
+              <text x={x(Math.max(total, row.range?.high ?? 0)) + 6} y={y + BAR_H / 2 + 4} fontSize="12" className="fill-ink">
+                {num(total, digits)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+function Slider({ id, label, value, onChange, setting, display }) {
+  return (
+    <label htmlFor={id} className="block text-sm">
+      <span className="flex justify-between font-medium">
+        {label}
+        <output htmlFor={id} className="font-mono">
+          {display}
+        </output>
+      </span>
+      <input
+        id={id}
+        type="range"
+        min={setting.min}
+        max={setting.max}
+        step={setting.step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="mt-2 w-full accent-focus"
+      />
+    </label>
+  );
+}
+
+/* ---------- Haber-Bosch/Ostwald vs on-farm plasma: emissions + cost ---------- */
+export default function EmissionsComparison() {
+  const { t, intl } = useI18n();
+  const num = (v, d) => formatNumber(v, d, intl);
+  const money = (v) => v.toLocaleString(intl, { style: "currency", currency: "USD", minimumFractionDigits: 2 });
+  const [grid, setGrid] = useState(DATA.defaults.gridKgCo2ePerKwh.value);
+  const [price, setPrice] = useState(DATA.defaults.electricityPricePerKwh.value);
+  const [view, setView] = useState("chart");
+
+  const r = useMemo(
+    () => compareFertilizer(DATA, { gridKgCo2ePerKwh: grid, electricityPricePerKwh: price }),
+    [grid, price]
+  );
+  const names = { conventional: t("compare.conventional"), plasma: t("compare.plasma") };
+  const plasmaWins = r.plasma.totalT < r.conventional.totalT;
+
+  const emissionRows = [
+    {
+      key: "conventional",
+      label: names.conventional,
+      segments: [
+        { key: "ammonia", value: r.conventional.ammoniaT, color: COLORS.ammonia },
+        { key: "nitric", value: r.conventional.nitricT, color: COLORS.nitric },
+      ],
+    },
+    { key: "plasma", label: names.plasma, segments: [{ key: "plasma", value: r.plasma.productionT, color: COLORS.plasma }] },
+  ];
+  const transportRows = ["conventional", "plasma"].map((k) => ({
+    key: k,
+    label: names[k],
+    segments: [{ key: k, value: r[k].transportT, color: COLORS[k] }],
+  }));
+  const costRows = ["conventional", "plasma"].map((k) => ({
+    key: k,
+    label: names[k],
+    segments: [{ key: k, value: r[k].cost.typical, color: COLORS[k] }],
+    range: r[k].cost,
+  }));
+
+  const summary = (metric, a, b, d) => t("compare.summary", { metric, conventional: num(a, d), plasma: num(b, d) });
+  const tabClass = (v) =>
+    `px-3 py-1.5 rounded-control text-sm font-semibold ${view === v ? "bg-inverse text-on-inverse" : "border border-line hover:bg-panel"}`;
+
+  return (
+    <section id="comparison" className="mx-auto max-w-7xl px-6 py-20 border-t border-line-subtle">
+      <h2 className="text-4xl font-semibold">{t("compare.title")}</h2>
+      <p className="mt-4 text-lg text-ink-muted max-w-3xl">{t("compare.intro")}</p>
+
+      <div className="mt-10 grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-10">
+        <div className="space-y-6">
+          <form className="space-y-6" onSubmit={(e) => e.preventDefault()}>
+            <Slider
+              id="compare-grid"
+              label={t("compare.grid")}
+              value={grid}
+              onChange={setGrid}
+              setting={DATA.defaults.gridKgCo2ePerKwh}
+              display={`${num(grid * 1000, 0)} g/kWh`}
+            />
+            <Slider
+              id="compare-price"
+              label={t("compare.price")}
+              value={price}
+              onChange={setPrice}
+              setting={DATA.defaults.electricityPricePerKwh}
+              display={`${money(price)}/kWh`}
+            />
+          </form>
+          <p aria-live="polite" className="rounded-card border border-line-subtle bg-panel p-4 text-sm">
+            {t(plasmaWins ? "compare.verdictLower" : "compare.verdictHigher", {
+              percent: num(Math.abs(1 - r.plasma.totalT / r.conventional.totalT) * 100, 0),
+            })}{" "}
+            {t("compare.breakEven", { grid: num(r.breakEvenGrid * 1000, 0) })}
+          </p>
+          <p className="text-xs text-ink-muted">{t("compare.energy", { kwh: num(r.plasma.kwhPerKgN, 1) })}</p>
+        </div>
+
+        <div>
+          <div role="group" aria-label={t("compare.view")} className="flex gap-2">
+            <button type="button" aria-pressed={view === "chart"} onClick={() => setView("chart")} className={tabClass("chart")}>
+              {t("compare.chart")}
+            </button>
+            <button type="button" aria-pressed={view === "table"} onClick={() => setView("table")} className={tabClass("table")}>
+              {t("compare.table")}
+            </button>
+          </div>
+
+          {view === "chart" ? (
+            <div className="mt-4 space-y-4">
+              <BarPanel
+                id="compare-production"
+                title={t("compare.rows.production")}
+                unit="t CO₂e / t N"
+                rows={emissionRows}
+                digits={1}
+                num={num}
+                summary={summary(t("compare.rows.production"), r.conventional.productionT, r.plasma.productionT, 1)}
+              />
+              <ul className="flex flex-wrap gap-4 text-xs text-ink-muted">
+                {["ammonia", "nitric", "plasma"].map((k) => (
+                  <li key={k} className="flex items-center gap-1.5">
+                    <span aria-hidden="true" className="inline-block h-2 w-3 rounded-sm" style={{ background: COLORS[k] }} />
+                    {t(`compare.legend.${k}`)}
+                  </li>
+                ))}
+              </ul>
+              <BarPanel
+                id="compare-transport"
+                title={t("compare.rows.transport")}
+                unit="t CO₂e / t N"
+                rows={transportRows}
+                digits={2}
+                num={num}
+                summary={summary(t("compare.rows.transport"), r.conventional.transportT, r.plasma.transportT, 2)}
+              />
+              <BarPanel
+                id="compare-cost"
+                title={t("compare.costTitle")}
+                unit="USD / kg N"
+                rows={costRows}
+                digits={2}
+                num={num}
+                summary={summary(t("compare.costTitle"), r.conventional.cost.typical, r.plasma.cost.typical, 2)}
+              />
+              <p className="text-xs text-ink-muted">{t("compare.costNote")}</p>
+            </div>
+          ) : (
+            <div className="mt-4 overflow-x-auto">
+              <table className="w-full text-left text-sm">
+                <caption className="mb-2 text-left text-xs text-ink-muted">{t("compare.caption")}</caption>
+                <thead>
+                  <tr className="border-b border-line">
+                    <th scope="col" className="py-2 pr-4">{t("compare.metric")}</th>
+                    <th scope="col" className="py-2 pr-4">{names.conventional}</th>
+                    <th scope="col" className="py-2 pr-4">{names.plasma}</th>
+                    <th scope="col" className="py-2">{t("compare.unit")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparisonRows(r).map(([key, a, b, unit]) => (
+                    <tr key={key} className="border-b border-line-subtle">
+                      <th scope="row" className="py-2 pr-4 font-medium">{t(`compare.rows.${key}`)}</th>
+                      <td className="py-2 pr-4 font-mono">{num(a, 2)}</td>
+                      <td className="py-2 pr-4 font-mono">{num(b, 2)}</td>
+                      <td className="py-2 text-ink-muted">{unit}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <details className="mt-10 text-sm">
+        <summary className="cursor-pointer font-semibold">
+          {t("compare.sources", { version: DATA.version, date: DATA.updated })}
+        </summary>
+        <p className="mt-3 max-w-3xl text-ink-muted">{t("compare.basis")}</p>
+        <ul className="mt-3 space-y-1 text-ink-muted">
+          {Object.entries({ ...DATA.assumptions, ...DATA.defaults }).map(([key, a]) => {
+            const source = DATA.sources[a.source];
+            const value = typeof a.value === "object" ? `${a.value.low}–${a.value.high}` : a.value;
+            return (
+              <li key={key}>
+                {t(`compare.assumptions.${key}`)}: <span className="font-mono">{value}</span> {a.unit ?? ""} —{" "}
+                {source.internal ? (
+                  <span title={source.title}>
+                    {t("compare.internal", { publisher: source.publisher, year: source.year })}
+                  </span>
+                ) : (
+                  <a href={source.url} target="_blank" rel="noopener noreferrer" className="underline hover:text-accent">
+                    {source.publisher} ({source.year})
+                  </a>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </details>
+    </section>
+  );
+}
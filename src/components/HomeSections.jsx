@@ -0,0 +1,163 @@
+import React, { useContext, useEffect, useRef } from "react";
+import Collapsible from "./Collapsible.jsx";
+import HotspotImage from "./HotspotImage.jsx";
+import Link from "./Link.jsx";
+import ResponsiveImage from "./ResponsiveImage.jsx";
+import RichText from "./RichText.jsx";
+import { useI18n } from "../i18n/context.js";
+import { localizePath } from "../i18n/locales.js";
+import { track } from "../lib/analytics.js";
+import { SiteLinks } from "../lib/siteLinks.js";
+import useInView from "../lib/useInView.js";
+
+// Home page sections that the embeddable build (src/entry-embed.js) shows
+// too, so both stay one component each.
+
+/* ---------- Hero ---------- */
+export function Hero({ content: hero }) {
+  const { locale } = useI18n();
+  const toSite = useContext(SiteLinks);
+  return (
+    <section id="hero" className="relative overflow-hidden border-b border-line-subtle">
+      <div className="mx-auto max-w-7xl px-6 py-20 md:py-28 grid md:grid-cols-2 gap-12 items-center">
+        <div>
+          <h1 className="text-4xl md:text-6xl font-bold leading-tight">{hero.title}</h1>
+          <p className="mt-6 text-lg text-ink-muted max-w-xl">
+            <RichText text={hero.intro} />
+          </p>
+          <div className="mt-8 flex gap-4">
+            <a
+              href={toSite ? toSite(localizePath(hero.cta.href, locale)) : hero.cta.href}
+              className="px-5 py-3 rounded-card bg-gradient-to-r from-cta-from to-cta-to text-on-cta font-semibold shadow hover:opacity-95"
+            >
+              {hero.cta.label}
+            </a>
+          </div>
+        </div>
+
+        {/* Single Chicken Image */}
+        <div className="relative">
+          <div className="rounded-panel overflow-hidden border border-line-subtle bg-panel">
+            <ResponsiveImage
+              file={hero.image.src}
+              alt={hero.image.alt}
+              sizes="(min-width: 768px) 50vw, 100vw"
+              loading="eager"
+              fetchPriority="high"
+              className="w-full h-96 object-cover brightness-110 saturate-110"
+            />
+          </div>
+          <p className="mt-3 text-sm text-ink-muted">{hero.caption}</p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+/* ---------- Diagrams (collapsible) ---------- */
+export function Diagrams({ content: diagrams, onOpenDiagram }) {
+  const { t } = useI18n();
+  return (
+    <Collapsible
+      id={diagrams.id}
+      title={diagrams.title}
+      defaultOpen={false}
+      closedLabel={diagrams.closedLabel}
+      openLabel={diagrams.openLabel}
+    >
+      <div className="mt-2 space-y-16">
+        {diagrams.items.map((d) => (
+          <div key={d.id} id={d.id} className="grid lg:grid-cols-2 gap-10 items-center">
+            <button
+              type="button"
+              onClick={() => onOpenDiagram(d.id)}
+              className={["cursor-zoom-in", d.imageFirst ? "" : "order-1 lg:order-2"].join(" ")}
+            >
+              <ResponsiveImage
+                file={d.image}
+                alt={d.alt}
+                sizes="(min-width: 1024px) 50vw, 100vw"
+                className="rounded-panel border border-line-subtle w-full"
+              />
+            </button>
+            <div className={d.imageFirst ? "" : "order-2 lg:order-1"}>
+              <h3 className="text-3xl font-bold">{d.title}</h3>
+              <p className="mt-4 text-ink-muted">
+                <RichText text={d.body} />
+              </p>
+              <div className="mt-6 flex flex-wrap items-center gap-4">
+                <button
+                  type="button"
+                  onClick={() => onOpenDiagram(d.id)}
+                  className="inline-block px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+                >
+                  {diagrams.linkLabel}
+                </button>
+                <Link to={`/diagrams/${d.id}`} className="text-sm text-ink-muted hover:text-accent">
+                  {t("pages.permalink")}
+                </Link>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Collapsible>
+  );
+}
+
+/* ---------- White box transition (includes Request link) ---------- */
+export function WhiteBoxTransition({ content }) {
+  const { t } = useI18n();
+  const { ref, inView } = useInView(0.15);
+  const seen = useRef(false);
+
+  useEffect(() => {
+    if (!inView || seen.current) return;
+    seen.current = true;
+    track("section_view", { section: content.id });
+  }, [inView, content.id]);
+
+  return (
+    <section id={content.id} className="mx-auto max-w-7xl px-6 pb-20">
+      <div
+        ref={ref}
+        className={[
+          "grid lg:grid-cols-2 gap-10 items-center rounded-panel",
+          "bg-panel-subtle border border-line-subtle p-6 md:p-10",
+          "transition-all duration-700",
+          inView ? "opacity-100 translate-y-0" : "opacity-0 translate-y-6"
+        ].join(" ")}
+      >
+        <div>
+          <h3 className="text-3xl font-bold">{content.title}</h3>
+          {content.paragraphs.map((text, i) => (
+            <p key={i} className="mt-4 text-ink-muted">
+              <RichText text={text} />
+            </p>
+          ))}
+
+          <div className="mt-6">
+            <Link
+              to={content.cta.href}
+              className="inline-flex items-center gap-2 px-5 py-3 rounded-card bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover shadow"
+            >
+              {content.cta.label}
+            </Link>
+          </div>
+        </div>
+
+        <figure>
+          <HotspotImage
+            file={content.image.src}
+            alt={content.image.alt}
+            sizes="(min-width: 1024px) 50vw, 100vw"
+            hotspots={content.hotspots}
+            className="rounded-panel overflow-hidden border border-line-subtle bg-panel-subtle"
+          />
+          <figcaption className="sr-only">{content.caption}</figcaption>
+          <p className="mt-3 text-sm text-ink-muted print:hidden">{t("hotspots.hint")}</p>
+        </figure>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,124 @@
+import React, { useEffect, useId, useRef, useState } from "react";
+import ResponsiveImage from "./ResponsiveImage.jsx";
+import RichText from "./RichText.jsx";
+import { useI18n } from "../i18n/context.js";
+import { POPOVER_CLASS, nextHotspot, popoverAnchor } from "../lib/hotspots.js";
+
+/**
+ * Photo with numbered markers; each opens a popover with specs and a short
+ * explanation. `hotspots` is [{ id, label, x, y, specs: [{ label, value }], body }]
+ * with x/y in percent of the image, so markers follow it at any size.
+ *
+ * Markers are disclosure buttons: Tab or arrow keys move between them,
+ * Enter/Space/tap toggles, Escape or a tap elsewhere closes. On narrow
+ * screens the popover sits along the bottom of the photo instead.
+ */
+export default function HotspotImage({ file, alt, sizes, hotspots, className = "" }) {
+  const { t } = useI18n();
+  const [openId, setOpenId] = useState(null);
+  const rootRef = useRef(null);
+  const buttons = useRef(new Map());
+  const baseId = useId();
+
+  useEffect(() => {
+    if (!openId) return;
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      setOpenId(null);
+      buttons.current.get(openId)?.focus();
+    };
+    // composedPath, not target: inside a shadow root (src/entry-embed.js)
+    // the target is retargeted to the host element.
+    const onPointerDown = (e) => {
+      if (!e.composedPath().includes(rootRef.current)) setOpenId(null);
+    };
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("pointerdown", onPointerDown);
+    };
+  }, [openId]);
+
+  const onMarkerKeyDown = (e, id) => {
+    const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const next = nextHotspot(hotspots, id, step);
+    buttons.current.get(next.id)?.focus();
+    if (openId) setOpenId(next.id);
+  };
+
+  return (
+    <div ref={rootRef} className={`relative ${className}`}>
+      <ResponsiveImage file={file} alt={alt} sizes={sizes} className="block w-full h-auto" />
+      {hotspots.map((h, i) => {
+        const open = openId === h.id;
+        const popoverId = `${baseId}-${h.id}`;
+        const anchor = popoverAnchor(h);
+        return (
+          <React.Fragment key={h.id}>
+            <button
+              ref={(el) => {
+                if (el) buttons.current.set(h.id, el);
+                else buttons.current.delete(h.id);
+              }}
+              type="button"
+              aria-expanded={open}
+              aria-controls={popoverId}
+              onClick={() => setOpenId(open ? null : h.id)}
+              onKeyDown={(e) => onMarkerKeyDown(e, h.id)}
+              className={[
+                "absolute -translate-x-1/2 -translate-y-1/2 grid place-items-center size-9 rounded-full",
+                "border-2 border-surface font-bold text-sm shadow-lg print:hidden",
+                "focus:outline-none focus-visible:ring-4 focus-visible:ring-focus",
+                open ? "bg-accent text-surface" : "bg-inverse text-on-inverse hover:bg-inverse-hover",
+              ].join(" ")}
+              style={{ left: `${h.x}%`, top: `${h.y}%` }}
+            >
+              <span aria-hidden="true">{i + 1}</span>
+              <span className="sr-only">{h.label}</span>
+            </button>
+            <div
+              id={popoverId}
+              hidden={!open}
+              className={POPOVER_CLASS}
+              style={{
+                "--pop-left": anchor.left,
+                "--pop-right": anchor.right,
+                "--pop-top": anchor.top,
+                "--pop-bottom": anchor.bottom,
+              }}
+            >
+              <div className="flex items-start justify-between gap-3">
+                <h4 className="font-semibold text-base">{h.label}</h4>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpenId(null);
+                    buttons.current.get(h.id)?.focus();
+                  }}
+                  aria-label={t("hotspots.close")}
+                  className="px-2 rounded-control text-ink-muted hover:text-accent"
+                >
+                  ✕
+                </button>
+              </div>
+              <dl className="mt-2 space-y-1">
+                {h.specs.map((s) => (
+                  <div key={s.label} className="flex justify-between gap-4 border-b border-line-subtle pb-1">
+                    <dt className="text-ink-muted">{s.label}</dt>
+                    <dd className="font-semibold text-right">{s.value}</dd>
+                  </div>
+                ))}
+              </dl>
+              <p className="mt-3 text-ink-muted">
+                <RichText text={h.body} />
+              </p>
+            </div>
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+}
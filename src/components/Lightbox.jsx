@@ -0,0 +1,281 @@
+import React, { useEffect, useRef, useState } from "react";
+import RichText from "./RichText.jsx";
+import { useI18n } from "../i18n/context.js";
+import useFocusTrap from "../lib/useFocusTrap.js";
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 6;
+const SWIPE_PX = 60;
+const IDENTITY = { scale: 1, x: 0, y: 0 };
+
+const BUTTON =
+  "inline-flex items-center justify-center min-w-10 h-10 px-3 rounded-control bg-surface-raised hover:bg-panel-strong border border-line text-ink text-sm font-semibold focus:outline-none focus:ring-2 focus:ring-focus";
+
+function clamp(n, lo, hi) {
+  return Math.min(hi, Math.max(lo, n));
+}
+
+// Keep the zoomed image from being dragged entirely off-stage.
+function clampPan(view, rect) {
+  const maxX = ((view.scale - 1) * rect.width) / 2;
+  const maxY = ((view.scale - 1) * rect.height) / 2;
+  return { scale: view.scale, x: clamp(view.x, -maxX, maxX), y: clamp(view.y, -maxY, maxY) };
+}
+
+// New view after scaling by `factor` around a point (px, py) measured from the stage centre.
+function zoomAround(view, factor, px, py, rect) {
+  const scale = clamp(view.scale * factor, MIN_SCALE, MAX_SCALE);
+  if (scale === MIN_SCALE) return IDENTITY;
+  const k = scale / view.scale;
+  return clampPan({ scale, x: px - (px - view.x) * k, y: py - (py - view.y) * k }, rect);
+}
+
+/* ---------- Zoom + pan surface (remounted per slide, so zoom resets) ---------- */
+function ZoomStage({ src, alt, onSwipe }) {
+  const { t } = useI18n();
+  const stageRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const [view, setView] = useState(IDENTITY);
+  const [dragging, setDragging] = useState(false);
+
+  const rect = () => stageRef.current.getBoundingClientRect();
+  const fromCentre = (clientX, clientY) => {
+    const r = rect();
+    return [clientX - (r.left + r.width / 2), clientY - (r.top + r.height / 2)];
+  };
+  const zoomBy = (factor) => setView((v) => zoomAround(v, factor, 0, 0, rect()));
+
+  // Wheel has to be a non-passive listener to stop the page from scrolling.
+  useEffect(() => {
+    const el = stageRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const r = el.getBoundingClientRect();
+      const px = e.clientX - (r.left + r.width / 2);
+      const py = e.clientY - (r.top + r.height / 2);
+      setView((v) => zoomAround(v, Math.exp(-e.deltaY * 0.002), px, py, r));
+    };
+    el.addEventListener("wheel", onWheel, { passive: false });
+    return () => el.removeEventListener("wheel", onWheel);
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const r = stageRef.current.getBoundingClientRect();
+      if (e.key === "+" || e.key === "=") setView((v) => zoomAround(v, 1.25, 0, 0, r));
+      else if (e.key === "-" || e.key === "_") setView((v) => zoomAround(v, 0.8, 0, 0, r));
+      else if (e.key === "0") setView(IDENTITY);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const onPointerDown = (e) => {
+    if (e.target.closest("button")) return; // zoom toolbar
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const pts = [...pointers.current.values()];
+    if (pts.length === 1) {
+      gesture.current = { kind: "pan", x0: e.clientX, y0: e.clientY, view };
+    } else if (pts.length === 2) {
+      const [a, b] = pts;
+      gesture.current = {
+        kind: "pinch",
+        dist: Math.hypot(b.x - a.x, b.y - a.y) || 1,
+        mid: fromCentre((a.x + b.x) / 2, (a.y + b.y) / 2),
+        view,
+      };
+    }
+    setDragging(true);
+  };
+
+  const onPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = gesture.current;
+    if (!g) return;
+    if (g.kind === "pinch" && pointers.current.size === 2) {
+      const [a, b] = [...pointers.current.values()];
+      const factor = Math.hypot(b.x - a.x, b.y - a.y) / g.dist;
+      setView(zoomAround(g.view, factor, g.mid[0], g.mid[1], rect()));
+    } else if (g.kind === "pan" && g.view.scale > 1) {
+      setView(clampPan({ ...g.view, x: g.view.x + e.clientX - g.x0, y: g.view.y + e.clientY - g.y0 }, rect()));
+    }
+  };
+
+  const onPointerUp = (e) => {
+    const g = gesture.current;
+    pointers.current.delete(e.pointerId);
+    if (g?.kind === "pan" && g.view.scale === 1) {
+      const dx = e.clientX - g.x0;
+      const dy = e.clientY - g.y0;
+      if (Math.abs(dx) > SWIPE_PX && Math.abs(dx) > Math.abs(dy)) onSwipe(dx < 0 ? 1 : -1);
+    }
+    // Lifting one finger of a pinch continues as a pan from where it is now.
+    const rest = [...pointers.current.values()];
+    gesture.current = rest.length === 1 ? { kind: "pan", x0: rest[0].x, y0: rest[0].y, view } : null;
+    if (rest.length === 0) setDragging(false);
+  };
+
+  const onDoubleClick = (e) => {
+    if (e.target.closest("button")) return;
+    const [px, py] = fromCentre(e.clientX, e.clientY);
+    setView((v) => (v.scale > 1 ? IDENTITY : zoomAround(v, 2.5, px, py, rect())));
+  };
+
+  return (
+    <div
+      ref={stageRef}
+      className={[
+        "relative h-full w-full overflow-hidden flex items-center justify-center touch-none select-none",
+        view.scale > 1 ? (dragging ? "cursor-grabbing" : "cursor-grab") : "cursor-zoom-in",
+      ].join(" ")}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerCancel={onPointerUp}
+      onDoubleClick={onDoubleClick}
+    >
+      <img
+        src={src}
+        alt={alt}
+        draggable={false}
+        className="max-h-full max-w-full object-contain will-change-transform"
+        style={{ transform: `translate(${view.x}px, ${view.y}px) scale(${view.scale})` }}
+      />
+      <div className="absolute bottom-3 right-3 flex gap-2">
+        <button type="button" className={BUTTON} onClick={() => zoomBy(0.8)} aria-label={t("lightbox.zoomOut")}>
+          −
+        </button>
+        <button type="button" className={BUTTON} onClick={() => setView(IDENTITY)} aria-label={t("lightbox.reset")}>
+          {Math.round(view.scale * 100)}%
+        </button>
+        <button type="button" className={BUTTON} onClick={() => zoomBy(1.25)} aria-label={t("lightbox.zoomIn")}>
+          +
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Modal dialog ---------- */
+function LightboxDialog({ items, index, onNavigate, onClose }) {
+  const { t } = useI18n();
+  const dialogRef = useRef(null);
+  const [copied, setCopied] = useState(false);
+  const item = items[index];
+  const go = (step) => {
+    const next = index + step;
+    if (next >= 0 && next < items.length) onNavigate(items[next].id);
+  };
+
+  useFocusTrap(dialogRef, true);
+
+  useEffect(() => {
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
+
+  // Latest handlers without re-binding the listener every render.
+  const keys = useRef();
+  keys.current = { go, onClose };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") keys.current.onClose();
+      else if (e.key === "ArrowRight") keys.current.go(1);
+      else if (e.key === "ArrowLeft") keys.current.go(-1);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(item.href ?? window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      // clipboard blocked; the address bar already has the link
+    }
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="lightbox-title"
+      aria-describedby="lightbox-caption"
+      tabIndex={-1}
+      className="fixed inset-0 z-50 flex flex-col bg-surface text-ink"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b border-line-subtle">
+        <p className="text-sm text-ink-muted" aria-live="polite">
+          {t("lightbox.counter", { current: index + 1, total: items.length })}
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" className={BUTTON} onClick={copyLink}>
+            {copied ? t("lightbox.copied") : t("lightbox.copyLink")}
+          </button>
+          <a className={BUTTON} href={item.src} download={item.file}>
+            {t("lightbox.download")}
+          </a>
+          <button type="button" className={BUTTON} onClick={onClose} aria-label={t("lightbox.close")}>
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="relative flex-1 min-h-0">
+        <ZoomStage key={item.id} src={item.src} alt={item.alt} onSwipe={go} />
+        {index > 0 && (
+          <button
+            type="button"
+            className={`${BUTTON} absolute left-3 top-1/2 -translate-y-1/2`}
+            onClick={() => go(-1)}
+            aria-label={t("lightbox.prev")}
+          >
+            ←
+          </button>
+        )}
+        {index < items.length - 1 && (
+          <button
+            type="button"
+            className={`${BUTTON} absolute right-3 top-1/2 -translate-y-1/2`}
+            onClick={() => go(1)}
+            aria-label={t("lightbox.next")}
+          >
+            →
+          </button>
+        )}
+      </div>
+
+      <div className="max-h-[30vh] overflow-y-auto px-4 py-4 border-t border-line-subtle">
+        <div className="mx-auto max-w-4xl">
+          <h2 id="lightbox-title" className="text-xl font-semibold">
+            {item.title}
+          </h2>
+          <p id="lightbox-caption" className="mt-2 text-sm text-ink-muted">
+            <RichText text={item.caption} />
+          </p>
+          <p className="mt-2 text-xs text-ink-muted">{t("lightbox.hint")}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Full-screen image viewer. Controlled: `activeId` picks the slide (null = closed),
+ * `onNavigate(id)` and `onClose()` let the caller keep the URL in sync.
+ * items: [{ id, src, file, alt, title, caption }]
+ */
+export default function Lightbox({ items, activeId, onNavigate, onClose }) {
+  const index = items.findIndex((it) => it.id === activeId);
+  if (index === -1) return null;
+  return <LightboxDialog items={items} index={index} onNavigate={onNavigate} onClose={onClose} />;
+}
@@ -0,0 +1,32 @@
+import React, { useContext } from "react";
+import { navigate, withBase } from "../lib/router.js";
+import { useI18n } from "../i18n/context.js";
+import { localizePath } from "../i18n/locales.js";
+import { SiteLinks } from "../lib/siteLinks.js";
+
+// In-app link: real href (so open-in-new-tab works), client-side navigation on plain clicks.
+// `to` is locale-neutral; the current locale prefix is added here.
+export default function Link({ to, onClick, children, ...rest }) {
+  const { locale } = useI18n();
+  const target = localizePath(to, locale);
+  const toSite = useContext(SiteLinks);
+  if (toSite) {
+    return (
+      <a href={toSite(target)} onClick={onClick} {...rest}>
+        {children}
+      </a>
+    );
+  }
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (/^[a-z]+:/i.test(target)) return; // external (content links may point off-site)
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(target);
+  };
+  return (
+    <a href={withBase(target)} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
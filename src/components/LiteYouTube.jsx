@@ -0,0 +1,137 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import ResponsiveImage from "./ResponsiveImage.jsx";
+import { useI18n } from "../i18n/context.js";
+import { track } from "../lib/analytics.js";
+import { AssetUrls } from "../lib/assetUrls.js";
+import useKiosk from "../lib/useKiosk.js";
+import { embedUrl, parseTimestamp, watchUrl } from "../lib/youtube.js";
+
+/* ---------- Click-to-load YouTube card ---------- */
+// Shows a local thumbnail until the visitor presses play (or picks a chapter);
+// only then is the youtube-nocookie player requested. In kiosk mode (often
+// offline) the local `offlineVideo` copy plays instead, if there is one.
+export default function LiteYouTube({ video, children }) {
+  const { t, locale } = useI18n();
+  const start = parseTimestamp(video.start ?? 0) || 0;
+  const [playingFrom, setPlayingFrom] = useState(null);
+  const frameRef = useRef(null);
+  const kiosk = useKiosk();
+
+  const play = (from) => {
+    setPlayingFrom(from);
+    track("video_play", { video: video.id, start: from });
+  };
+
+  useEffect(() => {
+    if (playingFrom != null) frameRef.current?.focus();
+  }, [playingFrom]);
+
+  return (
+    <div className="rounded-card overflow-hidden border border-line-subtle bg-panel-subtle">
+      <div className={`relative aspect-video bg-black ${playingFrom == null ? "" : "print:hidden"}`}>
+        {kiosk ? (
+          <KioskVideo video={video} start={start} />
+        ) : playingFrom == null ? (
+          <button
+            type="button"
+            onClick={() => play(start)}
+            aria-label={t("video.play", { title: video.title })}
+            className="group absolute inset-0 w-full h-full focus:outline-none focus-visible:ring-4 focus-visible:ring-focus"
+          >
+            <ResponsiveImage
+              file={video.thumbnail}
+              alt=""
+              sizes="(min-width: 768px) 33vw, 100vw"
+              className="w-full h-full object-cover opacity-80 group-hover:opacity-100 transition-opacity"
+            />
+            <span
+              aria-hidden="true"
+              className="absolute inset-0 m-auto flex h-16 w-16 items-center justify-center rounded-full bg-red-600 text-2xl text-white shadow-lg group-hover:scale-110 transition-transform"
+            >
+              ▶
+            </span>
+          </button>
+        ) : (
+          <iframe
+            ref={frameRef}
+            key={playingFrom}
+            className="w-full h-full"
+            src={embedUrl(video.youtubeId, { start: playingFrom, lang: locale })}
+            title={video.title}
+            frameBorder={0}
+            allow="autoplay; encrypted-media; picture-in-picture; fullscreen"
+            allowFullScreen
+          />
+        )}
+      </div>
+      <div className="p-4">
+        <h3 className="text-lg font-semibold">{video.title}</h3>
+        <p className="text-sm text-ink-muted mt-1">{video.description}</p>
+        {children}
+
+        {video.chapters && !kiosk && (
+          <>
+            <h4 className="mt-4 text-sm font-semibold text-ink-muted">{t("video.chapters")}</h4>
+            <ol className="mt-1 space-y-1 text-sm">
+              {video.chapters.map((c) => (
+                <li key={c.time}>
+                  <button
+                    type="button"
+                    onClick={() => play(parseTimestamp(c.time))}
+                    className="text-left hover:text-accent focus:outline-none focus-visible:ring-2 focus-visible:ring-focus rounded"
+                  >
+                    <span className="font-mono text-ink-muted">{c.time}</span> {c.title}
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </>
+        )}
+
+        <p className="mt-4 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+          <a
+            href={watchUrl(video.youtubeId, { start, captions: true, lang: locale })}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="underline hover:text-accent"
+          >
+            {t("video.captions")}
+          </a>
+          {video.transcript && (
+            <a href={video.transcript} className="underline hover:text-accent">
+              {t("video.transcript")}
+            </a>
+          )}
+        </p>
+        <p className="mt-2 text-xs text-ink-muted print:hidden kiosk:hidden">{t("video.notice")}</p>
+        <p className="hidden print:block mt-2 text-xs break-all">{watchUrl(video.youtubeId)}</p>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Kiosk: local copy, or a still with a pointer to the stand ---------- */
+function KioskVideo({ video, start }) {
+  const { t } = useI18n();
+  const assetUrl = useContext(AssetUrls);
+  if (video.offlineVideo) {
+    return (
+      <video
+        className="w-full h-full"
+        src={`${assetUrl(video.offlineVideo)}#t=${start}`}
+        poster={assetUrl(video.thumbnail)}
+        controls
+        playsInline
+        preload="metadata"
+        aria-label={video.title}
+        onPlay={() => track("video_play", { video: video.id, start })}
+      />
+    );
+  }
+  return (
+    <div className="absolute inset-0">
+      <ResponsiveImage file={video.thumbnail} alt="" sizes="(min-width: 768px) 33vw, 100vw" className="w-full h-full object-cover opacity-60" />
+      <p className="absolute inset-x-0 bottom-0 bg-black/60 p-3 text-sm text-white">{t("video.atStand")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import React from "react";
+import { useI18n } from "../i18n/context.js";
+import { LOCALES, localizePath } from "../i18n/locales.js";
+import { navigate } from "../lib/router.js";
+
+/* ---------- Header language picker ---------- */
+export default function LocaleSwitcher({ path }) {
+  const { locale, t } = useI18n();
+
+  const change = (next) => {
+    navigate(localizePath(path, next) + window.location.search + window.location.hash);
+  };
+
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <span className="sr-only">{t("locale.label")}</span>
+      <select
+        value={locale}
+        onChange={(e) => change(e.target.value)}
+        className="rounded-control border border-line bg-panel px-2 py-2 text-ink focus:outline-none focus:ring-2 focus:ring-focus"
+      >
+        {Object.entries(LOCALES).map(([code, l]) => (
+          <option key={code} value={code} lang={l.htmlLang}>
+            {l.short} · {l.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,55 @@
+import React from "react";
+import Citation from "./Citation.jsx";
+import LiteYouTube from "./LiteYouTube.jsx";
+import ResponsiveImage from "./ResponsiveImage.jsx";
+import { useI18n } from "../i18n/context.js";
+import { isCitable } from "../lib/citation.js";
+import { itemYear } from "../lib/library.js";
+
+function Tags({ item }) {
+  const { t } = useI18n();
+  const year = itemYear(item);
+  return (
+    <p className="mt-3 flex flex-wrap gap-2 text-xs">
+      <span className="rounded-full bg-accent/15 px-2 py-0.5 font-semibold text-accent">{t(`library.types.${item.type}`)}</span>
+      {year && <span className="rounded-full bg-panel px-2 py-0.5">{year}</span>}
+      {item.topics.map((topic) => (
+        <span key={topic} className="rounded-full bg-panel px-2 py-0.5">
+          {t(`library.topics.${topic}`)}
+        </span>
+      ))}
+    </p>
+  );
+}
+
+/* ---------- One media library entry (video, talk, paper or poster) ---------- */
+export default function MediaCard({ item, showTags = false }) {
+  if (item.youtubeId) {
+    return <LiteYouTube video={item}>{showTags && <Tags item={item} />}</LiteYouTube>;
+  }
+  return (
+    <article className="rounded-card overflow-hidden border border-line-subtle bg-panel-subtle group">
+      {/* Same target as the title link; kept out of the tab order and the a11y tree. */}
+      <a href={item.href} target="_blank" rel="noopener noreferrer" className="block" tabIndex={-1} aria-hidden="true">
+        <div className="aspect-video overflow-hidden">
+          <ResponsiveImage
+            file={item.image}
+            alt={item.alt}
+            sizes="(min-width: 768px) 33vw, 100vw"
+            className="w-full h-full object-cover group-hover:scale-[1.02] transition-transform duration-300"
+          />
+        </div>
+      </a>
+      <div className="p-4">
+        <h3 className="text-lg font-semibold">
+          <a href={item.href} target="_blank" rel="noopener noreferrer" className="hover:text-accent">
+            {item.title}
+          </a>
+        </h3>
+        <p className="text-sm text-ink-muted mt-1">{item.description}</p>
+        {showTags && <Tags item={item} />}
+        {isCitable(item) && <Citation item={item} />}
+      </div>
+    </article>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useMemo, useState } from "react";
+import CSV from "../data/pilot-runs.csv?raw";
+import META from "../data/pilot-runs.json";
+import { useI18n } from "../i18n/context.js";
+import { downloadText } from "../lib/csv.js";
+import { formatNumber } from "../lib/format.js";
+import {
+  METRICS,
+  STEADY_AFTER_MIN,
+  downloadName,
+  loadPilotRuns,
+  metricExtent,
+  niceTicks,
+  runSummary,
+  runsToCsv,
+  runsToJson,
+  selectRuns,
+} from "../lib/pilotData.js";
+import { Select } from "./CalculatorParts.jsx";
+
+const RUNS = loadPilotRuns(CSV, META);
+
+// Theme tokens (src/index.css), one per run in metadata order.
+const RUN_COLORS = ["chart-1", "chart-3", "chart-4", "chart-5"].map((c) => `var(--color-${c})`);
+const color = (run) => RUN_COLORS[RUNS.indexOf(run) % RUN_COLORS.length];
+
+const W = 640;
+const H = 300;
+const PAD = { top: 12, right: 16, bottom: 40, left: 56 };
+
+const BUTTON =
+  "px-3 py-1.5 rounded-control border border-line bg-panel text-xs font-semibold hover:bg-panel-strong focus:outline-none focus-visible:ring-2 focus-visible:ring-focus";
+
+/* ---------- One x/y plot (dependency-free SVG) ---------- */
+function Plot({ id, title, summary, x, y, runs, lines, num }) {
+  const xs = niceTicks(...metricExtent(runs, x.key), 8);
+  const ys = niceTicks(...metricExtent(runs, y.key), 5);
+  const px = (v) => PAD.left + ((v - xs.min) / (xs.max - xs.min)) * (W - PAD.left - PAD.right);
+  const py = (v) => H - PAD.bottom - ((v - ys.min) / (ys.max - ys.min)) * (H - PAD.top - PAD.bottom);
+  const digits = (ticks) => Math.max(0, -Math.floor(Math.log10(ticks[1] - ticks[0] || 1)));
+
+  return (
+    <figure className="rounded-card border border-line-subtle bg-panel-subtle p-4">
+      <figcaption id={`${id}-title`} className="text-sm font-semibold">
+        {title}
+      </figcaption>
+      <svg viewBox={`0 0 ${W} ${H}`} role="img" aria-labelledby={`${id}-title ${id}-desc`} className="mt-2 w-full h-auto">
+        <desc id={`${id}-desc`}>{summary}</desc>
+        {ys.ticks.map((tk) => (
+          <g key={`y${tk}`}>
+            <line x1={PAD.left} x2={W - PAD.right} y1={py(tk)} y2={py(tk)} className="stroke-line-subtle" />
+            <text x={PAD.left - 8} y={py(tk) + 4} textAnchor="end" fontSize="11" className="fill-ink-muted">
+              {num(tk, digits(ys.ticks))}
+            </text>
+          </g>
+        ))}
+        {xs.ticks.map((tk) => (
+          <text key={`x${tk}`} x={px(tk)} y={H - PAD.bottom + 16} textAnchor="middle" fontSize="11" className="fill-ink-muted">
+            {num(tk, digits(xs.ticks))}
+          </text>
+        ))}
+        <line x1={PAD.left} x2={W - PAD.right} y1={H - PAD.bottom} y2={H - PAD.bottom} className="stroke-line" />
+        <text x={(PAD.left + W - PAD.right) / 2} y={H - 6} textAnchor="middle" fontSize="12" className="fill-ink">
+          {x.label}
+        </text>
+        {runs.map((run) => (
+          <g key={run.id} style={{ fill: color(run), stroke: color(run) }}>
+            {lines && (
+              <polyline
+                fill="none"
+                strokeWidth="2"
+                points={run.samples.map((s) => `${px(s[x.key])},${py(s[y.key])}`).join(" ")}
+              />
+            )}
+            {run.samples.map((s) => (
+              <circle key={s.minute} cx={px(s[x.key])} cy={py(s[y.key])} r={lines ? 3 : 4} strokeWidth="0">
+                <title>{`${run.id} · ${x.label}: ${num(s[x.key], x.digits)} · ${y.label}: ${num(s[y.key], y.digits)}`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+/* ---------- Pilot plant runs: time series, scatter, summary, download ---------- */
+export default function PilotDataExplorer() {
+  const { t, intl } = useI18n();
+  const num = (v, d) => formatNumber(v, d, intl);
+  const [selected, setSelected] = useState(() => RUNS.map((r) => r.id));
+  const [metric, setMetric] = useState("energy_mj_per_mol_n");
+  const [scatterX, setScatterX] = useState("power_kw");
+  const [scatterY, setScatterY] = useState("nox_percent");
+
+  const runs = useMemo(() => selectRuns(RUNS, selected), [selected]);
+  const axis = (key) => ({
+    key,
+    digits: META.columns[key].digits,
+    label: `${t(`pilot.metrics.${key}`)} (${META.columns[key].unit})`,
+  });
+  const options = METRICS.map((m) => [m, t(`pilot.metrics.${m}`)]);
+  const ids = runs.map((r) => r.id).join(", ");
+
+  const toggle = (id) => setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+
+  return (
+    <section id="pilot-data" className="mx-auto max-w-7xl px-6 py-20 border-t border-line-subtle">
+      <h2 className="text-4xl font-semibold">{t("pilot.title")}</h2>
+      <p className="mt-4 text-lg text-ink-muted max-w-3xl">{t("pilot.intro")}</p>
+      {META.status !== "measured" && (
+        <p className="mt-4 max-w-3xl rounded-card border border-line bg-panel p-4 text-sm">
+          <span className="font-semibold text-alert">{t("pilot.illustrativeLabel")}</span> {t("pilot.illustrative")}
+        </p>
+      )}
+
+      <div className="mt-10 grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-10">
+        <div className="space-y-6">
+          <fieldset>
+            <legend className="text-sm font-medium">{t("pilot.runs")}</legend>
+            <ul className="mt-2 space-y-2">
+              {RUNS.map((run) => (
+                <li key={run.id}>
+                  <label className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(run.id)}
+                      onChange={() => toggle(run.id)}
+                      className="accent-focus"
+                    />
+                    <span aria-hidden="true" className="inline-block h-2 w-3 rounded-sm" style={{ background: color(run) }} />
+                    {t("pilot.run", { id: run.id, power: num(run.setpointKw, 0), flow: num(run.gasFlowSlm, 0) })}
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </fieldset>
+          <Select id="pilot-metric" label={t("pilot.metric")} value={metric} onChange={setMetric} options={options} />
+          <div className="grid grid-cols-2 gap-4">
+            <Select id="pilot-x" label={t("pilot.x")} value={scatterX} onChange={setScatterX} options={options} />
+            <Select id="pilot-y" label={t("pilot.y")} value={scatterY} onChange={setScatterY} options={options} />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              className={BUTTON}
+              disabled={!runs.length}
+              onClick={() => downloadText(downloadName(META, "csv"), runsToCsv(META, runs))}
+            >
+              {t("pilot.downloadCsv")}
+            </button>
+            <button
+              type="button"
+              className={BUTTON}
+              disabled={!runs.length}
+              onClick={() =>
+                downloadText(downloadName(META, "json"), runsToJson(META, runs), "application/json;charset=utf-8")
+              }
+            >
+              {t("pilot.downloadJson")}
+            </button>
+          </div>
+        </div>
+
+        <div className="space-y-4">
+          {runs.length ? (
+            <>
+              <Plot
+                id="pilot-series"
+                title={t("pilot.overTime", { metric: t(`pilot.metrics.${metric}`) })}
+                summary={t("pilot.seriesSummary", { metric: t(`pilot.metrics.${metric}`), runs: ids })}
+                x={axis("minute")}
+                y={axis(metric)}
+                runs={runs}
+                lines
+                num={num}
+              />
+              <Plot
+                id="pilot-scatter"
+                title={t("pilot.against", { x: t(`pilot.metrics.${scatterX}`), y: t(`pilot.metrics.${scatterY}`) })}
+                summary={t("pilot.scatterSummary", {
+                  x: t(`pilot.metrics.${scatterX}`),
+                  y: t(`pilot.metrics.${scatterY}`),
+                  runs: ids,
+                })}
+                x={axis(scatterX)}
+                y={axis(scatterY)}
+                runs={runs}
+                num={num}
+              />
+            </>
+          ) : (
+            <p aria-live="polite" className="rounded-card border border-line-subtle bg-panel p-4 text-sm">
+              {t("pilot.noRuns")}
+            </p>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <caption className="mb-2 text-left text-xs text-ink-muted">
+                {t("pilot.caption", { minutes: STEADY_AFTER_MIN })}
+              </caption>
+              <thead>
+                <tr className="border-b border-line">
+                  <th scope="col" className="py-2 pr-4">{t("pilot.table.run")}</th>
+                  <th scope="col" className="py-2 pr-4">{t("pilot.table.power")}</th>
+                  <th scope="col" className="py-2 pr-4">{t("pilot.table.nox")}</th>
+                  <th scope="col" className="py-2 pr-4">{t("pilot.table.energy")}</th>
+                  <th scope="col" className="py-2">{t("pilot.table.acid")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(runSummary).map((s) => (
+                  <tr key={s.id} className="border-b border-line-subtle">
+                    <th scope="row" className="py-2 pr-4 font-medium">{s.id}</th>
+                    <td className="py-2 pr-4 font-mono">{num(s.powerKw, 1)} kW</td>
+                    <td className="py-2 pr-4 font-mono">{num(s.noxPercent, 2)} %</td>
+                    <td className="py-2 pr-4 font-mono">{num(s.energyMjPerMolN, 2)} MJ/mol</td>
+                    <td className="py-2 font-mono">
+                      {t("pilot.table.acidAfter", { value: num(s.finalHno3WtPercent, 1), hours: num(s.minutes / 60, 0) })}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <details className="mt-10 text-sm">
+        <summary className="cursor-pointer font-semibold">
+          {t("pilot.about", { version: META.version, date: META.updated })}
+        </summary>
+        <p className="mt-3 max-w-3xl text-ink-muted">{t("pilot.basis")}</p>
+        <p className="mt-3 text-ink-muted">
+          {t("pilot.source")}{" "}
+          <a href={META.source.url} target="_blank" rel="noopener noreferrer" className="underline hover:text-accent">
+            {META.source.title} — {META.source.publisher} ({META.source.year})
+          </a>
+        </p>
+      </details>
+    </section>
+  );
+}
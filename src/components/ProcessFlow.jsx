@@ -0,0 +1,210 @@
+import React, { useRef, useState } from "react";
+import RichText from "./RichText.jsx";
+import { useI18n } from "../i18n/context.js";
+
+// Layout is fixed; labels come from how-it-works.json. Keys match step ids.
+const NODE_W = 180;
+const NODE_H = 64;
+const NODES = {
+  "nitric-acid": { x: 150, y: 50 },
+  "ammonia-stripping": { x: 150, y: 270 },
+  neutralization: { x: 480, y: 160 },
+  "water-recycle": { x: 480, y: 330 },
+};
+
+// from/to are step ids; "in"/"out" are the edges of the drawing.
+const FLOWS = [
+  { id: "inputs", from: "in", to: "nitric-acid", d: "M10 82 H150", at: [14, 70], anchor: "start" },
+  { id: "acid", from: "nitric-acid", to: "neutralization", d: "M330 72 C420 72 420 178 480 178", at: [405, 100] },
+  { id: "heat", from: "nitric-acid", to: "ammonia-stripping", d: "M240 114 V270", at: [250, 196], anchor: "start" },
+  { id: "ammonia", from: "ammonia-stripping", to: "neutralization", d: "M330 290 C410 290 410 206 480 206", at: [405, 262] },
+  { id: "water", from: "ammonia-stripping", to: "water-recycle", d: "M330 316 C400 316 400 352 480 352", at: [400, 352] },
+  { id: "digestate", from: "water-recycle", to: "ammonia-stripping", d: "M480 380 C380 430 260 430 240 334", at: [350, 432] },
+  { id: "fertilizer", from: "neutralization", to: "out", d: "M660 192 H790", at: [786, 180], anchor: "end" },
+];
+
+// Per-flow theme tokens (src/index.css), e.g. --color-flow-acid.
+function flowColor(flow) {
+  return `var(--color-flow-${flow.id})`;
+}
+
+function touches(flow, stepId) {
+  return flow.from === stepId || flow.to === stepId;
+}
+
+/* ---------- Process diagram ---------- */
+function Diagram({ content, steps, activeId, onSelect }) {
+  const { t } = useI18n();
+  return (
+    <svg viewBox="0 0 800 450" role="img" aria-label={t("process.diagramLabel")} className="w-full h-auto">
+      <defs>
+        {FLOWS.map((f) => (
+          <marker
+            key={f.id}
+            id={`flow-arrow-${f.id}`}
+            viewBox="0 0 10 10"
+            refX="9"
+            refY="5"
+            markerWidth="7"
+            markerHeight="7"
+            orient="auto-start-reverse"
+          >
+            <path d="M0 0 L10 5 L0 10 z" style={{ fill: flowColor(f) }} />
+          </marker>
+        ))}
+      </defs>
+
+      {FLOWS.map((f) => {
+        const lit = touches(f, activeId);
+        const [lx, ly] = f.at;
+        return (
+          <g key={f.id} className="transition-opacity duration-300" opacity={lit ? 1 : 0.35}>
+            <path d={f.d} fill="none" style={{ stroke: flowColor(f) }} strokeWidth={lit ? 4 : 2.5} markerEnd={`url(#flow-arrow-${f.id})`} />
+            <path
+              d={f.d}
+              fill="none"
+              strokeOpacity="0.7"
+              strokeWidth="1.5"
+              strokeDasharray="4 14"
+              className="stroke-ink motion-safe:animate-[flow-dash_1.2s_linear_infinite]"
+            />
+            <text x={lx} y={ly} textAnchor={f.anchor || "middle"} fontSize="13" fontWeight="600" className="fill-ink">
+              {content.flows[f.id]}
+            </text>
+          </g>
+        );
+      })}
+
+      {steps.map((step, i) => {
+        const { x, y } = NODES[step.id];
+        const active = step.id === activeId;
+        return (
+          // Mouse/touch shortcut only; the step tabs below are the keyboard route.
+          <g key={step.id} onClick={() => onSelect(step.id)} className="cursor-pointer">
+            <rect
+              x={x}
+              y={y}
+              width={NODE_W}
+              height={NODE_H}
+              rx="14"
+              strokeWidth={active ? 3 : 1.5}
+              className={`transition-colors duration-300 ${active ? "fill-inverse stroke-focus" : "fill-panel-strong stroke-line"}`}
+            />
+            <text
+              x={x + NODE_W / 2}
+              y={y + NODE_H / 2 + 5}
+              textAnchor="middle"
+              fontSize="15"
+              fontWeight="600"
+              className={active ? "fill-on-inverse" : "fill-ink"}
+            >
+              {i + 1}. {step.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+/* ---------- How it works: diagram + step details ---------- */
+export default function ProcessFlow({ content }) {
+  const { t } = useI18n();
+  const steps = content.steps.filter((s) => NODES[s.id]);
+  const [activeId, setActiveId] = useState(steps[0]?.id);
+  const tabs = useRef({});
+  const active = steps.find((s) => s.id === activeId) || steps[0];
+
+  // Roving focus between the step tabs (WAI-ARIA tabs pattern).
+  const onKeyDown = (e) => {
+    const i = steps.findIndex((s) => s.id === active.id);
+    const moves = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: steps.length - 1 };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    const next = steps[(moves[e.key] + steps.length) % steps.length];
+    setActiveId(next.id);
+    tabs.current[next.id]?.focus();
+  };
+
+  if (!active) return null;
+
+  return (
+    <section id={content.id} className="mx-auto max-w-7xl px-6 py-20 border-t border-line-subtle">
+      <h2 className="text-4xl font-semibold">{content.title}</h2>
+
+      <div className="mt-8 grid lg:grid-cols-[minmax(0,3fr)_minmax(0,2fr)] gap-8 items-start">
+        <div className="rounded-panel border border-line-subtle bg-panel-subtle p-4">
+          <Diagram content={content} steps={steps} activeId={active.id} onSelect={setActiveId} />
+        </div>
+
+        <div>
+          <ol role="tablist" aria-label={t("process.steps")} aria-orientation="vertical" className="grid gap-2">
+            {steps.map((step, i) => {
+              const selected = step.id === active.id;
+              return (
+                <li key={step.id} role="presentation">
+                  <button
+                    ref={(el) => (tabs.current[step.id] = el)}
+                    type="button"
+                    role="tab"
+                    id={`process-tab-${step.id}`}
+                    aria-selected={selected}
+                    aria-controls="process-panel"
+                    tabIndex={selected ? 0 : -1}
+                    onClick={() => setActiveId(step.id)}
+                    onKeyDown={onKeyDown}
+                    className={[
+                      "w-full text-left rounded-card border px-4 py-3 font-semibold transition-colors focus:outline-none focus:ring-2 focus:ring-focus",
+                      selected
+                        ? "bg-inverse text-on-inverse border-inverse"
+                        : "bg-panel border-line-subtle hover:bg-panel-strong",
+                    ].join(" ")}
+                  >
+                    {i + 1}. {step.label}
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+
+          <div
+            id="process-panel"
+            role="tabpanel"
+            aria-labelledby={`process-tab-${active.id}`}
+            className="mt-4 rounded-card border border-line-subtle bg-panel p-5"
+          >
+            <p className="text-lg text-ink-muted">
+              <RichText text={active.text} />
+            </p>
+            <dl className="mt-4 grid sm:grid-cols-2 gap-4 text-sm">
+              <div>
+                <dt className="font-semibold text-ink-muted">{t("process.inputs")}</dt>
+                <dd>
+                  <ul className="mt-1 list-disc list-inside">
+                    {active.inputs.map((x) => (
+                      <li key={x}>{x}</li>
+                    ))}
+                  </ul>
+                </dd>
+              </div>
+              <div>
+                <dt className="font-semibold text-ink-muted">{t("process.outputs")}</dt>
+                <dd>
+                  <ul className="mt-1 list-disc list-inside">
+                    {active.outputs.map((x) => (
+                      <li key={x}>{x}</li>
+                    ))}
+                  </ul>
+                </dd>
+              </div>
+              <div className="sm:col-span-2">
+                <dt className="font-semibold text-ink-muted">{t("process.energy")}</dt>
+                <dd className="mt-1">{active.energy}</dd>
+              </div>
+            </dl>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
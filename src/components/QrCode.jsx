@@ -0,0 +1,16 @@
+import React from "react";
+import { QR_CODES, qrPath } from "../lib/qrCodes.js";
+
+/* ---------- QR code for a URL (encoded at build time) ---------- */
+// Always dark on white, whatever the theme, so phones can read it.
+export default function QrCode({ url, label, className = "" }) {
+  const rows = QR_CODES[url];
+  if (!rows) return null;
+  const size = rows.length + 8;
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} role="img" aria-label={label} shapeRendering="crispEdges" className={className}>
+      <rect width={size} height={size} fill="#ffffff" />
+      <path d={qrPath(rows)} fill="#000000" />
+    </svg>
+  );
+}
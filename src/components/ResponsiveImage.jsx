@@ -0,0 +1,72 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { AssetUrls } from "../lib/assetUrls.js";
+import { IMAGE_MANIFEST } from "../lib/imageManifest.js";
+
+const FORMATS = [
+  ["avif", "image/avif"],
+  ["webp", "image/webp"],
+];
+
+function srcSet(meta, ext, assetUrl) {
+  return meta.widths.map((w) => `${assetUrl(`${meta.base}-${w}.${ext}`)} ${w}w`).join(", ");
+}
+
+/**
+ * <picture> with AVIF/WebP variants, intrinsic size and a blurred preview.
+ * `file` is a public/ file name as used in content JSON, e.g. "chicken.jpg".
+ * If a variant fails to load we retry with the original, and if that fails
+ * too the placeholder stays in place (never a remote stand-in).
+ */
+export default function ResponsiveImage({
+  file,
+  alt,
+  sizes = "100vw",
+  className = "",
+  loading = "lazy",
+  fetchPriority,
+}) {
+  const assetUrl = useContext(AssetUrls);
+  const meta = IMAGE_MANIFEST[file];
+  // "variants" -> "original" -> "failed"
+  const [stage, setStage] = useState(meta ? "variants" : "original");
+  const [loaded, setLoaded] = useState(false);
+  const imgRef = useRef(null);
+
+  // A prerendered image may finish loading before hydration attaches onLoad.
+  useEffect(() => {
+    if (imgRef.current?.complete && imgRef.current.naturalWidth > 0) setLoaded(true);
+  }, []);
+
+  const placeholder = meta && !loaded ? { backgroundImage: `url("${meta.placeholder}")`, backgroundSize: "cover" } : undefined;
+
+  if (stage === "failed") {
+    return <span role="img" aria-label={alt} className={`block bg-panel ${className}`} style={placeholder} />;
+  }
+
+  const img = (
+    <img
+      ref={imgRef}
+      src={assetUrl(file)}
+      alt={alt}
+      width={meta?.width}
+      height={meta?.height}
+      loading={loading}
+      decoding="async"
+      fetchPriority={fetchPriority}
+      className={className}
+      style={placeholder}
+      onLoad={() => setLoaded(true)}
+      onError={() => setStage((s) => (s === "variants" ? "original" : "failed"))}
+    />
+  );
+
+  if (stage !== "variants") return img;
+  return (
+    <picture className="contents">
+      {FORMATS.map(([ext, type]) => (
+        <source key={ext} type={type} srcSet={srcSet(meta, ext, assetUrl)} sizes={sizes} />
+      ))}
+      {img}
+    </picture>
+  );
+}
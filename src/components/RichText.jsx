@@ -0,0 +1,16 @@
+import React from "react";
+
+// Content strings support two inline marks: **bold** and *emphasis*.
+const TOKEN = /(\*\*[^*]+\*\*|\*[^*]+\*)/g;
+
+export default function RichText({ text }) {
+  return text.split(TOKEN).map((part, i) => {
+    if (part.startsWith("**") && part.endsWith("**") && part.length > 4) {
+      return <strong key={i}>{part.slice(2, -2)}</strong>;
+    }
+    if (part.startsWith("*") && part.endsWith("*") && part.length > 2) {
+      return <em key={i}>{part.slice(1, -1)}</em>;
+    }
+    return part;
+  });
+}
@@ -0,0 +1,86 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useI18n } from "../i18n/context.js";
+import { navigate } from "../lib/router.js";
+import { scrollProgress } from "../lib/sectionNav.js";
+
+function prefersReducedMotion() {
+  return window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false;
+}
+
+function useScrollProgress() {
+  const [progress, setProgress] = useState(0);
+  useEffect(() => {
+    let frame = 0;
+    const update = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() =>
+        setProgress(scrollProgress(window.scrollY, document.documentElement.scrollHeight, window.innerHeight))
+      );
+    };
+    update();
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, []);
+  return progress;
+}
+
+/* ---------- Sticky "on this page" strip with scroll-spy + reading progress ---------- */
+// `sections` is [{ id, label }] in page order and `current` the id being read
+// (useActiveSection). Plain #id links, so it works before hydration too; once
+// hydrated, jumps scroll smoothly and add a
+// history entry (Back returns to the previous section), and a Collapsible
+// opens itself when its hash comes up.
+export default function SectionNav({ sections, current }) {
+  const { t } = useI18n();
+  const progress = useScrollProgress();
+  const listRef = useRef(null);
+
+  // Keep the current link within the strip on narrow screens.
+  useEffect(() => {
+    const list = listRef.current;
+    const link = list?.querySelector("[aria-current]");
+    if (!link) return;
+    const left = link.offsetLeft - (list.clientWidth - link.offsetWidth) / 2;
+    list.scrollTo({ left, behavior: prefersReducedMotion() ? "auto" : "smooth" });
+  }, [current]);
+
+  const jump = (e, id) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    const target = document.getElementById(id);
+    if (!target) return;
+    e.preventDefault();
+    if (window.location.hash !== `#${id}`) navigate(`#${id}`);
+    target.scrollIntoView({ behavior: prefersReducedMotion() ? "auto" : "smooth", block: "start" });
+  };
+
+  return (
+    <nav aria-label={t("sectionNav.label")} data-section-nav="" className="border-t border-line-subtle">
+      <div className="mx-auto max-w-7xl px-6">
+        <ol ref={listRef} className="flex gap-1 overflow-x-auto py-2 text-sm [scrollbar-width:none]">
+          {sections.map((s) => (
+            <li key={s.id} className="shrink-0">
+              <a
+                href={`#${s.id}`}
+                onClick={(e) => jump(e, s.id)}
+                aria-current={current === s.id ? "location" : undefined}
+                className={`block whitespace-nowrap rounded-control px-3 py-1 ${
+                  current === s.id ? "bg-panel-strong font-semibold text-ink" : "text-ink-muted hover:text-accent"
+                }`}
+              >
+                {s.label}
+              </a>
+            </li>
+          ))}
+        </ol>
+      </div>
+      <div aria-hidden="true" className="h-0.5 bg-line-subtle">
+        <div className="h-full origin-left bg-accent" style={{ transform: `scaleX(${progress})` }} />
+      </div>
+    </nav>
+  );
+}
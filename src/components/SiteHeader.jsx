@@ -0,0 +1,291 @@
+import React, { useCallback, useEffect, useId, useRef, useState } from "react";
+import Link from "./Link.jsx";
+import LocaleSwitcher from "./LocaleSwitcher.jsx";
+import SectionNav from "./SectionNav.jsx";
+import ThemeSwitcher from "./ThemeSwitcher.jsx";
+import { useI18n } from "../i18n/context.js";
+import { PRODUCT_PAGES, SITE_LINKS } from "../lib/organization.js";
+import { SITE_PAGES, currentNavItem } from "../lib/siteNav.js";
+import useFocusTrap from "../lib/useFocusTrap.js";
+import { useActiveSection } from "../lib/useInView.js";
+
+// The Contact Us button; ringed while the quote form is open.
+const CONTACT =
+  "px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover aria-[current=page]:ring-2 aria-[current=page]:ring-accent aria-[current=page]:ring-offset-2 aria-[current=page]:ring-offset-surface";
+
+function Chevron({ open }) {
+  return (
+    <svg viewBox="0 0 12 12" aria-hidden="true" className={`h-3 w-3 transition-transform ${open ? "rotate-180" : ""}`}>
+      <path d="M2 4l4 4 4-4" fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+// This site's pages; the one for the current route is marked.
+function SitePages({ item, className, onNavigate }) {
+  const { t } = useI18n();
+  return (
+    <ul className={className}>
+      {SITE_PAGES.map((p) => (
+        <li key={p.key}>
+          <Link
+            to={p.to}
+            onClick={onNavigate}
+            aria-current={item === p.key ? "page" : undefined}
+            className={item === p.key ? "font-semibold text-accent" : "hover:text-accent"}
+          >
+            {t(`nav.${p.key}`)}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/* ---------- Products disclosure (desktop) ---------- */
+function ProductsMenu() {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+  const buttonRef = useRef(null);
+  const menuId = useId();
+
+  useEffect(() => {
+    if (!open) return;
+    const onKeyDown = (e) => {
+      if (e.key !== "Escape") return;
+      setOpen(false);
+      buttonRef.current?.focus();
+    };
+    const onPointerDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("keydown", onKeyDown);
+    document.addEventListener("pointerdown", onPointerDown);
+    return () => {
+      document.removeEventListener("keydown", onKeyDown);
+      document.removeEventListener("pointerdown", onPointerDown);
+    };
+  }, [open]);
+
+  return (
+    <div
+      ref={rootRef}
+      className="relative"
+      // Tabbing past the last link closes it, like clicking elsewhere.
+      onBlur={(e) => {
+        if (!rootRef.current.contains(e.relatedTarget)) setOpen(false);
+      }}
+    >
+      <button
+        ref={buttonRef}
+        type="button"
+        aria-expanded={open}
+        aria-controls={menuId}
+        onClick={() => setOpen((o) => !o)}
+        className="inline-flex items-center gap-1.5 hover:text-accent"
+      >
+        {t("nav.products")}
+        <Chevron open={open} />
+      </button>
+      <ul
+        id={menuId}
+        hidden={!open}
+        className="absolute left-0 top-full mt-3 w-64 rounded-card border border-line bg-surface-raised p-2 shadow-xl"
+      >
+        {PRODUCT_PAGES.map((p) => (
+          <li key={p.href}>
+            <a href={p.href} className="block rounded-control px-3 py-2 hover:bg-panel hover:text-accent">
+              {p.name}
+            </a>
+          </li>
+        ))}
+        <li className="mt-1 border-t border-line-subtle pt-1">
+          <a href={SITE_LINKS.products} className="block rounded-control px-3 py-2 text-ink-muted hover:bg-panel hover:text-accent">
+            {t("nav.allProducts")}
+          </a>
+        </li>
+      </ul>
+    </div>
+  );
+}
+
+/* ---------- Slide-in menu (mobile) ---------- */
+function Drawer({ id, path, item, sections, current, onClose }) {
+  const { t } = useI18n();
+  const panelRef = useRef(null);
+  useFocusTrap(panelRef, true);
+
+  useEffect(() => {
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => {
+      document.body.style.overflow = overflow;
+      window.removeEventListener("keydown", onKeyDown);
+    };
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-50 md:hidden">
+      <div aria-hidden="true" className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        ref={panelRef}
+        id={id}
+        role="dialog"
+        aria-modal="true"
+        aria-label={t("nav.menu")}
+        tabIndex={-1}
+        className="absolute inset-y-0 right-0 flex w-80 max-w-[85vw] flex-col gap-6 overflow-y-auto bg-surface p-6 shadow-2xl"
+      >
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            aria-label={t("nav.closeMenu")}
+            className="h-10 w-10 rounded-control border border-line text-xl hover:bg-panel"
+          >
+            ✕
+          </button>
+        </div>
+        <nav aria-label={t("nav.site")}>
+          <SitePages item={item} onNavigate={onClose} className="flex flex-col gap-4 text-base" />
+        </nav>
+        {sections && (
+          <nav aria-label={t("sectionNav.label")}>
+            <ol className="space-y-2 border-l border-line pl-4 text-sm">
+              {sections.map((s) => (
+                <li key={s.id}>
+                  <a
+                    href={`#${s.id}`}
+                    onClick={onClose}
+                    aria-current={current === s.id ? "location" : undefined}
+                    className={current === s.id ? "font-semibold text-ink" : "text-ink-muted hover:text-accent"}
+                  >
+                    {s.label}
+                  </a>
+                </li>
+              ))}
+            </ol>
+          </nav>
+        )}
+        <nav aria-label={t("nav.label")} className="flex flex-col gap-4 border-t border-line-subtle pt-6 text-base">
+          <a href={SITE_LINKS.home} className="hover:text-accent">
+            {t("nav.home")}
+          </a>
+          <div>
+            <a href={SITE_LINKS.products} className="hover:text-accent">
+              {t("nav.products")}
+            </a>
+            <ul className="mt-2 space-y-2 border-l border-line pl-4 text-sm text-ink-muted">
+              {PRODUCT_PAGES.map((p) => (
+                <li key={p.href}>
+                  <a href={p.href} className="hover:text-accent">
+                    {p.name}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </div>
+          <a href={SITE_LINKS.applications} className="hover:text-accent">
+            {t("nav.applications")}
+          </a>
+          <a href={SITE_LINKS.instruments} className="hover:text-accent">
+            Radom Instruments
+          </a>
+        </nav>
+        <div className="flex flex-wrap gap-3">
+          <LocaleSwitcher path={path} />
+          <ThemeSwitcher />
+        </div>
+        <Link
+          to="/quote?from=header"
+          onClick={onClose}
+          aria-current={item === "contact" ? "page" : undefined}
+          className={`${CONTACT} text-center`}
+        >
+          {t("nav.contact")}
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- Header ---------- */
+// `route` is the matched route's name; it marks the current page. `sections`
+// ([{ id, label }], home page only) adds the section navigator, with the
+// section being read marked in it and in the mobile menu.
+export default function SiteHeader({ path, route, sections }) {
+  const { t } = useI18n();
+  const item = currentNavItem(route);
+  const current = useActiveSection(sections?.map((s) => s.id) ?? []);
+  const [menuOpen, setMenuOpen] = useState(false);
+  const closeMenu = useCallback(() => setMenuOpen(false), []);
+  const drawerId = useId();
+
+  // A page change (e.g. switching language from the drawer) closes the menu.
+  const [shownPath, setShownPath] = useState(path);
+  if (path !== shownPath) {
+    setShownPath(path);
+    setMenuOpen(false);
+  }
+
+  return (
+    <>
+      <header className="sticky top-0 z-40 bg-surface/95 backdrop-blur border-b border-line print:hidden">
+        <div className="mx-auto max-w-7xl px-6 py-4 flex items-center justify-between gap-4">
+          <nav aria-label={t("nav.label")} className="hidden md:flex items-center gap-8 text-sm">
+            <a href={SITE_LINKS.home} className="hover:text-accent">
+              {t("nav.home")}
+            </a>
+            <ProductsMenu />
+            <a href={SITE_LINKS.applications} className="hover:text-accent">
+              {t("nav.applications")}
+            </a>
+            <a href={SITE_LINKS.instruments} className="hover:text-accent">
+              Radom Instruments
+            </a>
+          </nav>
+          <span className="md:hidden font-semibold">N2bio</span>
+          <div className="flex items-center gap-4">
+            <div className="hidden md:flex items-center gap-3">
+              <LocaleSwitcher path={path} />
+              <ThemeSwitcher />
+            </div>
+            <Link
+              to="/quote?from=header"
+              aria-current={item === "contact" ? "page" : undefined}
+              className={`${CONTACT} whitespace-nowrap`}
+            >
+              {t("nav.contact")}
+            </Link>
+            <button
+              type="button"
+              onClick={() => setMenuOpen(true)}
+              aria-expanded={menuOpen}
+              aria-controls={drawerId}
+              aria-label={t("nav.menu")}
+              className="md:hidden h-10 w-10 rounded-control border border-line hover:bg-panel"
+            >
+              <svg viewBox="0 0 24 24" aria-hidden="true" className="mx-auto h-5 w-5">
+                <path d="M4 7h16M4 12h16M4 17h16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" />
+              </svg>
+            </button>
+          </div>
+        </div>
+        <nav aria-label={t("nav.site")} className="hidden md:block border-t border-line-subtle">
+          <SitePages item={item} className="mx-auto max-w-7xl px-6 py-2 flex items-center gap-6 text-sm" />
+        </nav>
+        {sections && <SectionNav sections={sections} current={current} />}
+      </header>
+      {/* Outside the header: its backdrop-blur would make it the containing
+          block for the drawer's fixed positioning. */}
+      {menuOpen && (
+        <Drawer id={drawerId} path={path} item={item} sections={sections} current={current} onClose={closeMenu} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useMemo, useState } from "react";
+import { sizeSystem } from "../lib/sizing.js";
+import { formatCurrency, formatNumber, toNumber } from "../lib/format.js";
+import { Field, Stat } from "./CalculatorParts.jsx";
+import { useI18n } from "../i18n/context.js";
+
+/* ---------- System sizing + ROI calculator ---------- */
+export default function SizingCalculator() {
+  const { t, intl } = useI18n();
+  const num = (v, d) => formatNumber(v, d, intl);
+  const usd = (v) => formatCurrency(v, intl);
+  const [source, setSource] = useState("flock");
+  const [flockSize, setFlockSize] = useState("50000");
+  const [manure, setManure] = useState("");
+  const [digestate, setDigestate] = useState("");
+  const [spend, setSpend] = useState("60000");
+  const [price, setPrice] = useState("0.06");
+
+  const r = useMemo(
+    () =>
+      sizeSystem({
+        flockSize: source === "flock" ? toNumber(flockSize) : 0,
+        manureTonnesYr: source === "manure" ? toNumber(manure) : 0,
+        digestateM3Yr: toNumber(digestate),
+        fertilizerSpendYr: toNumber(spend),
+        electricityPricePerKwh: toNumber(price),
+      }),
+    [source, flockSize, manure, digestate, spend, price]
+  );
+
+  const unitLabel = t(r.unit.kind === "sirius" ? "sizing.sirius" : "sizing.whiteBoxes", { count: r.unit.count });
+
+  return (
+    <section id="calculator" className="mx-auto max-w-7xl px-6 py-20 border-t border-line-subtle">
+      <h2 className="text-4xl font-semibold">{t("sizing.title")}</h2>
+      <p className="mt-4 text-lg text-ink-muted max-w-3xl">{t("sizing.intro")}</p>
+
+      <div className="mt-10 grid lg:grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-10">
+        <form className="space-y-5" onSubmit={(e) => e.preventDefault()}>
+          <fieldset>
+            <legend className="text-sm font-medium">{t("sizing.sizeBy")}</legend>
+            <div className="mt-2 flex gap-2">
+              {[
+                ["flock", t("sizing.byFlock")],
+                ["manure", t("sizing.byManure")],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  aria-pressed={source === value}
+                  onClick={() => setSource(value)}
+                  className={[
+                    "px-4 py-2 rounded-control text-sm font-semibold border border-line",
+                    source === value ? "bg-inverse text-on-inverse" : "bg-panel hover:bg-panel-strong",
+                  ].join(" ")}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          {source === "flock" ? (
+            <Field id="calc-flock" label={t("sizing.birds")} step="1000" value={flockSize} onChange={setFlockSize} />
+          ) : (
+            <Field id="calc-manure" label={t("sizing.manure")} value={manure} onChange={setManure} />
+          )}
+          <Field
+            id="calc-digestate"
+            label={t("sizing.digestate")}
+            hint={t("sizing.digestateHint")}
+            value={digestate}
+            onChange={setDigestate}
+          />
+          <Field id="calc-spend" label={t("sizing.spend")} step="1000" value={spend} onChange={setSpend} />
+          <Field id="calc-price" label={t("sizing.price")} step="0.01" value={price} onChange={setPrice} />
+        </form>
+
+        <div aria-live="polite">
+          <dl className="grid sm:grid-cols-2 xl:grid-cols-3 gap-4">
+            <Stat label={t("sizing.system")} value={r.unit.count > 0 ? unitLabel : "—"} />
+            <Stat label={t("sizing.nitricAcid")} value={num(r.nitricAcidKgYr / 1000, 1)} unit={t("units.tPerYear")} />
+            <Stat label={t("sizing.fertilizerN")} value={num(r.fertilizerNKgYr / 1000, 1)} unit={t("units.tNPerYear")} />
+            <Stat label={t("sizing.electricity")} value={num(r.energyKwhYr / 1000, 0)} unit={t("units.mwhPerYear")} />
+            <Stat label={t("sizing.heat")} value={num(r.heatKwhYr / 1000, 0)} unit={t("units.mwhPerYear")} />
+            <Stat label={t("sizing.utilization")} value={num(r.utilization * 100, 0)} unit="%" />
+            <Stat label={t("sizing.electricityCost")} value={usd(r.electricityCostYr)} unit={t("units.perYear")} />
+            <Stat label={t("sizing.netSavings")} value={usd(r.netSavingsYr)} unit={t("units.perYear")} />
+            <Stat
+              label={t("sizing.payback")}
+              value={Number.isFinite(r.paybackYears) ? num(r.paybackYears, 1) : t("units.notAvailable")}
+              unit={Number.isFinite(r.paybackYears) ? t("units.years") : ""}
+            />
+          </dl>
+          <p className="mt-4 text-xs text-ink-muted">
+            {t("sizing.note", {
+              digestate: num(r.digestateM3Yr, 0),
+              ammonia: num(r.assumptions.digestateAmmoniaNKgPerM3, 1),
+              energy: num(r.assumptions.energyPerMolNMJ, 1),
+              capex: usd(r.assumptions.whiteBoxCapex),
+            })}
+          </p>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,27 @@
+import React from "react";
+import { useI18n } from "../i18n/context.js";
+import { THEME_CHOICES } from "../lib/theme.js";
+import useTheme from "../lib/useTheme.js";
+
+/* ---------- Header theme picker ---------- */
+export default function ThemeSwitcher() {
+  const { t } = useI18n();
+  const [choice, setChoice] = useTheme();
+
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <span className="sr-only">{t("theme.label")}</span>
+      <select
+        value={choice}
+        onChange={(e) => setChoice(e.target.value)}
+        className="rounded-control border border-line bg-panel px-2 py-2 text-ink focus:outline-none focus:ring-2 focus:ring-focus"
+      >
+        {THEME_CHOICES.map((c) => (
+          <option key={c} value={c}>
+            {t(`theme.${c}`)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
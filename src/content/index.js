@@ -0,0 +1,21 @@
+// Page copy lives in the JSON files under ./<locale>/; see README.md here.
+import { DEFAULT_LOCALE } from "../i18n/locales.js";
+
+const files = import.meta.glob("./*/*.json", { eager: true, import: "default" });
+
+// "./es/how-it-works.json" -> ["es", "howItWorks"]
+function keyOf(path) {
+  const [, locale, name] = path.match(/^\.\/([^/]+)\/(.+)\.json$/);
+  return [locale, name.replace(/-([a-z])/g, (_, c) => c.toUpperCase())];
+}
+
+const byLocale = {};
+for (const [path, data] of Object.entries(files)) {
+  const [locale, key] = keyOf(path);
+  (byLocale[locale] ||= {})[key] = data;
+}
+
+// Whole-file fallback: a locale that lacks a file shows the English one.
+export function getContent(locale) {
+  return { ...byLocale[DEFAULT_LOCALE], ...byLocale[locale] };
+}
@@ -0,0 +1,309 @@
+// --- Content schema + validator -------------------------------------------
+// Used by scripts/validate-content.js, which runs before every build, so
+// keep it plain Node-compatible JS (no Vite or DOM APIs).
+
+import { MEDIA_TOPICS, MEDIA_TYPES, REQUIRED_BY_TYPE } from "../lib/library.js";
+import { parseTimestamp } from "../lib/youtube.js";
+
+// Words that mean "copy isn't finished". `X tons`-style blanks included.
+export const PLACEHOLDER_PATTERNS = [
+  /\b(TODO|TBD|FIXME|XXX)\b/,
+  /lorem ipsum/i,
+  /\bX\s+(tons?|tonnes?|kg|percent|%|times|MW|kW)\b/i,
+  /\[(insert|placeholder)[^\]]*\]/i,
+];
+
+// --- schema builders -------------------------------------------------------
+export const text = { type: "text" };
+export const image = { type: "image" };
+export const video = { type: "video" };
+export const href = { type: "href" };
+export const id = { type: "id" };
+export const bool = { type: "boolean" };
+export const timestamp = { type: "timestamp" };
+// Names, DOIs and the like: required like text, but never translated.
+export const literal = { type: "literal" };
+export const date = { type: "date" };
+// Position on an image, 0–100 from the top-left corner.
+export const percent = { type: "percent" };
+
+// One of a fixed set of ids, e.g. choice("paper", "video").
+export function choice(...values) {
+  return { type: "choice", values };
+}
+
+// `requires(value)` may name extra fields that become mandatory, e.g. by type.
+export function object(shape, { optional = [], requires } = {}) {
+  return { type: "object", shape, optional, requires };
+}
+
+export function list(of, { min = 1 } = {}) {
+  return { type: "list", of, min };
+}
+
+const imageBlock = object({ src: image, alt: text });
+const legalPage = object({ title: text, updated: text, sections: list(object({ heading: text, body: text })) });
+const ctaBlock = object({ label: text, href });
+
+// One entry per file in src/content/<locale>/.
+export const CONTENT_SCHEMA = {
+  "hero.json": object({ title: text, intro: text, cta: ctaBlock, image: imageBlock, caption: text }),
+  "diagrams.json": object({
+    id,
+    title: text,
+    closedLabel: text,
+    openLabel: text,
+    linkLabel: text,
+    items: list(object({ id, title: text, body: text, image, alt: text, imageFirst: bool })),
+  }),
+  "technology.json": object({ id, title: text, body: text }),
+  "how-it-works.json": object({
+    id,
+    title: text,
+    steps: list(object({ id, text, label: text, inputs: list(text), outputs: list(text), energy: text })),
+    // Labels for the arrows in the process diagram (geometry lives in ProcessFlow.jsx).
+    flows: object({
+      inputs: text,
+      acid: text,
+      heat: text,
+      ammonia: text,
+      water: text,
+      digestate: text,
+      fertilizer: text,
+    }),
+  }),
+  "benefits.json": object({
+    id,
+    title: text,
+    closedLabel: text,
+    openLabel: text,
+    items: list(object({ title: text, body: text })),
+  }),
+  "white-box.json": object({
+    id,
+    title: text,
+    paragraphs: list(text),
+    cta: ctaBlock,
+    image: imageBlock,
+    // Markers on the photo (components/HotspotImage.jsx)
+    hotspots: list(
+      object({ id, label: text, x: percent, y: percent, specs: list(object({ label: text, value: text })), body: text })
+    ),
+    caption: text,
+  }),
+  "media.json": object({
+    id,
+    title: text,
+    libraryLink: text,
+    items: list(
+      object(
+        {
+          id,
+          type: choice(...MEDIA_TYPES),
+          title: text,
+          description: text,
+          topics: list(choice(...MEDIA_TOPICS)),
+          featured: bool,
+          published: date,
+          // Videos and recorded talks
+          youtubeId: id,
+          thumbnail: image,
+          start: timestamp,
+          chapters: list(object({ time: timestamp, title: text })),
+          transcript: href,
+          // Local copy for kiosk mode, which may be offline
+          offlineVideo: video,
+          // Papers and posters
+          href,
+          image,
+          alt: text,
+          // Citation details, kept as published (never translated)
+          headline: literal,
+          authors: list(literal),
+          journal: literal,
+          volume: literal,
+          issue: literal,
+          pages: literal,
+          doi: literal,
+        },
+        {
+          optional: [
+            "featured",
+            "published",
+            "youtubeId",
+            "thumbnail",
+            "start",
+            "chapters",
+            "transcript",
+            "offlineVideo",
+            "href",
+            "image",
+            "alt",
+            "headline",
+            "authors",
+            "journal",
+            "volume",
+            "issue",
+            "pages",
+            "doi",
+          ],
+          requires: (item) => REQUIRED_BY_TYPE[item.type] ?? [],
+        }
+      )
+    ),
+  }),
+  "legal.json": object({ privacy: legalPage, terms: legalPage }),
+};
+
+// --- validator -------------------------------------------------------------
+
+function describe(v) {
+  if (v === null) return "null";
+  return Array.isArray(v) ? "array" : typeof v;
+}
+
+function checkString(value, path, errors) {
+  if (typeof value !== "string") {
+    errors.push(`${path}: expected string, got ${describe(value)}`);
+    return false;
+  }
+  if (value.trim().length === 0) {
+    errors.push(`${path}: must not be empty`);
+    return false;
+  }
+  const hit = PLACEHOLDER_PATTERNS.find((re) => re.test(value));
+  if (hit) errors.push(`${path}: contains placeholder text (${value.match(hit)[0]})`);
+  return true;
+}
+
+function validateNode(value, schema, path, errors, ctx) {
+  switch (schema.type) {
+    case "text":
+      checkString(value, path, errors);
+      break;
+    case "id":
+      if (checkString(value, path, errors) && !/^[A-Za-z0-9_-]+$/.test(value)) {
+        errors.push(`${path}: "${value}" is not a valid id (letters, digits, - and _ only)`);
+      }
+      break;
+    case "href":
+      if (checkString(value, path, errors) && !/^(https?:\/\/|mailto:|#|\/)/.test(value)) {
+        errors.push(`${path}: "${value}" must be an absolute URL, mailto:, #anchor or /path`);
+      }
+      break;
+    case "literal":
+      checkString(value, path, errors);
+      break;
+    case "date":
+      if (checkString(value, path, errors) && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        errors.push(`${path}: "${value}" is not a date (use YYYY-MM-DD)`);
+      }
+      break;
+    case "choice":
+      if (checkString(value, path, errors) && !schema.values.includes(value)) {
+        errors.push(`${path}: "${value}" must be one of ${schema.values.join(", ")}`);
+      }
+      break;
+    case "timestamp":
+      if (checkString(value, path, errors) && Number.isNaN(parseTimestamp(value))) {
+        errors.push(`${path}: "${value}" is not a time (use 90, 1:30 or 1:02:03)`);
+      }
+      break;
+    case "image":
+      if (checkString(value, path, errors) && ctx.assetExists && !ctx.assetExists(value)) {
+        errors.push(`${path}: image "${value}" not found in public/`);
+      }
+      break;
+    case "video":
+      if (!checkString(value, path, errors)) break;
+      if (!/\.(mp4|webm)$/i.test(value)) errors.push(`${path}: video "${value}" must be an .mp4 or .webm file`);
+      else if (ctx.assetExists && !ctx.assetExists(value)) errors.push(`${path}: video "${value}" not found in public/`);
+      break;
+    case "percent":
+      if (typeof value !== "number" || !(value >= 0 && value <= 100)) {
+        errors.push(`${path}: expected a number from 0 to 100, got ${describe(value)}`);
+      }
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${path}: expected true/false, got ${describe(value)}`);
+      break;
+    case "list":
+      if (!Array.isArray(value)) {
+        errors.push(`${path}: expected list, got ${describe(value)}`);
+        break;
+      }
+      if (value.length < schema.min) errors.push(`${path}: needs at least ${schema.min} item(s)`);
+      value.forEach((item, i) => validateNode(item, schema.of, `${path}[${i}]`, errors, ctx));
+      break;
+    case "object": {
+      if (describe(value) !== "object") {
+        errors.push(`${path}: expected object, got ${describe(value)}`);
+        break;
+      }
+      for (const [key, child] of Object.entries(schema.shape)) {
+        if (!(key in value)) {
+          if (!schema.optional.includes(key)) errors.push(`${path}.${key}: missing`);
+          continue;
+        }
+        validateNode(value[key], child, `${path}.${key}`, errors, ctx);
+      }
+      for (const key of Object.keys(value)) {
+        if (!(key in schema.shape)) errors.push(`${path}.${key}: unknown field`);
+      }
+      for (const key of schema.requires?.(value) ?? []) {
+        if (!(key in value)) errors.push(`${path}.${key}: missing (needed for this ${value.type ?? "item"})`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown schema type "${schema.type}" at ${path}`);
+  }
+}
+
+/**
+ * Validate every content file. `files` maps file name -> parsed JSON.
+ * ctx.assetExists(name) lets the caller check images against public/;
+ * ctx.allowMissing skips absent files (translations fall back to English).
+ * Returns a list of human-readable errors; empty means valid.
+ */
+export function validateContent(files, ctx = {}) {
+  const errors = [];
+  for (const [name, schema] of Object.entries(CONTENT_SCHEMA)) {
+    if (!(name in files)) {
+      if (!ctx.allowMissing) errors.push(`${name}: file missing`);
+      continue;
+    }
+    validateNode(files[name], schema, name, errors, ctx);
+  }
+  for (const name of Object.keys(files)) {
+    if (!(name in CONTENT_SCHEMA)) errors.push(`${name}: no schema registered for this file`);
+  }
+  return errors;
+}
+
+/**
+ * Things that are valid but worth a look before a release; the build prints
+ * them without failing. For now: videos kiosk mode can't play offline.
+ */
+export function contentWarnings(files) {
+  return withoutOfflineVideo(files).map(
+    ({ item, path }) => `${path}: "${item.id}" has no offlineVideo, so kiosk mode only shows its thumbnail`
+  );
+}
+
+/**
+ * Errors for a kiosk build (`npm run build:kiosk`): every featured video —
+ * the ones on the home page the attract loop walks through — must play
+ * offline.
+ */
+export function kioskErrors(files) {
+  return withoutOfflineVideo(files)
+    .filter(({ item }) => item.featured)
+    .map(({ item, path }) => `${path}: featured video "${item.id}" needs an offlineVideo for kiosk builds`);
+}
+
+function withoutOfflineVideo(files) {
+  return (files["media.json"]?.items ?? [])
+    .map((item, i) => ({ item, path: `media.json.items[${i}]` }))
+    .filter(({ item }) => item.youtubeId && !item.offlineVideo);
+}
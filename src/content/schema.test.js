@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { contentWarnings, kioskErrors, validateContent } from "./schema.js";
+
+const dir = new URL("./en/", import.meta.url);
+const english = Object.fromEntries(
+  readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => [f, JSON.parse(readFileSync(new URL(f, dir), "utf8"))])
+);
+const files = () => structuredClone(english);
+
+test("the English content passes", () => {
+  assert.deepEqual(validateContent(files()), []);
+});
+
+test("an image missing from public/ is reported with its path", () => {
+  const missing = files()["hero.json"].image.src;
+  const errors = validateContent(files(), { assetExists: (src) => src !== missing });
+  assert.deepEqual(errors, [`hero.json.image.src: image "${missing}" not found in public/`]);
+});
+
+test("empty and absent fields are reported", () => {
+  const content = files();
+  content["hero.json"].title = "  ";
+  delete content["diagrams.json"].items[0].alt;
+  assert.deepEqual(validateContent(content), [
+    "hero.json.title: must not be empty",
+    "diagrams.json.items[0].alt: missing",
+  ]);
+});
+
+test("placeholder copy is reported", () => {
+  const content = files();
+  content["diagrams.json"].items[0].body = "Fertilizer plants emit X tons of CO2 a year.";
+  content["hero.json"].caption = "TBD";
+  assert.deepEqual(validateContent(content), [
+    "hero.json.caption: contains placeholder text (TBD)",
+    "diagrams.json.items[0].body: contains placeholder text (X tons)",
+  ]);
+});
+
+test("videos and talks need their upload date", () => {
+  const content = files();
+  const items = content["media.json"].items;
+  items.forEach((item) => item.youtubeId && (item.published = "2025-01-15"));
+  assert.deepEqual(validateContent(content), []);
+  const i = items.findIndex((item) => item.youtubeId);
+  delete items[i].published;
+  assert.deepEqual(validateContent(content), [`media.json.items[${i}].published: missing (needed for this ${items[i].type})`]);
+});
+
+test("translations may leave out whole files", () => {
+  const content = files();
+  delete content["legal.json"];
+  assert.deepEqual(validateContent(content), ["legal.json: file missing"]);
+  assert.deepEqual(validateContent(content, { allowMissing: true }), []);
+});
+
+test("videos without an offline copy are flagged for kiosk mode", () => {
+  const content = files();
+  const videos = content["media.json"].items.filter((item) => item.youtubeId);
+  videos.forEach((item) => delete item.offlineVideo);
+  assert.equal(contentWarnings(content).length, videos.length);
+  videos[0].offlineVideo = "videos/overview.mp4";
+  assert.equal(contentWarnings(content).length, videos.length - 1);
+  assert.deepEqual(contentWarnings({}), []);
+});
+
+test("kiosk builds require an offline copy of every featured video", () => {
+  const content = files();
+  const items = content["media.json"].items;
+  items.forEach((item) => delete item.offlineVideo);
+  const featured = items.filter((item) => item.youtubeId && item.featured);
+  assert.ok(featured.length > 0);
+  assert.equal(kioskErrors(content).length, featured.length);
+  assert.match(kioskErrors(content)[0], /^media\.json\.items\[\d+\]: featured video ".+" needs an offlineVideo/);
+  featured.forEach((item) => (item.offlineVideo = `videos/${item.id}.mp4`));
+  assert.deepEqual(kioskErrors(content), []);
+});
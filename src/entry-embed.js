@@ -0,0 +1,83 @@
+// Embeddable build: the hero, diagrams, how-it-works and white box as one
+// custom element, for radomcorp.com and partner sites. Built with
+// `vite build --mode embed` (see vite.config.js) into a single script,
+// dist/embed/n2bio-overview.js, that brings React and its styles along:
+//
+//   <script defer src="https://<org>.github.io/N2bio/embed/n2bio-overview.js"></script>
+//   <n2bio-overview sections="hero how" theme="light" lang="es"></n2bio-overview>
+//
+// Attributes (all optional):
+//   sections    any of EMBED_SECTIONS (src/lib/embed.js); default all
+//   theme       system | light | dark | contrast; default system
+//   lang        en | es | pt; default the nearest lang on the host page
+//   asset-base  where the site's public/ files are served, e.g. a mirror: a
+//               URL, or a path on the host page; default (and for values
+//               that don't parse) the deployment this file was built for
+// Styles live in the element's shadow root, so neither page restyles the other.
+import React from "react";
+import { createRoot } from "react-dom/client";
+import EmbeddedOverview from "./components/EmbeddedOverview.jsx";
+import { EMBED_TAG, embedLocale, parseSections, splitPropertyRules } from "./lib/embed.js";
+import { resolveTheme } from "./lib/theme.js";
+import css from "./index.css?inline";
+
+const DARK = "(prefers-color-scheme: dark)";
+const MORE_CONTRAST = "(prefers-contrast: more)";
+
+const { properties, rest } = splitPropertyRules(css);
+const sheet = new CSSStyleSheet();
+sheet.replaceSync(rest);
+
+let propertiesAdded = false;
+function addPropertyRules() {
+  if (propertiesAdded) return;
+  propertiesAdded = true;
+  const global = new CSSStyleSheet();
+  global.replaceSync(properties);
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, global];
+}
+
+class N2bioOverview extends HTMLElement {
+  static observedAttributes = ["sections", "theme", "lang", "asset-base"];
+
+  #root = null;
+  #queries = [];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).adoptedStyleSheets = [sheet];
+  }
+
+  connectedCallback() {
+    addPropertyRules();
+    this.#queries = [DARK, MORE_CONTRAST].map((q) => window.matchMedia?.(q)).filter(Boolean);
+    this.#queries.forEach((q) => q.addEventListener("change", this.#render));
+    this.#root = createRoot(this.shadowRoot);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#queries.forEach((q) => q.removeEventListener("change", this.#render));
+    this.#root?.unmount();
+    this.#root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.#root) this.#render();
+  }
+
+  #render = () => {
+    const media = (q) => window.matchMedia?.(q).matches ?? false;
+    this.dataset.theme = resolveTheme(this.getAttribute("theme"), { dark: media(DARK), moreContrast: media(MORE_CONTRAST) });
+    const locale = embedLocale(this.closest("[lang]")?.getAttribute("lang"));
+    this.#root.render(
+      React.createElement(EmbeddedOverview, {
+        locale,
+        sections: parseSections(this.getAttribute("sections")),
+        assetBase: this.getAttribute("asset-base"),
+      })
+    );
+  };
+}
+
+if (!customElements.get(EMBED_TAG)) customElements.define(EMBED_TAG, N2bioOverview);
@@ -0,0 +1,43 @@
+// Server entry for the prerender step (scripts/prerender.js). Built with
+// `vite build --ssr`, so it shares the client's config, base and content.
+import React from "react";
+import { renderToString } from "react-dom/server";
+import App from "./App.jsx";
+import { getContent } from "./content/index.js";
+import { catalogs } from "./i18n/catalogs.js";
+import { LOCALES, localizePath } from "./i18n/locales.js";
+import { createTranslator } from "./i18n/translate.js";
+import { factSheet, factSheetFile } from "./lib/factSheet.js";
+import { headTags, pageUrl, robotsTxt, sitemapXml } from "./lib/head.js";
+import { QR_CODES } from "./lib/qrCodes.js";
+import { currentPath, setServerLocation, withBase } from "./lib/router.js";
+import { describePage } from "./lib/seo.js";
+import { staticPaths } from "./routes.js";
+
+export { robotsTxt, sitemapXml };
+
+// Every page in every locale, e.g. "/", "/es/privacy", "/pt/diagrams/x".
+export function pagePaths() {
+  return Object.keys(LOCALES).flatMap((locale) => staticPaths(getContent(locale)).map((p) => localizePath(p, locale)));
+}
+
+export function render(path) {
+  setServerLocation(withBase(path));
+  const page = describePage(currentPath());
+  return { html: renderToString(React.createElement(App)), head: headTags(page), page };
+}
+
+// Everything scripts/fact-sheet-pdf.js needs for one locale's PDF.
+export function factSheetPdfs() {
+  return Object.keys(LOCALES).map((locale) => {
+    const t = createTranslator(locale, catalogs);
+    return {
+      file: factSheetFile(locale),
+      locale,
+      sheet: factSheet(getContent(locale)),
+      t: (key, vars) => t(`factSheet.${key}`, vars),
+      qrCodes: QR_CODES,
+      url: pageUrl(localizePath("/fact-sheet", locale)),
+    };
+  });
+}
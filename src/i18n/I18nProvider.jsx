@@ -0,0 +1,13 @@
+import React, { useEffect, useMemo } from "react";
+import { I18nContext, i18nValue } from "./context.js";
+import { LOCALES } from "./locales.js";
+
+export default function I18nProvider({ locale, children }) {
+  const value = useMemo(() => i18nValue(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = LOCALES[locale].htmlLang;
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
@@ -0,0 +1,6 @@
+// UI message catalogs, keyed by locale: { en: {...}, es: {...} }.
+export const catalogs = Object.fromEntries(
+  Object.entries(import.meta.glob("./messages/*.json", { eager: true, import: "default" })).map(
+    ([path, data]) => [path.match(/([^/]+)\.json$/)[1], data]
+  )
+);
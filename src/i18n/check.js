@@ -0,0 +1,62 @@
+// --- Translation coverage --------------------------------------------------
+// Compares a locale against English. Used by scripts/check-i18n.js; plain
+// JS so it runs under Node.
+
+import { CONTENT_SCHEMA } from "../content/schema.js";
+
+function isPlural(v) {
+  return v && typeof v === "object" && !Array.isArray(v) && "other" in v;
+}
+
+// UI messages: every English key must exist; identical strings are suspect.
+export function diffMessages(en, other, prefix = "", out = { missing: [], untranslated: [] }) {
+  for (const [key, value] of Object.entries(en)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const theirs = other?.[key];
+    if (typeof value === "string" || isPlural(value)) {
+      if (theirs === undefined) out.missing.push(path);
+      else if (JSON.stringify(theirs) === JSON.stringify(value)) out.untranslated.push(path);
+    } else {
+      diffMessages(value, theirs, path, out);
+    }
+  }
+  return out;
+}
+
+// Only schema "text" leaves are translatable; ids, images and links may match.
+function diffNode(en, other, schema, path, out) {
+  if (other === undefined) {
+    out.missing.push(path);
+    return;
+  }
+  switch (schema.type) {
+    case "text":
+      if (other === en) out.untranslated.push(path);
+      break;
+    case "list":
+      if (!Array.isArray(other) || other.length !== en.length) {
+        out.missing.push(`${path} (expected ${en.length} item(s))`);
+        break;
+      }
+      en.forEach((item, i) => diffNode(item, other[i], schema.of, `${path}[${i}]`, out));
+      break;
+    case "object":
+      for (const key of Object.keys(schema.shape)) {
+        if (key in en) diffNode(en[key], other?.[key], schema.shape[key], `${path}.${key}`, out);
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+// Content files: a locale missing a whole file falls back to English at runtime.
+export function diffContent(enFiles, otherFiles) {
+  const out = { missing: [], untranslated: [] };
+  for (const [name, schema] of Object.entries(CONTENT_SCHEMA)) {
+    if (!(name in enFiles)) continue;
+    if (!(name in otherFiles)) out.missing.push(`${name} (whole file)`);
+    else diffNode(enFiles[name], otherFiles[name], schema, name, out);
+  }
+  return out;
+}
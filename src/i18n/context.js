@@ -0,0 +1,29 @@
+import { createContext, useContext } from "react";
+import { getContent } from "../content/index.js";
+import { catalogs } from "./catalogs.js";
+import { DEFAULT_LOCALE, LOCALES } from "./locales.js";
+import { createTranslator } from "./translate.js";
+
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  intl: "en-US",
+  t: (key) => key,
+  content: {},
+});
+
+// { locale, intl, t, content } for the current route.
+export function useI18n() {
+  return useContext(I18nContext);
+}
+
+// The context value for one locale. I18nProvider also sets <html lang>;
+// the embeddable build (src/entry-embed.js) uses this directly so it
+// leaves the host page's alone.
+export function i18nValue(locale) {
+  return {
+    locale,
+    intl: LOCALES[locale].intl,
+    t: createTranslator(locale, catalogs),
+    content: getContent(locale),
+  };
+}
@@ -0,0 +1,30 @@
+// --- Supported locales + locale-prefixed paths ---------------------------
+// English lives at the root ("/N2bio/privacy"); other locales get a prefix
+// ("/N2bio/es/privacy"). Paths here are app paths, i.e. without the base.
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  en: { label: "English", short: "EN", htmlLang: "en", intl: "en-US" },
+  es: { label: "Español", short: "ES", htmlLang: "es", intl: "es-ES" },
+  pt: { label: "Português", short: "PT", htmlLang: "pt", intl: "pt-BR" },
+};
+
+export function isLocale(code) {
+  return Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
+// "/es/diagrams/x" -> { locale: "es", path: "/diagrams/x" }
+export function splitLocale(path) {
+  const [, first = "", ...rest] = path.split("/");
+  if (first !== DEFAULT_LOCALE && isLocale(first)) {
+    return { locale: first, path: "/" + rest.join("/") };
+  }
+  return { locale: DEFAULT_LOCALE, path };
+}
+
+// ("/diagrams/x", "pt") -> "/pt/diagrams/x"; hashes and queries ride along.
+export function localizePath(path, locale) {
+  if (/^([a-z]+:|#)/i.test(path) || locale === DEFAULT_LOCALE || !isLocale(locale)) return path;
+  return `/${locale}${path}`;
+}
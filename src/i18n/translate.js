@@ -0,0 +1,28 @@
+// --- Message lookup --------------------------------------------------------
+// Catalogs are nested JSON. A value is either a string with {placeholders}
+// or a plural object ({ one, other }) picked by `vars.count`.
+
+import { DEFAULT_LOCALE, LOCALES } from "./locales.js";
+
+export function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+function interpolate(str, vars) {
+  return str.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+}
+
+export function createTranslator(locale, catalogs) {
+  const plural = new Intl.PluralRules(LOCALES[locale]?.intl || "en-US");
+  const primary = catalogs[locale] || {};
+  const fallback = catalogs[DEFAULT_LOCALE] || {};
+
+  return function t(key, vars = {}) {
+    let value = lookup(primary, key) ?? lookup(fallback, key);
+    if (value && typeof value === "object" && "other" in value) {
+      value = value[plural.select(Number(vars.count))] ?? value.other;
+    }
+    // Missing keys show up verbatim so they're easy to spot on the page.
+    return typeof value === "string" ? interpolate(value, vars) : key;
+  };
+}
@@ -0,0 +1,137 @@
+// --- Manure acidification + ammonia capture ------------------------------
+// Pure chemistry model behind the "Enhanced Organic" claim: plasma nitric
+// acid lowers manure pH, which shifts NH3 back to NH4+ and adds nitrate-N.
+
+import { MOLAR_MASS } from "./sizing.js";
+
+export const AMMONIUM_PKA = 9.25; // NH4+ <-> NH3 at 25 °C
+
+// Typical as-excreted values per tonne of fresh manure.
+//   bufferMolPerPh: mol H+ needed to drop one tonne by one pH unit
+//   baselineLoss:   share of TAN lost as NH3 in storage + spreading, untreated
+export const MANURE_TYPES = {
+  "layer-manure": {
+    label: "Poultry layer manure",
+    totalNKgPerT: 15,
+    tanKgPerT: 6,
+    typicalPh: 8.0,
+    bufferMolPerPh: 150,
+    baselineLoss: 0.35,
+  },
+  "broiler-litter": {
+    label: "Broiler litter",
+    totalNKgPerT: 30,
+    tanKgPerT: 5,
+    typicalPh: 8.0,
+    bufferMolPerPh: 250,
+    baselineLoss: 0.25,
+  },
+  "dairy-slurry": {
+    label: "Dairy slurry",
+    totalNKgPerT: 4,
+    tanKgPerT: 2,
+    typicalPh: 7.2,
+    bufferMolPerPh: 60,
+    baselineLoss: 0.3,
+  },
+  "swine-slurry": {
+    label: "Swine slurry",
+    totalNKgPerT: 5,
+    tanKgPerT: 3.5,
+    typicalPh: 7.5,
+    bufferMolPerPh: 80,
+    baselineLoss: 0.3,
+  },
+  digestate: {
+    label: "Liquid digestate",
+    totalNKgPerT: 5,
+    tanKgPerT: 3.5,
+    typicalPh: 8.0,
+    bufferMolPerPh: 100,
+    baselineLoss: 0.4,
+  },
+};
+
+// Share of total ammoniacal N present as free (volatile) NH3 at a given pH.
+export function freeAmmoniaFraction(pH) {
+  return 1 / (1 + 10 ** (AMMONIUM_PKA - pH));
+}
+
+/**
+ * Acid demand and nitrogen balance for acidifying one batch of manure.
+ *
+ * input: { manureType, massTonnes, startPh, targetPh, acidConcentration }
+ * acidConcentration is the HNO3 mass fraction of the plasma product (0–1).
+ */
+export function acidify(input = {}) {
+  const manureType = input.manureType in MANURE_TYPES ? input.manureType : "layer-manure";
+  const type = MANURE_TYPES[manureType];
+  const mass = Number.isFinite(input.massTonnes) && input.massTonnes > 0 ? input.massTonnes : 0;
+  const startPh = Number.isFinite(input.startPh) ? input.startPh : type.typicalPh;
+  const targetPh = Number.isFinite(input.targetPh) ? Math.min(input.targetPh, startPh) : startPh;
+  const concentration =
+    Number.isFinite(input.acidConcentration) && input.acidConcentration > 0
+      ? Math.min(input.acidConcentration, 1)
+      : 0.3;
+
+  const deltaPh = startPh - targetPh;
+  const acidMol = type.bufferMolPerPh * deltaPh * mass;
+  const hno3Kg = (acidMol * MOLAR_MASS.HNO3) / 1000;
+  const acidSolutionKg = hno3Kg / concentration;
+  const nitrateNKg = (acidMol * MOLAR_MASS.N) / 1000;
+
+  const totalNKg = type.totalNKgPerT * mass;
+  const tanKg = type.tanKgPerT * mass;
+  const baselineLossKg = tanKg * type.baselineLoss;
+  // Volatilization scales with the free-NH3 share of TAN.
+  const lossRatio = freeAmmoniaFraction(targetPh) / freeAmmoniaFraction(startPh);
+  const treatedLossKg = baselineLossKg * lossRatio;
+  const ammoniaNAvoidedKg = baselineLossKg - treatedLossKg;
+
+  const untreatedFinalNKg = totalNKg - baselineLossKg;
+  const finalNKg = totalNKg - treatedLossKg + nitrateNKg;
+  const finalMassT = mass + acidSolutionKg / 1000;
+
+  return {
+    manureType,
+    manure: type,
+    massTonnes: mass,
+    startPh,
+    targetPh,
+    acidConcentration: concentration,
+    acidMol,
+    hno3Kg,
+    acidSolutionKg,
+    nitrateNKg,
+    totalNKg,
+    tanKg,
+    baselineLossKg,
+    treatedLossKg,
+    ammoniaNAvoidedKg,
+    ammoniaAvoidedKg: (ammoniaNAvoidedKg * MOLAR_MASS.NH3) / MOLAR_MASS.N,
+    untreatedFinalNKg,
+    finalNKg,
+    finalNKgPerT: finalMassT > 0 ? finalNKg / finalMassT : 0,
+  };
+}
+
+// Rows for CSV export: [quantity, value, unit]. Quantities are message keys
+// under `acid.` (the "type" value is one under `acid.types.`).
+export function acidificationRows(r) {
+  const round = (n, d = 2) => Number(n.toFixed(d));
+  return [
+    ["type", r.manureType, ""],
+    ["mass", round(r.massTonnes), "t"],
+    ["startPh", round(r.startPh), ""],
+    ["targetPh", round(r.targetPh), ""],
+    ["hno3", round(r.hno3Kg), "kg"],
+    ["solution", round(r.acidSolutionKg), "kg"],
+    ["nitrate", round(r.nitrateNKg), "kg N"],
+    ["lossUntreated", round(r.baselineLossKg), "kg N"],
+    ["lossTreated", round(r.treatedLossKg), "kg N"],
+    ["avoided", round(r.ammoniaAvoidedKg), "kg NH3"],
+    ["finalNUntreated", round(r.untreatedFinalNKg), "kg N"],
+    ["finalNTreated", round(r.finalNKg), "kg N"],
+    ["finalN", round(r.finalNKgPerT), "kg N / t"],
+  ];
+}
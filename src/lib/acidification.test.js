@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MANURE_TYPES, acidificationRows, acidify, freeAmmoniaFraction } from "./acidification.js";
+
+const close = (actual, expected, tol = 0.01) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} ≉ ${expected}`);
+
+const batch = { manureType: "layer-manure", massTonnes: 10, startPh: 8, targetPh: 6, acidConcentration: 0.3 };
+
+test("free ammonia is half of TAN at the pKa and shrinks tenfold per pH unit below it", () => {
+  close(freeAmmoniaFraction(9.25), 0.5, 1e-12);
+  close(freeAmmoniaFraction(8), 0.05324, 1e-5);
+  close(freeAmmoniaFraction(6), 0.000562, 1e-6);
+});
+
+test("HNO3 dose follows the manure's buffer capacity", () => {
+  const r = acidify(batch);
+  // 150 mol H+/t/pH × 2 pH × 10 t
+  assert.equal(r.acidMol, 3000);
+  close(r.hno3Kg, 189.03);
+  close(r.acidSolutionKg, 630.1);
+  close(r.nitrateNKg, 42.021);
+});
+
+test("ammonia avoided scales with the drop in free NH3", () => {
+  const r = acidify(batch);
+  // 60 kg TAN × 35% lost untreated; at pH 6 only ~1% of that
+  close(r.baselineLossKg, 21);
+  close(r.treatedLossKg, 0.2217, 1e-3);
+  close(r.ammoniaNAvoidedKg, 20.778, 1e-3);
+  close(r.ammoniaAvoidedKg, (r.ammoniaNAvoidedKg * 17.031) / 14.007, 1e-9);
+});
+
+test("final N adds the nitrate and keeps the ammonia that would have been lost", () => {
+  const r = acidify(batch);
+  close(r.untreatedFinalNKg, 129);
+  close(r.finalNKg, 150 - 0.2217 + 42.021, 1e-3);
+  // over 10 t of manure plus 0.63 t of acid solution
+  close(r.finalNKgPerT, r.finalNKg / 10.6301, 1e-6);
+});
+
+test("a target pH above the start adds no acid and saves nothing", () => {
+  const r = acidify({ ...batch, targetPh: 9 });
+  assert.equal(r.targetPh, 8);
+  assert.equal(r.acidMol, 0);
+  assert.equal(r.ammoniaNAvoidedKg, 0);
+  close(r.finalNKg, r.untreatedFinalNKg, 1e-9);
+});
+
+test("missing or invalid input falls back to typical values", () => {
+  const r = acidify({ manureType: "unknown", massTonnes: -5 });
+  assert.equal(r.manureType, "layer-manure");
+  assert.equal(r.manure, MANURE_TYPES["layer-manure"]);
+  assert.equal(r.massTonnes, 0);
+  assert.equal(r.startPh, 8);
+  assert.equal(r.acidConcentration, 0.3);
+  assert.equal(r.finalNKgPerT, 0);
+});
+
+test("acidificationRows rounds for export and labels rows with message keys", () => {
+  const rows = acidificationRows(acidify(batch));
+  assert.deepEqual(rows[0], ["type", "layer-manure", ""]);
+  assert.deepEqual(rows[4], ["hno3", 189.03, "kg"]);
+  assert.deepEqual(rows[5], ["solution", 630.1, "kg"]);
+});
@@ -0,0 +1,142 @@
+// --- Engagement analytics -------------------------------------------------------
+// A handful of typed events (EVENTS), sent to the sinks configured at build
+// time (see analyticsSinks.js) and only after the visitor has said yes in the
+// consent banner. With Do Not Track or Global Privacy Control on, nothing is
+// sent and the banner never shows. Events carry no identifiers: just the name,
+// its props, the page path and a timestamp.
+
+import { splitLocale } from "../i18n/locales.js";
+import { analyticsSinks } from "./analyticsSinks.js";
+import { BASE, stripBase } from "./router.js";
+
+export const CONSENT_KEY = "n2bio:analytics-consent";
+
+// Event name -> prop name -> typeof.
+export const EVENTS = {
+  section_toggle: { section: "string", open: "boolean" },
+  section_view: { section: "string" },
+  video_play: { video: "string", start: "number" },
+  outbound_click: { href: "string" },
+  quote_click: { from: "string" },
+};
+
+export function createEvent(name, props = {}, { path = "/", at = new Date() } = {}) {
+  const shape = EVENTS[name];
+  if (!shape) throw new TypeError(`Unknown analytics event "${name}"`);
+  for (const [key, value] of Object.entries(props)) {
+    if (!(key in shape)) throw new TypeError(`${name}: unexpected prop "${key}"`);
+    if (typeof value !== shape[key]) throw new TypeError(`${name}.${key} should be a ${shape[key]}`);
+  }
+  for (const key of Object.keys(shape)) {
+    if (!(key in props)) throw new TypeError(`${name}: missing prop "${key}"`);
+  }
+  return { name, props, path, at: at.toISOString() };
+}
+
+// DNT / GPC as the browser reports them; anything unclear counts as "off".
+export function doNotTrack(nav = globalThis.navigator, win = globalThis.window) {
+  if (nav?.globalPrivacyControl === true) return true;
+  return [nav?.doNotTrack, win?.doNotTrack, nav?.msDoNotTrack].some((v) => v === "1" || v === "yes");
+}
+
+/**
+ * `allowed()` is asked on every event, so revoking consent takes effect at
+ * once. Events are validated even when dropped, so a typo fails in
+ * development whatever the consent state.
+ */
+export function createTracker({ sinks = [], allowed = () => false, path = () => "/", now = () => new Date() } = {}) {
+  return {
+    enabled: sinks.length > 0,
+    track(name, props) {
+      const event = createEvent(name, props, { path: path(), at: now() });
+      if (sinks.length === 0 || !allowed()) return false;
+      for (const sink of sinks) {
+        try {
+          sink.send(event);
+        } catch {
+          // a failing sink never breaks the page
+        }
+      }
+      return true;
+    },
+  };
+}
+
+/* ---------- Consent (persisted; null until the visitor answers) ---------- */
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+const listeners = new Set();
+let consent;
+
+export function getConsent() {
+  if (consent === undefined) {
+    try {
+      const saved = storage()?.getItem(CONSENT_KEY);
+      consent = saved === "granted" || saved === "denied" ? saved : null;
+    } catch {
+      consent = null;
+    }
+  }
+  return consent;
+}
+
+export function setConsent(next) {
+  consent = next;
+  try {
+    if (next) storage()?.setItem(CONSENT_KEY, next);
+    else storage()?.removeItem(CONSENT_KEY);
+  } catch {
+    // storage blocked; the answer lasts for this page only
+  }
+  listeners.forEach((l) => l());
+}
+
+export function subscribeConsent(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Banner and tracking are both off when there is nowhere to send events.
+export function consentNeeded() {
+  return analyticsSinks.length > 0 && !doNotTrack();
+}
+
+export const analytics = createTracker({
+  sinks: analyticsSinks,
+  allowed: () => !doNotTrack() && getConsent() === "granted",
+  path: () => (typeof window === "undefined" ? "/" : stripBase(window.location.pathname)),
+});
+
+export const track = (name, props) => analytics.track(name, props);
+
+/* ---------- Link clicks, tracked in one place ---------- */
+// Outbound links report their URL (minus query and hash); links to the quote
+// page report where they were placed (?from=header etc.).
+export function linkEvent(href, origin, base = BASE) {
+  let url;
+  try {
+    url = new URL(href, origin);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol)) return null;
+  if (url.origin !== origin) return ["outbound_click", { href: `${url.origin}${url.pathname}` }];
+  if (splitLocale(stripBase(url.pathname, base)).path !== "/quote") return null;
+  return ["quote_click", { from: url.searchParams.get("from") || "page" }];
+}
+
+export function watchLinks() {
+  const onClick = (e) => {
+    const anchor = e.target.closest?.("a[href]");
+    const event = anchor && linkEvent(anchor.href, window.location.origin);
+    if (event) track(...event);
+  };
+  document.addEventListener("click", onClick, { capture: true });
+  return () => document.removeEventListener("click", onClick, { capture: true });
+}
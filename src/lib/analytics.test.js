@@ -0,0 +1,116 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEvent, createTracker, doNotTrack, linkEvent } from "./analytics.js";
+import { endpointSink, localSink, resolveSinks } from "./analyticsSinks.js";
+
+const AT = new Date("2026-10-19T12:00:00Z");
+
+function storage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+function collector() {
+  const events = [];
+  return { events, send: (e) => events.push(e) };
+}
+
+test("createEvent checks the name and prop types", () => {
+  assert.deepEqual(createEvent("section_toggle", { section: "benefits", open: true }, { path: "/es", at: AT }), {
+    name: "section_toggle",
+    props: { section: "benefits", open: true },
+    path: "/es",
+    at: "2026-10-19T12:00:00.000Z",
+  });
+  assert.throws(() => createEvent("scroll", {}), /Unknown analytics event/);
+  assert.throws(() => createEvent("video_play", { video: "x", start: "0" }), /start should be a number/);
+  assert.throws(() => createEvent("video_play", { video: "x" }), /missing prop "start"/);
+  assert.throws(() => createEvent("quote_click", { from: "header", email: "a@b.c" }), /unexpected prop "email"/);
+});
+
+test("tracker sends nothing until allowed", () => {
+  const sink = collector();
+  let allowed = false;
+  const tracker = createTracker({ sinks: [sink], allowed: () => allowed, now: () => AT });
+  assert.equal(tracker.track("section_view", { section: "white-box" }), false);
+  allowed = true;
+  assert.equal(tracker.track("section_view", { section: "white-box" }), true);
+  assert.equal(sink.events.length, 1);
+});
+
+test("tracker validates even when tracking is off", () => {
+  const tracker = createTracker();
+  assert.equal(tracker.enabled, false);
+  assert.throws(() => tracker.track("section_view", {}), /missing prop/);
+});
+
+test("a failing sink doesn't stop the others", () => {
+  const sink = collector();
+  const broken = {
+    send() {
+      throw new Error("quota");
+    },
+  };
+  const tracker = createTracker({ sinks: [broken, sink], allowed: () => true });
+  tracker.track("quote_click", { from: "header" });
+  assert.equal(sink.events.length, 1);
+});
+
+test("doNotTrack reads DNT and Global Privacy Control", () => {
+  assert.equal(doNotTrack({ doNotTrack: "1" }, {}), true);
+  assert.equal(doNotTrack({ globalPrivacyControl: true }, {}), true);
+  assert.equal(doNotTrack({}, { doNotTrack: "1" }), true);
+  assert.equal(doNotTrack({ doNotTrack: "0" }, {}), false);
+  assert.equal(doNotTrack({ doNotTrack: "unspecified" }, {}), false);
+  assert.equal(doNotTrack(undefined, undefined), false);
+});
+
+test("linkEvent classifies outbound and quote links", () => {
+  const origin = "https://radom.github.io";
+  assert.deepEqual(linkEvent("https://www.mdpi.com/2571-8797/6/3/51?utm=x#top", origin, "/N2bio/"), [
+    "outbound_click",
+    { href: "https://www.mdpi.com/2571-8797/6/3/51" },
+  ]);
+  assert.deepEqual(linkEvent("/N2bio/pt/quote?from=header", origin, "/N2bio/"), ["quote_click", { from: "header" }]);
+  assert.deepEqual(linkEvent("/N2bio/quote", origin, "/N2bio/"), ["quote_click", { from: "page" }]);
+  assert.equal(linkEvent("/N2bio/library", origin, "/N2bio/"), null);
+  assert.equal(linkEvent("mailto:inquiries@radomcorp.com", origin, "/N2bio/"), null);
+});
+
+test("localSink keeps the newest events as JSON", () => {
+  const s = storage();
+  const sink = localSink(s, { limit: 2 });
+  for (const section of ["a", "b", "c"]) sink.send(createEvent("section_view", { section }, { at: AT }));
+  assert.deepEqual(
+    sink.read().map((e) => e.props.section),
+    ["b", "c"]
+  );
+});
+
+test("endpointSink prefers sendBeacon and falls back to fetch", () => {
+  const event = createEvent("section_view", { section: "benefits" }, { at: AT });
+  const beacons = [];
+  endpointSink("/collect", { beacon: (url) => beacons.push(url) > 0, fetchImpl: () => assert.fail("fetched") }).send(event);
+  assert.deepEqual(beacons, ["/collect"]);
+
+  const fetched = [];
+  const fetchImpl = async (url, init) => fetched.push([url, JSON.parse(init.body).name, init.keepalive]);
+  endpointSink("/collect", { beacon: () => false, fetchImpl }).send(event);
+  assert.deepEqual(fetched, [["/collect", "section_view", true]]);
+});
+
+test("resolveSinks builds the configured sinks only", () => {
+  assert.deepEqual(resolveSinks({}), []);
+  assert.deepEqual(
+    resolveSinks({ sinks: "console, local,endpoint", endpoint: "https://stats.example.com/e", storage: storage() }).map((s) => s.name),
+    ["console", "local", "endpoint"]
+  );
+  assert.deepEqual(
+    resolveSinks({ sinks: "endpoint,nope" }).map((s) => s.name),
+    []
+  );
+});
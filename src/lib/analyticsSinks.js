@@ -0,0 +1,85 @@
+// --- Where analytics events go --------------------------------------------------
+// Every sink has `send(event)`; it must not throw for network trouble.
+//
+// Chosen at build time (see vite.config.js), comma-separated in ANALYTICS:
+//   console    log each event (development)
+//   local      keep the last events as JSON in localStorage, for testing
+//   endpoint   POST each event to ANALYTICS_ENDPOINT (self-hosted collector)
+// Unset means no analytics at all: no sinks, no consent banner.
+
+export const LOCAL_EVENTS_KEY = "n2bio:analytics-events";
+const LOCAL_LIMIT = 200;
+
+export function consoleSink({ log = (...args) => console.info(...args) } = {}) {
+  return {
+    name: "console",
+    send(event) {
+      log("[analytics]", event.name, event.props, event.path);
+    },
+  };
+}
+
+/** Appends to a JSON array under LOCAL_EVENTS_KEY, keeping the newest `limit`. */
+export function localSink(storage, { key = LOCAL_EVENTS_KEY, limit = LOCAL_LIMIT } = {}) {
+  const read = () => {
+    try {
+      const events = JSON.parse(storage.getItem(key) || "[]");
+      return Array.isArray(events) ? events : [];
+    } catch {
+      return [];
+    }
+  };
+  return {
+    name: "local",
+    read,
+    send(event) {
+      storage.setItem(key, JSON.stringify([...read(), event].slice(-limit)));
+    },
+  };
+}
+
+/**
+ * POST the event as JSON. sendBeacon survives the page unloading (outbound
+ * clicks); where it's missing or refuses, fall back to a keepalive fetch.
+ */
+export function endpointSink(
+  endpoint,
+  { beacon = globalThis.navigator?.sendBeacon?.bind(globalThis.navigator), fetchImpl = (...args) => fetch(...args) } = {}
+) {
+  return {
+    name: "endpoint",
+    send(event) {
+      const body = JSON.stringify(event);
+      if (beacon?.(endpoint, new Blob([body], { type: "application/json" }))) return;
+      const init = { method: "POST", headers: { "Content-Type": "application/json" }, body, keepalive: true };
+      fetchImpl(endpoint, init).catch(() => {}); // best effort: lost events are not retried
+    },
+  };
+}
+
+export function resolveSinks({ sinks = "", endpoint = "", storage } = {}) {
+  return sinks
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .flatMap((name) => {
+      if (name === "console") return [consoleSink()];
+      if (name === "local" && storage) return [localSink(storage)];
+      if (name === "endpoint" && endpoint) return [endpointSink(endpoint)];
+      return [];
+    });
+}
+
+function browserStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return undefined;
+  }
+}
+
+export const analyticsSinks = resolveSinks({
+  sinks: import.meta.env?.VITE_ANALYTICS,
+  endpoint: import.meta.env?.VITE_ANALYTICS_ENDPOINT,
+  storage: typeof window === "undefined" ? undefined : browserStorage(),
+});
@@ -0,0 +1,7 @@
+import { createContext } from "react";
+import { assetUrl } from "./assets.js";
+
+// Resolver for public/ files: assetUrl for this deployment unless a provider
+// says otherwise. Each element of the embeddable build (src/entry-embed.js)
+// provides its own, so every one can honour its own `asset-base`.
+export const AssetUrls = createContext(assetUrl);
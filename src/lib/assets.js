@@ -0,0 +1,29 @@
+// --- Public asset URLs -----------------------------------------------------
+// Everything in public/ is referenced through `assetUrl`, so a move to a
+// custom domain, a PR preview or a CDN is a build setting, not a code change.
+import { BASE } from "./router.js";
+import { normalizeBase, normalizeOrigin } from "./deploy.js";
+
+// Set by vite.config.js from ASSET_ORIGIN; empty when assets are same-origin.
+export const ASSET_ORIGIN = normalizeOrigin(import.meta.env?.VITE_ASSET_ORIGIN);
+
+/**
+ * Build an asset resolver for a given deployment.
+ * The CDN, when used, mirrors dist/, so files keep their base path there too.
+ * @param {{ base?: string, origin?: string }} config
+ * @returns {(file: string) => string}
+ */
+export function createAssetUrl({ base = "/", origin = "" } = {}) {
+  const prefix = normalizeOrigin(origin) + normalizeBase(base);
+  return (file) => {
+    if (typeof file !== "string" || file.length === 0) throw new Error("Asset file name is required");
+    if (/^([a-z]+:|\/\/)/i.test(file)) return file; // already absolute
+    return prefix + file.replace(/^(\.\/|\/)+/, "");
+  };
+}
+
+/**
+ * URL for a file in public/, e.g. assetUrl("chicken.jpg").
+ * @type {(file: string) => string}
+ */
+export const assetUrl = createAssetUrl({ base: BASE, origin: ASSET_ORIGIN });
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAssetUrl } from "./assets.js";
+
+test("GitHub Pages subpath", () => {
+  const assetUrl = createAssetUrl({ base: "/N2bio/" });
+  assert.equal(assetUrl("chicken.jpg"), "/N2bio/chicken.jpg");
+  assert.equal(assetUrl("/chicken.jpg"), "/N2bio/chicken.jpg");
+  assert.equal(assetUrl("./chicken.jpg"), "/N2bio/chicken.jpg");
+});
+
+test("custom domain at the root", () => {
+  const assetUrl = createAssetUrl({ base: "/" });
+  assert.equal(assetUrl("chicken.jpg"), "/chicken.jpg");
+});
+
+test("PR preview subpath", () => {
+  const assetUrl = createAssetUrl({ base: "/N2bio/pr-42/" });
+  assert.equal(assetUrl("mdpi.png"), "/N2bio/pr-42/mdpi.png");
+});
+
+test("CDN origin keeps the base path", () => {
+  const assetUrl = createAssetUrl({ base: "/N2bio/", origin: "https://cdn.example.com/" });
+  assert.equal(assetUrl("N2bio.png"), "https://cdn.example.com/N2bio/N2bio.png");
+});
+
+test("absolute URLs pass through untouched", () => {
+  const assetUrl = createAssetUrl({ base: "/N2bio/", origin: "https://cdn.example.com" });
+  assert.equal(assetUrl("https://example.org/a.png"), "https://example.org/a.png");
+  assert.equal(assetUrl("//example.org/a.png"), "//example.org/a.png");
+  assert.equal(assetUrl("data:image/png;base64,AAAA"), "data:image/png;base64,AAAA");
+});
+
+test("the page URL has no say in where assets live", () => {
+  // The old first-path-segment guess sent /foo/bar to /foo/chicken.jpg.
+  const assetUrl = createAssetUrl({ base: "/" });
+  assert.equal(assetUrl("chicken.jpg"), "/chicken.jpg");
+});
+
+test("an empty file name is a bug, not a URL", () => {
+  const assetUrl = createAssetUrl({ base: "/" });
+  assert.throws(() => assetUrl(""), /required/);
+  assert.throws(() => assetUrl(/** @type {any} */ (undefined)), /required/);
+});
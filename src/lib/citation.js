@@ -0,0 +1,113 @@
+// --- Citation export (BibTeX, RIS, APA) --------------------------------------
+// Works on media library items that carry citation details: `headline`,
+// `authors` ("Given Family"), `published` (YYYY-MM-DD) and optionally
+// `journal`, `volume`, `issue`, `pages` and `doi`.
+
+export function isCitable(item) {
+  return Boolean(item.headline && item.authors?.length && item.published);
+}
+
+// "Ian McKinney" -> { given: "Ian", family: "McKinney" }
+export function splitName(name) {
+  const parts = name.trim().split(/\s+/);
+  const family = parts.pop();
+  return { given: parts.join(" "), family };
+}
+
+export function doiUrl(doi) {
+  return `https://doi.org/${doi}`;
+}
+
+function year(item) {
+  return item.published.slice(0, 4);
+}
+
+// "mckinney2025high": first author, year, first word of the title.
+export function citationKey(item) {
+  const ascii = (s) =>
+    s
+      .normalize("NFD")
+      .replace(/[^A-Za-z0-9]/g, "")
+      .toLowerCase();
+  const firstWord = item.headline.split(/[\s-]+/).find((w) => ascii(w).length > 3) ?? item.headline;
+  return ascii(splitName(item.authors[0]).family) + year(item) + ascii(firstWord);
+}
+
+function bibEscape(s) {
+  return String(s).replace(/([&%$#_{}])/g, "\\$1");
+}
+
+export function toBibTeX(item) {
+  const fields = [
+    ["title", `{${bibEscape(item.headline)}}`],
+    ["author", item.authors.map((a) => splitName(a)).map((n) => bibEscape(`${n.family}, ${n.given}`)).join(" and ")],
+    ["journal", item.journal && bibEscape(item.journal)],
+    ["year", year(item)],
+    ["volume", item.volume],
+    ["number", item.issue],
+    ["pages", item.pages],
+    ["doi", item.doi],
+    ["url", item.href],
+  ].filter(([, v]) => v);
+  const body = fields.map(([k, v]) => `  ${k} = {${v}}`).join(",\n");
+  return `@${item.journal ? "article" : "misc"}{${citationKey(item)},\n${body}\n}\n`;
+}
+
+export function toRIS(item) {
+  const lines = [
+    ["TY", item.journal ? "JOUR" : "GEN"],
+    ["TI", item.headline],
+    ...item.authors.map((a) => {
+      const n = splitName(a);
+      return ["AU", `${n.family}, ${n.given}`];
+    }),
+    ["JO", item.journal],
+    ["PY", year(item)],
+    ["DA", item.published.replace(/-/g, "/")],
+    ["VL", item.volume],
+    ["IS", item.issue],
+    ["SP", item.pages],
+    ["DO", item.doi],
+    ["UR", item.href],
+    ["ER", ""],
+  ].filter(([k, v]) => v || k === "ER");
+  return lines.map(([k, v]) => `${k}  - ${v}`.trimEnd()).join("\r\n") + "\r\n";
+}
+
+// "Jean-Paul Sartre" -> "Sartre, J.-P."
+function apaName(name) {
+  const { given, family } = splitName(name);
+  const initials = given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((part) =>
+      part
+        .split("-")
+        .map((p) => `${p[0]}.`)
+        .join("-")
+    )
+    .join(" ");
+  return initials ? `${family}, ${initials}` : family;
+}
+
+function apaAuthors(authors) {
+  const names = authors.map(apaName);
+  if (names.length === 1) return names[0];
+  // APA 7 lists up to 20 authors; beyond that: first 19, "…", last.
+  if (names.length > 20) return `${names.slice(0, 19).join(", ")}, … ${names[names.length - 1]}`;
+  return `${names.slice(0, -1).join(", ")}, & ${names[names.length - 1]}`;
+}
+
+// APA 7 reference as plain text (italics aren't representable here).
+export function toAPA(item) {
+  let source = "";
+  if (item.journal) {
+    source = item.journal;
+    if (item.volume) source += `, ${item.volume}${item.issue ? `(${item.issue})` : ""}`;
+    if (item.pages) source += `, ${item.pages}`;
+    source += ".";
+  }
+  const title = /[.?!]$/.test(item.headline) ? item.headline : `${item.headline}.`;
+  const link = item.doi ? doiUrl(item.doi) : item.href;
+  return [`${apaAuthors(item.authors)} (${year(item)}).`, title, source, link].filter(Boolean).join(" ");
+}
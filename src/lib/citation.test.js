@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { citationKey, isCitable, splitName, toAPA, toBibTeX, toRIS } from "./citation.js";
+
+const paper = {
+  headline: "High-Power Closed-Loop Pilot System for Nitric Acid Production",
+  authors: ["Ian McKinney", "Qi Rao", "Jean-Paul Sartre"],
+  journal: "Nitrogen",
+  published: "2025-06-28",
+  volume: "6",
+  issue: "3",
+  pages: "51",
+  doi: "10.3390/nitrogen6030051",
+  href: "https://www.mdpi.com/2504-3129/6/3/51",
+};
+
+test("isCitable needs a headline, authors and a date", () => {
+  assert.ok(isCitable(paper));
+  assert.ok(!isCitable({ ...paper, authors: [] }));
+  assert.ok(!isCitable({ title: "Video" }));
+});
+
+test("splitName takes the last word as the family name", () => {
+  assert.deepEqual(splitName("Ian McKinney"), { given: "Ian", family: "McKinney" });
+  assert.deepEqual(splitName(" Mary Ann  Smith "), { given: "Mary Ann", family: "Smith" });
+});
+
+test("citationKey is first author, year and first real word", () => {
+  assert.equal(citationKey(paper), "mckinney2025high");
+});
+
+test("toBibTeX writes an article entry", () => {
+  const bib = toBibTeX(paper);
+  assert.match(bib, /^@article\{mckinney2025high,\n/);
+  assert.match(bib, / {2}author = \{McKinney, Ian and Rao, Qi and Sartre, Jean-Paul\},/);
+  assert.match(bib, / {2}title = \{\{High-Power Closed-Loop/);
+  assert.match(bib, / {2}number = \{3\},/);
+  assert.match(bib, / {2}doi = \{10\.3390\/nitrogen6030051\},/);
+  assert.ok(bib.endsWith("\n}\n"));
+});
+
+test("toBibTeX escapes special characters and falls back to misc", () => {
+  const bib = toBibTeX({ ...paper, journal: undefined, headline: "Cost & 50% savings" });
+  assert.match(bib, /^@misc\{/);
+  assert.match(bib, /Cost \\& 50\\% savings/);
+  assert.doesNotMatch(bib, /journal/);
+});
+
+test("toRIS writes tagged lines ending in ER", () => {
+  const lines = toRIS(paper).split("\r\n");
+  assert.equal(lines[0], "TY  - JOUR");
+  assert.ok(lines.includes("AU  - Rao, Qi"));
+  assert.ok(lines.includes("DA  - 2025/06/28"));
+  assert.ok(lines.includes("DO  - 10.3390/nitrogen6030051"));
+  assert.equal(lines.at(-2), "ER  -");
+  assert.equal(lines.at(-1), "");
+});
+
+test("toAPA formats an APA 7 journal reference", () => {
+  assert.equal(
+    toAPA(paper),
+    "McKinney, I., Rao, Q., & Sartre, J.-P. (2025). High-Power Closed-Loop Pilot System for Nitric Acid Production. " +
+      "Nitrogen, 6(3), 51. https://doi.org/10.3390/nitrogen6030051"
+  );
+  assert.equal(
+    toAPA({ ...paper, authors: ["Qi Rao"], journal: undefined, doi: undefined }),
+    "Rao, Q. (2025). High-Power Closed-Loop Pilot System for Nitric Acid Production. https://www.mdpi.com/2504-3129/6/3/51"
+  );
+});
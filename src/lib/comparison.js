@@ -0,0 +1,80 @@
+// --- Conventional vs on-farm plasma fertilizer: emissions + cost ------------
+// Pure model behind the comparison chart. All figures are per tonne of N
+// delivered as ammonium nitrate; the sourced inputs live in
+// src/data/fertilizer-comparison.json (bump its version when they change).
+
+import { MOLAR_MASS } from "./sizing.js";
+
+const KWH_PER_MJ = 1 / 3.6;
+
+// { key: { value } } -> { key: value }
+export function assumptionValues(data) {
+  return Object.fromEntries(Object.entries(data.assumptions).map(([k, a]) => [k, a.value]));
+}
+
+export function defaultInputs(data) {
+  return Object.fromEntries(Object.entries(data.defaults).map(([k, d]) => [k, d.value]));
+}
+
+// Electricity the plasma step needs per kg of product N (only the nitrate half is fixed from air).
+export function plasmaKwhPerKgN(a) {
+  const molNPerKg = 1000 / MOLAR_MASS.N;
+  return molNPerKg * a.plasmaEnergyPerMolNMJ * KWH_PER_MJ * a.nitrateNShare;
+}
+
+/**
+ * Compare one tonne of N both ways.
+ * inputs: { gridKgCo2ePerKwh, electricityPricePerKwh }
+ * Emissions in t CO2e / t N; costs in USD / kg N as { low, typical, high }.
+ */
+export function compareFertilizer(data, inputs = {}) {
+  const a = assumptionValues(data);
+  const { gridKgCo2ePerKwh, electricityPricePerKwh } = { ...defaultInputs(data), ...inputs };
+
+  // Haber-Bosch for every N atom, Ostwald (and its N2O) for the nitrate half.
+  const ammoniaT = (MOLAR_MASS.NH3 / MOLAR_MASS.N) * a.ammoniaCo2PerTonneNh3;
+  const tHno3 = (a.nitrateNShare * MOLAR_MASS.HNO3) / MOLAR_MASS.N;
+  const nitricT = (tHno3 * a.nitricN2oPerTonneHno3 * a.n2oGwp100) / 1000;
+  const productT = 1 / a.productNShare;
+  const transportT = (productT * (a.seaFreightKm * a.seaKgCo2ePerTkm + a.roadFreightKm * a.roadKgCo2ePerTkm)) / 1000;
+
+  const kwhPerKgN = plasmaKwhPerKgN(a);
+  const plasmaT = kwhPerKgN * gridKgCo2ePerKwh; // kWh/kg N × kg/kWh = t/t N
+  const energyCost = kwhPerKgN * electricityPricePerKwh;
+  const swing = a.electricityPriceSwing;
+
+  const conventional = {
+    productionT: ammoniaT + nitricT,
+    ammoniaT,
+    nitricT,
+    transportT,
+    totalT: ammoniaT + nitricT + transportT,
+    cost: a.conventionalPricePerKgN,
+  };
+  const plasma = {
+    productionT: plasmaT,
+    transportT: 0, // made and used on the farm
+    totalT: plasmaT,
+    kwhPerKgN,
+    cost: { low: energyCost * (1 - swing), typical: energyCost, high: energyCost * (1 + swing) },
+  };
+
+  return {
+    conventional,
+    plasma,
+    // Grid intensity (kg CO2e / kWh) below which plasma nitrate has the lower footprint.
+    breakEvenGrid: conventional.totalT / kwhPerKgN,
+  };
+}
+
+// Rows for the accessible table / CSV: [metric, conventional, plasma, unit].
+export function comparisonRows(r) {
+  return [
+    ["production", r.conventional.productionT, r.plasma.productionT, "t CO2e / t N"],
+    ["transport", r.conventional.transportT, r.plasma.transportT, "t CO2e / t N"],
+    ["total", r.conventional.totalT, r.plasma.totalT, "t CO2e / t N"],
+    ["costLow", r.conventional.cost.low, r.plasma.cost.low, "USD / kg N"],
+    ["costTypical", r.conventional.cost.typical, r.plasma.cost.typical, "USD / kg N"],
+    ["costHigh", r.conventional.cost.high, r.plasma.cost.high, "USD / kg N"],
+  ];
+}
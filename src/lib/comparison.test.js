@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { assumptionValues, compareFertilizer, comparisonRows, defaultInputs, plasmaKwhPerKgN } from "./comparison.js";
+import { DEFAULT_ASSUMPTIONS } from "./sizing.js";
+
+const data = JSON.parse(readFileSync(new URL("../data/fertilizer-comparison.json", import.meta.url), "utf8"));
+const close = (actual, expected, tol = 0.01) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} ≉ ${expected}`);
+
+test("every assumption and default cites a listed source", () => {
+  assert.match(data.version, /^\d+\.\d+\.\d+$/);
+  for (const [key, a] of Object.entries({ ...data.assumptions, ...data.defaults })) {
+    assert.ok(data.sources[a.source], `${key} cites unknown source "${a.source}"`);
+    assert.ok(a.unit, `${key} has no unit`);
+  }
+  // Internal estimates are labelled as such rather than linked to a paper.
+  for (const [key, s] of Object.entries(data.sources)) {
+    if (s.internal) assert.equal(s.url, undefined, `${key} is internal but links out`);
+    else assert.match(s.url, /^https:\/\//);
+  }
+});
+
+test("plasma energy matches the sizing calculator", () => {
+  assert.equal(assumptionValues(data).plasmaEnergyPerMolNMJ, DEFAULT_ASSUMPTIONS.energyPerMolNMJ);
+  // 71,394 mol N/t × 3.5 MJ ÷ 3.6, for the nitrate half only
+  close(plasmaKwhPerKgN(assumptionValues(data)), 34.7, 0.05);
+});
+
+test("conventional footprint: Haber-Bosch CO2, Ostwald N2O and freight", () => {
+  const { conventional } = compareFertilizer(data);
+  close(conventional.ammoniaT, 2.92);
+  close(conventional.nitricT, 4.3);
+  close(conventional.transportT, 0.233);
+  close(conventional.totalT, conventional.productionT + conventional.transportT, 1e-9);
+  assert.deepEqual(conventional.cost, data.assumptions.conventionalPricePerKgN.value);
+});
+
+test("plasma footprint and cost follow the grid and electricity price", () => {
+  const r = compareFertilizer(data, { gridKgCo2ePerKwh: 0.1, electricityPricePerKwh: 0.05 });
+  close(r.plasma.productionT, 3.47);
+  assert.equal(r.plasma.transportT, 0);
+  close(r.plasma.cost.typical, 1.735);
+  close(r.plasma.cost.low, 1.735 * 0.8);
+  close(r.plasma.cost.high, 1.735 * 1.2);
+  assert.equal(compareFertilizer(data, { gridKgCo2ePerKwh: 0 }).plasma.totalT, 0);
+});
+
+test("break-even grid intensity equalises the totals", () => {
+  const { breakEvenGrid, conventional } = compareFertilizer(data);
+  close(breakEvenGrid, 0.215, 0.001);
+  close(compareFertilizer(data, { gridKgCo2ePerKwh: breakEvenGrid }).plasma.totalT, conventional.totalT, 1e-9);
+});
+
+test("defaults come from the data file; rows cover emissions and cost", () => {
+  assert.deepEqual(defaultInputs(data), { gridKgCo2ePerKwh: 0.37, electricityPricePerKwh: 0.12 });
+  const rows = comparisonRows(compareFertilizer(data));
+  assert.deepEqual(rows.map((r) => r[0]), ["production", "transport", "total", "costLow", "costTypical", "costHigh"]);
+});
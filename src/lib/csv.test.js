@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "./csv.js";
+
+test("toCsv quotes cells with commas, quotes or line breaks", () => {
+  const csv = toCsv([["a,b", 'say "hi"', "two\nlines", "plain"]]);
+  assert.equal(csv, '"a,b","say ""hi""","two\nlines",plain\r\n');
+});
+
+test("toCsv writes the header first and empty cells for null and undefined", () => {
+  assert.equal(toCsv([[1, null, undefined, 0]], ["n", "x", "y", "z"]), "n,x,y,z\r\n1,,,0\r\n");
+});
+
+test("parseCsv reads back what toCsv writes", () => {
+  const rows = [
+    ["Quantity", "Value"],
+    ["a,b", 'say "hi"'],
+    ["two\r\nlines", ""],
+  ];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test("parseCsv accepts LF line ends, skips blank lines and a missing final newline", () => {
+  assert.deepEqual(parseCsv("a,b\n\n1,2\n3,4"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", "4"],
+  ]);
+});
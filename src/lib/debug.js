@@ -0,0 +1,59 @@
+// --- Debug overlay (?debug or Alt+Shift+D) -------------------------------------
+// Pure helpers behind src/components/DebugOverlay.jsx, which is only loaded
+// when someone asks for it.
+
+export const DEBUG_PARAM = "debug";
+
+// Injected by vite.config.js; empty when running outside a Vite build.
+export const BUILD_INFO = {
+  commit: import.meta.env?.VITE_BUILD_COMMIT || "",
+  time: import.meta.env?.VITE_BUILD_TIME || "",
+  mode: import.meta.env?.MODE || "",
+};
+
+// Alt+Shift+D, by physical key so layouts that type "Î" or "∂" still work.
+export function isDebugShortcut(event) {
+  return event.altKey && event.shiftKey && !event.ctrlKey && !event.metaKey && event.code === "KeyD";
+}
+
+/**
+ * Every file the image pipeline ships for `manifest` (src/generated/images.json):
+ * each original plus its AVIF/WebP variants, as public/ paths.
+ * @returns {{ file: string, source: string }[]}
+ */
+export function imageAssets(manifest) {
+  return Object.entries(manifest).flatMap(([file, meta]) => [
+    { file, source: file },
+    ...meta.widths.flatMap((w) => ["avif", "webp"].map((ext) => ({ file: `${meta.base}-${w}.${ext}`, source: file }))),
+  ]);
+}
+
+/**
+ * Cumulative Layout Shift from "layout-shift" entries: the worst session
+ * window (shifts under 1 s apart, 5 s at most), ignoring shifts right after
+ * input, as in the Core Web Vitals definition.
+ */
+export function cumulativeLayoutShift(entries) {
+  let worst = 0;
+  let current = 0;
+  let first = 0;
+  let last = 0;
+  for (const e of entries) {
+    if (e.hadRecentInput) continue;
+    if (current > 0 && e.startTime - last < 1000 && e.startTime - first < 5000) {
+      current += e.value;
+    } else {
+      current = e.value;
+      first = e.startTime;
+    }
+    last = e.startTime;
+    worst = Math.max(worst, current);
+  }
+  return worst;
+}
+
+// Good / needs improvement / poor, per the Core Web Vitals thresholds.
+export function rateVital(name, value) {
+  const [good, poor] = name === "cls" ? [0.1, 0.25] : [2500, 4000];
+  return value <= good ? "good" : value <= poor ? "needs improvement" : "poor";
+}
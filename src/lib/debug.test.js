@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cumulativeLayoutShift, imageAssets, isDebugShortcut, rateVital } from "./debug.js";
+
+test("isDebugShortcut wants Alt+Shift+D and nothing else", () => {
+  assert.equal(isDebugShortcut({ altKey: true, shiftKey: true, code: "KeyD" }), true);
+  assert.equal(isDebugShortcut({ altKey: true, shiftKey: true, ctrlKey: true, code: "KeyD" }), false);
+  assert.equal(isDebugShortcut({ altKey: true, shiftKey: false, code: "KeyD" }), false);
+});
+
+test("imageAssets lists each original and all of its variants", () => {
+  const files = imageAssets({ "a.png": { base: "img/a", widths: [480, 960] } }).map((a) => a.file);
+  assert.deepEqual(files, ["a.png", "img/a-480.avif", "img/a-480.webp", "img/a-960.avif", "img/a-960.webp"]);
+});
+
+test("cumulativeLayoutShift keeps the worst session window and skips input-driven shifts", () => {
+  const shift = (startTime, value, hadRecentInput = false) => ({ startTime, value, hadRecentInput });
+  assert.equal(cumulativeLayoutShift([]), 0);
+  // Two windows: 0.1 + 0.05 (500 ms apart), then 0.12 alone after a 2 s gap.
+  assert.equal(cumulativeLayoutShift([shift(100, 0.1), shift(600, 0.05), shift(2600, 0.12)]).toFixed(2), "0.15");
+  assert.equal(cumulativeLayoutShift([shift(100, 0.3, true), shift(200, 0.02)]), 0.02);
+  // A window closes after 5 s even when shifts keep coming.
+  const steady = Array.from({ length: 12 }, (_, i) => shift(i * 900, 0.01));
+  assert.equal(cumulativeLayoutShift(steady).toFixed(2), "0.06");
+});
+
+test("rateVital uses the Core Web Vitals thresholds", () => {
+  assert.equal(rateVital("cls", 0.05), "good");
+  assert.equal(rateVital("cls", 0.2), "needs improvement");
+  assert.equal(rateVital("lcp", 4200), "poor");
+});
@@ -0,0 +1,70 @@
+// --- Deployment config -----------------------------------------------------
+// Pure helpers shared by vite.config.js (build time) and src/lib/assets.js
+// (runtime). Nothing here looks at window.location: where the site lives is
+// decided when it is built, never guessed from the visitor's URL.
+
+// GitHub Pages project site: https://<org>.github.io/N2bio/
+export const PAGES_BASE = "/N2bio/";
+
+/**
+ * "/N2bio" -> "/N2bio/", "" -> "/", "//a//b" -> "/a/b/".
+ * @param {string | null | undefined} base
+ * @returns {string}
+ */
+export function normalizeBase(base) {
+  const p = String(base ?? "").trim().replace(/\/{2,}/g, "/");
+  if (/^[a-z]+:/i.test(p)) throw new Error(`Base must be a path, not a URL: "${base}"`);
+  const withLead = p.startsWith("/") ? p : "/" + p;
+  return withLead.endsWith("/") ? withLead : withLead + "/";
+}
+
+/**
+ * "https://cdn.example.com/" -> "https://cdn.example.com". Empty means
+ * "same origin as the page".
+ * @param {string | null | undefined} origin
+ * @returns {string}
+ */
+export function normalizeOrigin(origin) {
+  const o = String(origin ?? "").trim();
+  if (!o) return "";
+  let url;
+  try {
+    url = new URL(o);
+  } catch {
+    throw new Error(`Asset origin is not a valid URL: "${origin}"`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new Error(`Asset origin must be http(s): "${origin}"`);
+  }
+  return (url.origin + url.pathname).replace(/\/+$/, "");
+}
+
+/**
+ * Pick the public base path for a build.
+ *   basePath  explicit override, e.g. "/" on a custom domain
+ *   prNumber  pull-request preview, served from <pages base>pr-<n>/
+ * Otherwise the GitHub Pages project path.
+ * @param {{ basePath?: string, prNumber?: string | number }} [env]
+ * @returns {string}
+ */
+export function resolveDeployBase({ basePath, prNumber } = {}) {
+  if (basePath != null && basePath !== "") return normalizeBase(basePath);
+  if (prNumber != null && prNumber !== "") {
+    if (!/^\d+$/.test(String(prNumber))) throw new Error(`PR number must be numeric: "${prNumber}"`);
+    return `${PAGES_BASE}pr-${prNumber}/`;
+  }
+  return PAGES_BASE;
+}
+
+// Local builds have no public address; `vite preview` serves here.
+export const LOCAL_SITE_ORIGIN = "http://localhost:4173";
+
+/**
+ * Absolute origin used for canonical URLs, social cards and the sitemap.
+ * CI sets SITE_ORIGIN (e.g. https://<org>.github.io or a custom domain).
+ * @param {string | undefined} origin
+ * @returns {string}
+ */
+export function resolveSiteOrigin(origin) {
+  return normalizeOrigin(origin) || LOCAL_SITE_ORIGIN;
+}
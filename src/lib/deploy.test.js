@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PAGES_BASE, normalizeBase, normalizeOrigin, resolveDeployBase, resolveSiteOrigin } from "./deploy.js";
+
+test("normalizeBase adds slashes and collapses doubles", () => {
+  assert.equal(normalizeBase("/N2bio/"), "/N2bio/");
+  assert.equal(normalizeBase("/N2bio"), "/N2bio/");
+  assert.equal(normalizeBase("N2bio"), "/N2bio/");
+  assert.equal(normalizeBase("//N2bio//pr-3"), "/N2bio/pr-3/");
+  assert.equal(normalizeBase(""), "/");
+  assert.equal(normalizeBase(null), "/");
+  assert.equal(normalizeBase(undefined), "/");
+});
+
+test("normalizeBase rejects full URLs", () => {
+  assert.throws(() => normalizeBase("https://example.com/N2bio/"), /must be a path/);
+});
+
+test("normalizeOrigin trims trailing slashes and keeps a path prefix", () => {
+  assert.equal(normalizeOrigin(""), "");
+  assert.equal(normalizeOrigin(undefined), "");
+  assert.equal(normalizeOrigin("https://cdn.example.com/"), "https://cdn.example.com");
+  assert.equal(normalizeOrigin("https://cdn.example.com/n2bio//"), "https://cdn.example.com/n2bio");
+});
+
+test("normalizeOrigin rejects non-http values", () => {
+  assert.throws(() => normalizeOrigin("cdn.example.com"), /not a valid URL/);
+  assert.throws(() => normalizeOrigin("ftp://cdn.example.com"), /must be http/);
+});
+
+test("resolveDeployBase defaults to the GitHub Pages project path", () => {
+  assert.equal(resolveDeployBase(), PAGES_BASE);
+  assert.equal(resolveDeployBase({ basePath: "", prNumber: "" }), PAGES_BASE);
+});
+
+test("resolveDeployBase serves a custom domain from the root", () => {
+  assert.equal(resolveDeployBase({ basePath: "/" }), "/");
+});
+
+test("resolveDeployBase puts PR previews under the Pages path", () => {
+  assert.equal(resolveDeployBase({ prNumber: "42" }), "/N2bio/pr-42/");
+  assert.equal(resolveDeployBase({ prNumber: 7 }), "/N2bio/pr-7/");
+  assert.throws(() => resolveDeployBase({ prNumber: "../x" }), /numeric/);
+});
+
+test("an explicit base path wins over a PR number", () => {
+  assert.equal(resolveDeployBase({ basePath: "/staging", prNumber: "42" }), "/staging/");
+});
+
+test("resolveSiteOrigin falls back to the local preview server", () => {
+  assert.equal(resolveSiteOrigin(""), "http://localhost:4173");
+  assert.equal(resolveSiteOrigin("https://radom.example/"), "https://radom.example");
+});
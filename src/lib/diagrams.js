@@ -0,0 +1,15 @@
+import { assetUrl } from "./assets.js";
+
+// Lightbox slides for the diagrams content; `href(diagram)` gives the link
+// "Copy link" shares (the current URL when absent), `asset` resolves images.
+export function diagramSlides(diagrams, href, asset = assetUrl) {
+  return diagrams.items.map((d) => ({
+    id: d.id,
+    src: asset(d.image),
+    file: d.image,
+    alt: d.alt,
+    title: d.title,
+    caption: d.body,
+    href: href?.(d),
+  }));
+}
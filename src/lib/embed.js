@@ -0,0 +1,73 @@
+// --- Embeddable overview (<n2bio-overview>) ------------------------------------
+// Pure helpers behind src/entry-embed.js: reading the element's attributes,
+// linking back to the full site and preparing the stylesheet for a shadow root.
+import { DEFAULT_LOCALE, isLocale } from "../i18n/locales.js";
+import { normalizeOrigin } from "./deploy.js";
+import { pageUrl } from "./head.js";
+
+export const EMBED_TAG = "n2bio-overview";
+
+// Section names for the `sections` attribute, in page order. They are the
+// content ids of those sections, so they match the site's #anchors.
+export const EMBED_SECTIONS = ["hero", "diagrams", "how", "white-box"];
+
+/**
+ * `sections="how hero"` or `"how, hero"` -> ["hero", "how"]: always page
+ * order, unknown names dropped. Missing or empty means all of them.
+ * @param {string | null} value
+ * @returns {string[]}
+ */
+export function parseSections(value) {
+  const wanted = new Set(String(value ?? "").split(/[\s,]+/).filter(Boolean));
+  if (wanted.size === 0) return EMBED_SECTIONS;
+  return EMBED_SECTIONS.filter((name) => wanted.has(name));
+}
+
+// "pt-BR" -> "pt"; anything we don't translate falls back to English.
+export function embedLocale(lang) {
+  const code = String(lang ?? "").toLowerCase().split("-")[0];
+  return isLocale(code) ? code : DEFAULT_LOCALE;
+}
+
+/**
+ * Absolute URL on the full site for a localized app path, keeping its query
+ * and hash: "/es/quote?from=x" -> "https://<org>.github.io/N2bio/es/quote/?from=x".
+ * A bare "#hash" points at the home page. URLs pass through.
+ */
+export function siteHref(target, { origin, base } = {}) {
+  if (/^[a-z]+:/i.test(target)) return target;
+  const [, path, rest] = target.match(/^([^?#]*)(.*)$/);
+  return pageUrl(path || "/", { origin, base }) + rest;
+}
+
+/**
+ * createAssetUrl options for the `asset-base` attribute: a URL
+ * ("https://cdn.example.com/n2bio/") or a path ("/mirror/", "n2bio/") on the
+ * host page, resolved against its `baseURI`. Missing or unusable values get
+ * `fallback`, the deployment's own files.
+ * @param {string | null} value
+ * @param {string} baseURI
+ * @param {{ base?: string, origin?: string }} fallback
+ */
+export function embedAssets(value, baseURI, fallback) {
+  const given = String(value ?? "").trim();
+  if (!given) return fallback;
+  try {
+    return { origin: normalizeOrigin(new URL(given, baseURI).href) };
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Split Tailwind's `@property` rules off a stylesheet. Browsers ignore them
+ * inside a shadow root, and without them utilities built on registered
+ * properties (shadows, gradients, transforms) lose their initial values, so
+ * they go on the host document instead.
+ * @param {string} css
+ * @returns {{ properties: string, rest: string }}
+ */
+export function splitPropertyRules(css) {
+  const rule = /@property\s+--[\w-]+\s*\{[^}]*\}/g;
+  return { properties: (css.match(rule) ?? []).join("\n"), rest: css.replace(rule, "") };
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAssetUrl } from "./assets.js";
+import { EMBED_SECTIONS, embedAssets, embedLocale, parseSections, siteHref, splitPropertyRules } from "./embed.js";
+
+test("parseSections keeps page order and drops unknown names", () => {
+  assert.deepEqual(parseSections("white-box, hero media"), ["hero", "white-box"]);
+  assert.deepEqual(parseSections("how"), ["how"]);
+});
+
+test("parseSections shows everything when the attribute is missing or empty", () => {
+  assert.deepEqual(parseSections(null), EMBED_SECTIONS);
+  assert.deepEqual(parseSections("  "), EMBED_SECTIONS);
+});
+
+test("embedLocale matches on the primary subtag and falls back to English", () => {
+  assert.equal(embedLocale("pt-BR"), "pt");
+  assert.equal(embedLocale("ES"), "es");
+  assert.equal(embedLocale("fr"), "en");
+  assert.equal(embedLocale(null), "en");
+});
+
+test("siteHref points app paths at the full site", () => {
+  const site = { origin: "https://example.github.io", base: "/N2bio/" };
+  assert.equal(siteHref("/es/diagrams/flow", site), "https://example.github.io/N2bio/es/diagrams/flow/");
+  assert.equal(
+    siteHref("/quote?request=white-paper&from=white-box", site),
+    "https://example.github.io/N2bio/quote/?request=white-paper&from=white-box"
+  );
+  assert.equal(siteHref("/pt/#media", site), "https://example.github.io/N2bio/pt/#media");
+  assert.equal(siteHref("#media", site), "https://example.github.io/N2bio/#media");
+  assert.equal(siteHref("https://www.mdpi.com/x", site), "https://www.mdpi.com/x");
+});
+
+test("embedAssets takes URLs and paths on the host page, else the site's own files", () => {
+  const host = "https://partner.example.com/news/story.html";
+  const site = { base: "/N2bio/", origin: "https://example.github.io" };
+  const asset = (value) => createAssetUrl(embedAssets(value, host, site))("chicken.jpg");
+  assert.equal(asset("https://cdn.example.com/n2bio/"), "https://cdn.example.com/n2bio/chicken.jpg");
+  assert.equal(asset("/mirror/"), "https://partner.example.com/mirror/chicken.jpg");
+  assert.equal(asset("n2bio"), "https://partner.example.com/news/n2bio/chicken.jpg");
+  for (const value of [null, " ", "http://", "ftp://files.example.com/", "javascript:alert(1)"]) {
+    assert.equal(asset(value), "https://example.github.io/N2bio/chicken.jpg", String(value));
+  }
+  assert.deepEqual(embedAssets("/mirror/", "about:blank", site), site);
+});
+
+test("splitPropertyRules moves @property rules out of the stylesheet", () => {
+  const css = `@layer theme{:root,:host{--color-ink:#fff}}.shadow{box-shadow:var(--tw-shadow)}@property --tw-shadow{syntax:"*";inherits:false;initial-value:0 0 #0000}
+@property --tw-translate-y { syntax: "*"; inherits: false; initial-value: 0; }`;
+  const { properties, rest } = splitPropertyRules(css);
+  assert.equal(
+    properties,
+    `@property --tw-shadow{syntax:"*";inherits:false;initial-value:0 0 #0000}\n@property --tw-translate-y { syntax: "*"; inherits: false; initial-value: 0; }`
+  );
+  assert.equal(rest.trim(), "@layer theme{:root,:host{--color-ink:#fff}}.shadow{box-shadow:var(--tw-shadow)}");
+});
@@ -0,0 +1,48 @@
+// --- One-page fact sheet --------------------------------------------------------
+// The same outline feeds the /fact-sheet page (screen and print) and the PDF
+// written at build time by scripts/fact-sheet-pdf.js, so both always match the
+// localized site content.
+import { doiUrl } from "./citation.js";
+import { plainText } from "./head.js";
+import { ORGANIZATION } from "./organization.js";
+import { watchUrl } from "./youtube.js";
+
+// Videos and papers get a QR code; their public URL is what the code opens.
+export function factSheetLinks(media) {
+  return media.items
+    .filter((item) => item.youtubeId || item.href || item.doi)
+    .map((item) => ({
+      id: item.id,
+      type: item.type,
+      title: item.title,
+      url: item.youtubeId ? watchUrl(item.youtubeId) : item.href || doiUrl(item.doi),
+    }));
+}
+
+/** Section by section, as plain text (no **bold** marks). */
+export function factSheet(content) {
+  const { hero, diagrams, howItWorks, benefits, media } = content;
+  const [problem, ...solutions] = diagrams.items;
+  const brief = ({ title, body, image, alt }) => ({ title, body: plainText(body), image, alt });
+  return {
+    title: hero.title,
+    intro: plainText(hero.intro),
+    problem: brief(problem),
+    solutions: solutions.map(brief),
+    steps: howItWorks.steps.map((s) => ({ id: s.id, label: s.label, text: plainText(s.text) })),
+    benefits: benefits.items.map((b) => ({ title: b.title, body: plainText(b.body) })),
+    links: factSheetLinks(media),
+    contact: {
+      name: ORGANIZATION.name,
+      address: ORGANIZATION.addressDisplay,
+      phone: ORGANIZATION.phoneDisplay,
+      email: ORGANIZATION.email,
+      url: ORGANIZATION.url,
+    },
+  };
+}
+
+// Path of the PDF under the deploy base, e.g. "downloads/n2bio-fact-sheet-es.pdf".
+export function factSheetFile(locale) {
+  return `downloads/n2bio-fact-sheet-${locale}.pdf`;
+}
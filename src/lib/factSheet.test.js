@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { factSheet, factSheetFile, factSheetLinks } from "./factSheet.js";
+
+const media = {
+  items: [
+    { id: "overview", type: "video", title: "Overview", youtubeId: "abc123" },
+    { id: "paper", type: "paper", title: "Paper", href: "https://www.mdpi.com/x", doi: "10.1/x" },
+    { id: "preprint", type: "paper", title: "Preprint", doi: "10.2/y" },
+    { id: "poster", type: "poster", title: "Poster without a link" },
+  ],
+};
+
+const content = {
+  hero: { title: "Nitrogen Fixation", intro: "Plasma makes **nitric acid**." },
+  diagrams: {
+    items: [
+      { id: "problem", title: "Problem", body: "Too *much* ammonia.", image: "p.png", alt: "P" },
+      { id: "a", title: "Solution A", body: "A", image: "a.png", alt: "A" },
+      { id: "b", title: "Solution B", body: "B", image: "b.png", alt: "B" },
+    ],
+  },
+  howItWorks: { steps: [{ id: "nitric-acid", label: "Plasma torch", text: "Makes **HNO₃**." }] },
+  benefits: { items: [{ title: "Water reuse", body: "Less *waste*." }] },
+  media,
+};
+
+test("factSheetLinks points at the video, the publisher page or the DOI", () => {
+  assert.deepEqual(
+    factSheetLinks(media).map((l) => [l.id, l.url]),
+    [
+      ["overview", "https://www.youtube.com/watch?v=abc123"],
+      ["paper", "https://www.mdpi.com/x"],
+      ["preprint", "https://doi.org/10.2/y"],
+    ]
+  );
+});
+
+test("factSheet splits problem from solutions and drops inline marks", () => {
+  const sheet = factSheet(content);
+  assert.equal(sheet.intro, "Plasma makes nitric acid.");
+  assert.equal(sheet.problem.title, "Problem");
+  assert.equal(sheet.problem.body, "Too much ammonia.");
+  assert.deepEqual(
+    sheet.solutions.map((s) => s.image),
+    ["a.png", "b.png"]
+  );
+  assert.equal(sheet.steps[0].text, "Makes HNO₃.");
+  assert.equal(sheet.benefits[0].body, "Less waste.");
+  assert.equal(sheet.links.length, 3);
+  assert.equal(sheet.contact.email, "inquiries@radomcorp.com");
+});
+
+test("factSheetFile names one PDF per locale", () => {
+  assert.equal(factSheetFile("pt"), "downloads/n2bio-fact-sheet-pt.pdf");
+});
@@ -0,0 +1,24 @@
+// --- number formatting helpers shared by the calculators -------------------
+
+export function formatNumber(value, digits = 0, locale = "en-US") {
+  if (!Number.isFinite(value)) return "—";
+  return value.toLocaleString(locale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  });
+}
+
+export function formatCurrency(value, locale = "en-US") {
+  if (!Number.isFinite(value)) return "—";
+  return value.toLocaleString(locale, {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  });
+}
+
+// Parse a form field; blank or garbage becomes the fallback.
+export function toNumber(value, fallback = 0) {
+  const n = typeof value === "number" ? value : parseFloat(String(value ?? "").replace(/,/g, ""));
+  return Number.isFinite(n) ? n : fallback;
+}
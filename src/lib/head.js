@@ -0,0 +1,89 @@
+// --- <head> tags, sitemap and robots.txt -----------------------------------
+// Pure string building, shared by the prerender step (src/entry-server.js) and
+// the unit tests. Page descriptions themselves come from src/lib/seo.js.
+import { resolveSiteOrigin } from "./deploy.js";
+import { BASE, withBase } from "./router.js";
+
+export const SITE_NAME = "N2bio";
+export const SITE_ORIGIN = resolveSiteOrigin(import.meta.env?.VITE_SITE_ORIGIN);
+
+// "**Nitric Acid** from *air*" -> "Nitric Acid from air"
+export function plainText(text) {
+  return text.replace(/\*\*(.+?)\*\*/g, "$1").replace(/\*(.+?)\*/g, "$1");
+}
+
+// Search snippets cut off around 160 characters; end on a whole word.
+export function summarize(text, max = 160) {
+  const flat = plainText(text).replace(/\s+/g, " ").trim();
+  if (flat.length <= max) return flat;
+  return flat.slice(0, flat.lastIndexOf(" ", max - 1)).replace(/[,;:.–—-]+$/, "") + "…";
+}
+
+// Prerendered pages are folders (privacy/index.html), so URLs end in "/".
+export function pageUrl(path, { origin = SITE_ORIGIN, base = BASE } = {}) {
+  const url = withBase(path, base);
+  return origin + (url.endsWith("/") ? url : url + "/");
+}
+
+export function absoluteUrl(url, origin = SITE_ORIGIN) {
+  return /^https?:/.test(url) ? url : origin + url;
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// JSON inside <script>: "</script>" in a string must not end the element.
+function jsonForScript(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+/** The <head> tags for a page, as an HTML string (prerender only). */
+export function headTags(page) {
+  const meta = (attr, key, value) => value != null && `<meta ${attr}="${key}" content="${escapeHtml(value)}">`;
+  const tags = [
+    `<title>${escapeHtml(page.fullTitle)}</title>`,
+    meta("name", "description", page.description),
+    page.noindex ? meta("name", "robots", "noindex") : `<link rel="canonical" href="${escapeHtml(page.url)}">`,
+    ...page.alternates.map((a) => `<link rel="alternate" hreflang="${a.hreflang}" href="${escapeHtml(a.url)}">`),
+    meta("property", "og:site_name", SITE_NAME),
+    meta("property", "og:type", page.type),
+    meta("property", "og:locale", page.ogLocale),
+    meta("property", "og:title", page.title),
+    meta("property", "og:description", page.description),
+    meta("property", "og:url", page.url),
+    meta("property", "og:image", page.image.url),
+    meta("property", "og:image:alt", page.image.alt),
+    meta("property", "og:image:width", page.image.width),
+    meta("property", "og:image:height", page.image.height),
+    meta("name", "twitter:card", "summary_large_image"),
+    meta("name", "twitter:title", page.title),
+    meta("name", "twitter:description", page.description),
+    meta("name", "twitter:image", page.image.url),
+    meta("name", "twitter:image:alt", page.image.alt),
+    ...page.jsonLd.map((data) => `<script type="application/ld+json">${jsonForScript(data)}</script>`),
+  ];
+  return tags.filter(Boolean).join("\n    ");
+}
+
+export function sitemapXml(pages) {
+  const entries = pages
+    .filter((p) => !p.noindex)
+    .map((p) => {
+      const alternates = p.alternates
+        .map((a) => `\n    <xhtml:link rel="alternate" hreflang="${a.hreflang}" href="${escapeHtml(a.url)}"/>`)
+        .join("");
+      return `  <url>\n    <loc>${escapeHtml(p.url)}</loc>${alternates}\n  </url>`;
+    });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.join("\n")}
+</urlset>
+`;
+}
+
+// Crawlers only read robots.txt at the host root, so this matters on a custom
+// domain; on a project site it's harmless and still points at the sitemap.
+export function robotsTxt() {
+  return `User-agent: *\nAllow: /\n\nSitemap: ${pageUrl("/")}sitemap.xml\n`;
+}
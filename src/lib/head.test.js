@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LOCAL_SITE_ORIGIN } from "./deploy.js";
+import { SITE_ORIGIN, absoluteUrl, headTags, pageUrl, plainText, robotsTxt, sitemapXml, summarize } from "./head.js";
+
+const page = {
+  title: `Fertilizer "from" <air>`,
+  fullTitle: `Fertilizer "from" <air> | N2bio`,
+  description: "Made on the farm & used there.",
+  type: "website",
+  ogLocale: "en_US",
+  url: "https://example.org/N2bio/",
+  image: { url: "https://example.org/N2bio/a.png", alt: "A", width: 800, height: 600 },
+  alternates: [{ hreflang: "es", url: "https://example.org/N2bio/es/" }],
+  jsonLd: [{ "@type": "Thing", name: "</script><script>alert(1)</script>" }],
+};
+
+test("site origin falls back to the local preview server", () => {
+  assert.equal(SITE_ORIGIN, LOCAL_SITE_ORIGIN);
+  assert.equal(absoluteUrl("/N2bio/a.png", "https://x.org"), "https://x.org/N2bio/a.png");
+  assert.equal(absoluteUrl("https://cdn.x.org/a.png", "https://x.org"), "https://cdn.x.org/a.png");
+});
+
+test("plainText drops markdown emphasis", () => {
+  assert.equal(plainText("**Nitric Acid** from *air*"), "Nitric Acid from air");
+});
+
+test("summarize keeps short text and cuts long text on a word", () => {
+  assert.equal(summarize("  two\n words "), "two words");
+  const out = summarize("alpha beta, gamma delta", 14);
+  assert.equal(out, "alpha beta…");
+  assert.ok(summarize("word ".repeat(100)).length <= 160);
+});
+
+test("pageUrl is absolute with a trailing slash", () => {
+  const opts = { origin: "https://x.org", base: "/N2bio/" };
+  assert.equal(pageUrl("/", opts), "https://x.org/N2bio/");
+  assert.equal(pageUrl("/es/privacy", opts), "https://x.org/N2bio/es/privacy/");
+  assert.equal(pageUrl("/terms", { origin: "https://x.org", base: "/" }), "https://x.org/terms/");
+});
+
+test("headTags escapes attribute values and script content", () => {
+  const html = headTags(page);
+  assert.match(html, /<title>Fertilizer &quot;from&quot; &lt;air&gt; \| N2bio<\/title>/);
+  assert.match(html, /<meta name="description" content="Made on the farm &amp; used there\.">/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/example\.org\/N2bio\/">/);
+  assert.match(html, /<link rel="alternate" hreflang="es" href="https:\/\/example\.org\/N2bio\/es\/">/);
+  assert.match(html, /<meta property="og:image:width" content="800">/);
+  assert.ok(!html.includes("</script><script>"));
+  assert.match(html, /\\u003c\/script>/);
+});
+
+test("headTags marks not-found pages noindex instead of canonical", () => {
+  const html = headTags({ ...page, noindex: true, alternates: [] });
+  assert.match(html, /<meta name="robots" content="noindex">/);
+  assert.doesNotMatch(html, /rel="canonical"/);
+});
+
+test("sitemapXml lists indexable pages with their alternates", () => {
+  const xml = sitemapXml([page, { ...page, url: "https://example.org/N2bio/missing/", noindex: true }]);
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+  assert.equal(xml.match(/<url>/g).length, 1);
+  assert.match(xml, /<loc>https:\/\/example\.org\/N2bio\/<\/loc>/);
+  assert.match(xml, /<xhtml:link rel="alternate" hreflang="es" href="https:\/\/example\.org\/N2bio\/es\/"\/>/);
+});
+
+test("robotsTxt points at the sitemap", () => {
+  assert.match(robotsTxt(), /^User-agent: \*\nAllow: \/\n/);
+  assert.match(robotsTxt(), /Sitemap: http:\/\/localhost:4173\/sitemap\.xml\n$/);
+});
@@ -0,0 +1,36 @@
+// --- Image hotspots -------------------------------------------------------------
+// Pure helpers behind src/components/HotspotImage.jsx. Marker positions are
+// percentages of the image (0–100 from the top-left corner), so they scale
+// with it.
+
+/**
+ * Where a marker's popover goes: it grows from the marker toward the middle
+ * of the image, so it stays inside the frame. Values are CSS lengths for
+ * left/right/top/bottom ("auto" for the unused side).
+ * @param {{ x: number, y: number }} hotspot
+ */
+export function popoverAnchor({ x, y }) {
+  const fromRight = x > 50;
+  const fromBottom = y > 50;
+  return {
+    left: fromRight ? "auto" : `${x}%`,
+    right: fromRight ? `${100 - x}%` : "auto",
+    top: fromBottom ? "auto" : `${y}%`,
+    bottom: fromBottom ? `${100 - y}%` : "auto",
+  };
+}
+
+// The popover's classes. On phones it is a sheet along the bottom of the
+// image; from sm: up each side comes only from popoverAnchor (set as
+// --pop-left/right/top/bottom), so no other sm: utility may set one.
+export const POPOVER_CLASS = [
+  "absolute inset-x-2 bottom-2 z-10 rounded-card border border-line bg-surface-raised p-4 text-sm text-ink shadow-2xl",
+  "sm:inset-x-auto sm:w-72 sm:m-6",
+  "sm:left-(--pop-left) sm:right-(--pop-right) sm:top-(--pop-top) sm:bottom-(--pop-bottom)",
+].join(" ");
+
+// The marker after (step 1) or before (step -1) `id`, wrapping around.
+export function nextHotspot(hotspots, id, step) {
+  const i = hotspots.findIndex((h) => h.id === id);
+  return hotspots[(i + step + hotspots.length) % hotspots.length];
+}
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { POPOVER_CLASS, nextHotspot, popoverAnchor } from "./hotspots.js";
+
+test("popoverAnchor opens toward the middle of the image", () => {
+  assert.deepEqual(popoverAnchor({ x: 20, y: 15 }), { left: "20%", right: "auto", top: "15%", bottom: "auto" });
+  assert.deepEqual(popoverAnchor({ x: 70, y: 80 }), { left: "auto", right: "30%", top: "auto", bottom: "20%" });
+});
+
+test("from sm: up, a lower-half marker's popover is placed only by its anchor", () => {
+  const anchor = popoverAnchor({ x: 30, y: 75 });
+  assert.equal(anchor.top, "auto");
+  assert.equal(anchor.bottom, "25%");
+  const sm = POPOVER_CLASS.split(/\s+/).filter((c) => c.startsWith("sm:"));
+  for (const side of ["left", "right", "top", "bottom"]) {
+    assert.deepEqual(sm.filter((c) => c.startsWith(`sm:${side}-`)), [`sm:${side}-(--pop-${side})`], side);
+  }
+});
+
+test("nextHotspot steps through the markers and wraps", () => {
+  const spots = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  assert.equal(nextHotspot(spots, "a", 1).id, "b");
+  assert.equal(nextHotspot(spots, "c", 1).id, "a");
+  assert.equal(nextHotspot(spots, "a", -1).id, "c");
+});
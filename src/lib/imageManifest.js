@@ -0,0 +1,4 @@
+// Written by scripts/build-images.js (sizes, variant widths, blur previews).
+// Empty until that has run; callers fall back to the plain file in public/.
+export const IMAGE_MANIFEST =
+  Object.values(import.meta.glob("../generated/images.json", { eager: true, import: "default" }))[0] || {};
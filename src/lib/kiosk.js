@@ -0,0 +1,91 @@
+// --- Trade-show kiosk mode ---------------------------------------------------
+// Open the site once with ?kiosk=1 and the device stays in kiosk mode (until
+// ?kiosk=0): an attract loop walks through the home page, collapsibles open
+// themselves, outbound links are hidden, videos play from local copies, and
+// a service worker keeps everything available offline. After a visitor leaves
+// it idle, the page resets to where kiosk mode was switched on.
+
+export const KIOSK_PARAM = "kiosk";
+export const KIOSK_KEY = "n2bio:kiosk";
+
+// How long the attract loop lingers on each section, and how long a visitor
+// may leave the screen untouched before it resets.
+export const ATTRACT_STEP_MS = 10_000;
+export const IDLE_RESET_MS = 90_000;
+
+const OFF = ["0", "false", "off"];
+
+/**
+ * Kiosk start path after reading the URL: `path` when ?kiosk (=1) turns it on
+ * here, null when ?kiosk=0 turns it off, otherwise whatever was stored.
+ * @param {string} search  location.search
+ * @param {string | null} stored  previous start path
+ * @param {string} path  current app path (locale included)
+ * @returns {string | null}
+ */
+export function kioskStart(search, stored, path) {
+  const value = new URLSearchParams(search).get(KIOSK_PARAM);
+  if (value === null) return stored || null;
+  return OFF.includes(value.toLowerCase()) ? null : path;
+}
+
+/**
+ * Attract loop + idle reset, driven by `activity()` calls for every touch,
+ * click or key press.
+ *   start()     step through `steps` every `stepMs`, beginning with the first
+ *   activity()  stop the loop; reset after `idleMs` without further activity
+ *   stop()      cancel everything
+ * `busy()` postpones the reset (e.g. while a video plays). `timers` is for tests.
+ */
+export function createAttractLoop({
+  steps,
+  onStep,
+  onReset,
+  busy = () => false,
+  stepMs = ATTRACT_STEP_MS,
+  idleMs = IDLE_RESET_MS,
+  timers = globalThis,
+}) {
+  let cycle = null;
+  let idle = null;
+  let index = 0;
+
+  const next = () => {
+    onStep(steps[index % steps.length]);
+    index++;
+  };
+
+  function stop() {
+    timers.clearInterval(cycle);
+    timers.clearTimeout(idle);
+    cycle = null;
+    idle = null;
+  }
+
+  function start() {
+    stop();
+    index = 0;
+    next();
+    cycle = timers.setInterval(next, stepMs);
+  }
+
+  function activity() {
+    stop();
+    idle = timers.setTimeout(expire, idleMs);
+  }
+
+  function expire() {
+    if (busy()) return activity();
+    onReset();
+    start();
+  }
+
+  return {
+    start,
+    stop,
+    activity,
+    get attracting() {
+      return cycle !== null;
+    },
+  };
+}
@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAttractLoop, kioskStart } from "./kiosk.js";
+
+// Manual clock: run(ms) fires whatever is due.
+function fakeTimers() {
+  let now = 0;
+  let nextId = 1;
+  const pending = new Map();
+  const add = (fn, ms, every) => {
+    const id = nextId++;
+    pending.set(id, { fn, at: now + ms, every });
+    return id;
+  };
+  return {
+    setTimeout: (fn, ms) => add(fn, ms, null),
+    setInterval: (fn, ms) => add(fn, ms, ms),
+    clearTimeout: (id) => pending.delete(id),
+    clearInterval: (id) => pending.delete(id),
+    run(ms) {
+      const end = now + ms;
+      for (;;) {
+        const [id, due] = [...pending].filter(([, t]) => t.at <= end).sort((a, b) => a[1].at - b[1].at)[0] ?? [];
+        if (!due) break;
+        now = due.at;
+        if (due.every) due.at += due.every;
+        else pending.delete(id);
+        due.fn();
+      }
+      now = end;
+    },
+  };
+}
+
+test("kioskStart turns on at the current path, off with ?kiosk=0, and is remembered", () => {
+  assert.equal(kioskStart("?kiosk=1", null, "/es"), "/es");
+  assert.equal(kioskStart("?kiosk", null, "/"), "/");
+  assert.equal(kioskStart("?diagram=x", "/es", "/privacy"), "/es");
+  assert.equal(kioskStart("?kiosk=0", "/es", "/"), null);
+  assert.equal(kioskStart("?kiosk=OFF", "/es", "/"), null);
+  assert.equal(kioskStart("", null, "/"), null);
+});
+
+test("the attract loop cycles through the steps until someone touches the screen", () => {
+  const timers = fakeTimers();
+  const seen = [];
+  const loop = createAttractLoop({ steps: ["a", "b", "c"], onStep: (s) => seen.push(s), onReset() {}, stepMs: 10, idleMs: 100, timers });
+  loop.start();
+  timers.run(35);
+  assert.deepEqual(seen, ["a", "b", "c", "a"]);
+  loop.activity();
+  timers.run(50);
+  assert.equal(loop.attracting, false);
+  assert.equal(seen.length, 4);
+});
+
+test("idle time resets the page and restarts the loop from the first step", () => {
+  const timers = fakeTimers();
+  const log = [];
+  const loop = createAttractLoop({
+    steps: ["a", "b"],
+    onStep: (s) => log.push(s),
+    onReset: () => log.push("reset"),
+    stepMs: 10,
+    idleMs: 100,
+    timers,
+  });
+  loop.start();
+  timers.run(15);
+  loop.activity();
+  timers.run(90);
+  loop.activity();
+  timers.run(99);
+  assert.deepEqual(log, ["a", "b"]);
+  timers.run(1);
+  assert.deepEqual(log, ["a", "b", "reset", "a"]);
+  assert.equal(loop.attracting, true);
+  loop.stop();
+  timers.run(1000);
+  assert.equal(log.length, 4);
+});
+
+test("a busy page (video playing) postpones the reset", () => {
+  const timers = fakeTimers();
+  let playing = true;
+  let resets = 0;
+  const loop = createAttractLoop({ steps: ["a"], onStep() {}, onReset: () => resets++, busy: () => playing, idleMs: 100, timers });
+  loop.activity();
+  timers.run(250);
+  assert.equal(resets, 0);
+  playing = false;
+  timers.run(100);
+  assert.equal(resets, 1);
+});
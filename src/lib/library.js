@@ -0,0 +1,69 @@
+// --- Media library: item kinds, topics and filtering -------------------------
+// Items live in src/content/<locale>/media.json. Plain JS: the content schema
+// (run under Node before every build) imports the lists below.
+
+export const MEDIA_TYPES = ["paper", "poster", "talk", "video"];
+export const MEDIA_TOPICS = ["plasma", "nitric-acid", "fertilizer", "manure", "pilot-plant", "energy"];
+
+// Fields an item of each type can't do without (beyond the common ones).
+export const REQUIRED_BY_TYPE = {
+  paper: ["href", "image", "alt"],
+  poster: ["href", "image", "alt"],
+  // `published` is the YouTube upload date, required in video structured data.
+  talk: ["youtubeId", "thumbnail", "published"],
+  video: ["youtubeId", "thumbnail", "published"],
+};
+
+// "2025-06-28" -> 2025; undated items have no year.
+export function itemYear(item) {
+  return item.published ? Number(item.published.slice(0, 4)) : null;
+}
+
+// Newest first; undated items after dated ones, in content order.
+export function sortItems(items) {
+  return items
+    .map((item, i) => ({ item, i }))
+    .sort((a, b) => (itemYear(b.item) ?? -Infinity) - (itemYear(a.item) ?? -Infinity) || a.i - b.i)
+    .map(({ item }) => item);
+}
+
+// The filter choices that actually have items behind them.
+export function facets(items) {
+  const present = (list) => (value) => list.some((v) => v === value);
+  const types = items.map((i) => i.type);
+  const topics = items.flatMap((i) => i.topics);
+  const years = [...new Set(items.map(itemYear).filter((y) => y != null))].sort((a, b) => b - a);
+  return {
+    types: MEDIA_TYPES.filter(present(types)),
+    topics: MEDIA_TOPICS.filter(present(topics)),
+    years,
+  };
+}
+
+function normalize(s) {
+  return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function haystack(item) {
+  return normalize(
+    [item.title, item.description, item.headline, item.journal, item.doi, ...(item.authors ?? [])].filter(Boolean).join(" ")
+  );
+}
+
+/**
+ * Items matching every given filter. `query` matches all of its words
+ * against title, description, authors, journal and DOI, ignoring case and
+ * accents. Empty filters match everything.
+ * @param {object[]} items
+ * @param {{ type?: string | null, topic?: string | null, year?: string | number | null, query?: string | null }} filters
+ */
+export function filterItems(items, { type, topic, year, query } = {}) {
+  const words = normalize(query ?? "").split(/\s+/).filter(Boolean);
+  return items.filter(
+    (item) =>
+      (!type || item.type === type) &&
+      (!topic || item.topics.includes(topic)) &&
+      (!year || itemYear(item) === Number(year)) &&
+      (words.length === 0 || words.every((w) => haystack(item).includes(w)))
+  );
+}
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { facets, filterItems, itemYear, sortItems } from "./library.js";
+
+const items = [
+  { id: "a", type: "video", title: "Let’s talk about N2bio", description: "Overview", topics: ["fertilizer"] },
+  {
+    id: "b",
+    type: "paper",
+    title: "Pilot plant paper",
+    description: "Nitric acid from air",
+    topics: ["nitric-acid", "plasma"],
+    published: "2025-06-28",
+    authors: ["Ian McKinney", "Qi Rao"],
+    doi: "10.3390/nitrogen6030051",
+  },
+  { id: "c", type: "poster", title: "Fertilización en granja", description: "Póster", topics: ["plasma"], published: "2024-03-01" },
+];
+
+test("itemYear reads the publication year", () => {
+  assert.equal(itemYear(items[1]), 2025);
+  assert.equal(itemYear(items[0]), null);
+});
+
+test("sortItems puts newest first and undated items last", () => {
+  assert.deepEqual(sortItems(items).map((i) => i.id), ["b", "c", "a"]);
+});
+
+test("facets only offer choices that have items, in canonical order", () => {
+  assert.deepEqual(facets(items), {
+    types: ["paper", "poster", "video"],
+    topics: ["plasma", "nitric-acid", "fertilizer"],
+    years: [2025, 2024],
+  });
+});
+
+test("filterItems combines type, topic and year", () => {
+  assert.deepEqual(filterItems(items, { topic: "plasma" }).map((i) => i.id), ["b", "c"]);
+  assert.deepEqual(filterItems(items, { topic: "plasma", type: "poster" }).map((i) => i.id), ["c"]);
+  assert.deepEqual(filterItems(items, { year: "2025" }).map((i) => i.id), ["b"]);
+  assert.equal(filterItems(items, {}).length, 3);
+  assert.equal(filterItems(items, { type: "", topic: null }).length, 3);
+});
+
+test("filterItems searches text, authors and DOI ignoring case and accents", () => {
+  assert.deepEqual(filterItems(items, { query: "mckinney" }).map((i) => i.id), ["b"]);
+  assert.deepEqual(filterItems(items, { query: "nitrogen6030051" }).map((i) => i.id), ["b"]);
+  assert.deepEqual(filterItems(items, { query: "fertilizacion granja" }).map((i) => i.id), ["c"]);
+  assert.deepEqual(filterItems(items, { query: "granja paper" }), []);
+});
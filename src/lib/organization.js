@@ -0,0 +1,35 @@
+// Company details shown in the footer and published as schema.org data.
+export const ORGANIZATION = {
+  name: "Radom Corporation",
+  url: "https://www.radomcorp.com/",
+  email: "inquiries@radomcorp.com",
+  phone: "+1-855-752-7620",
+  phoneDisplay: "1-855-PLASMA-0 (1-855-752-7620)",
+  address: {
+    street: "N27W23676 Paul Rd",
+    locality: "Pewaukee",
+    region: "WI",
+    postalCode: "53072",
+    country: "US",
+  },
+  addressDisplay: "N27W23676 Paul Rd, Pewaukee, WI 53072, USA",
+  sameAs: [
+    "https://x.com/RadomCorpPlasma",
+    "https://www.linkedin.com/company/radom-corp-high-power",
+    "https://www.youtube.com/@RadomCorporation",
+  ],
+};
+
+// Pages on the company site, linked from the header menu and the footer.
+export const SITE_LINKS = {
+  home: "https://www.radomcorp.com/",
+  products: "https://www.radomcorp.com/plasma-source-products",
+  applications: "https://www.radomcorp.com/applications",
+  instruments: "https://www.radominstruments.com/",
+};
+
+export const PRODUCT_PAGES = [
+  { name: "1.5 kW Altair & Mira", href: "https://www.radomcorp.com/products/mira-altair" },
+  { name: "10 kW Polaris", href: "https://www.radomcorp.com/products/polaris" },
+  { name: "100 kW Sirius", href: "https://www.radomcorp.com/products/sirius" },
+];
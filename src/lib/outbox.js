@@ -0,0 +1,111 @@
+// --- Offline outbox for form submissions -------------------------------------
+// Requests that fail for a retryable reason (offline, 5xx) are kept in
+// localStorage and re-sent when the browser comes back online or the site is
+// opened again.
+
+export const OUTBOX_KEY = "n2bio:quote-outbox";
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+function browserStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return memoryStorage(); // storage blocked; queue lasts for this page only
+  }
+}
+
+export function createOutbox({ storage = browserStorage(), key = OUTBOX_KEY } = {}) {
+  const read = () => {
+    try {
+      const items = JSON.parse(storage.getItem(key) || "[]");
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (items) => {
+    if (items.length === 0) storage.removeItem(key);
+    else storage.setItem(key, JSON.stringify(items));
+  };
+  let flushing = null;
+
+  return {
+    items: read,
+    add(payload) {
+      write([...read().filter((p) => p.id !== payload.id), payload]);
+    },
+    /**
+     * Try every queued payload once. Retryable failures stay queued; others
+     * are dropped (the server will never accept them).
+     * Resolves to { sent, dropped, pending }.
+     */
+    flush(adapter) {
+      if (flushing) return flushing;
+      flushing = (async () => {
+        let sent = 0;
+        let dropped = 0;
+        for (const payload of read()) {
+          try {
+            await adapter.submit(payload);
+            sent += 1;
+          } catch (err) {
+            if (err?.retryable) continue;
+            dropped += 1;
+          }
+          write(read().filter((p) => p.id !== payload.id));
+        }
+        return { sent, dropped, pending: read().length };
+      })().finally(() => {
+        flushing = null;
+      });
+      return flushing;
+    },
+  };
+}
+
+/**
+ * Send now if possible, queue if not.
+ * Resolves to "sent", "queued" or "handoff" (mail client opened);
+ * rejects with the adapter's error when the request itself was refused.
+ */
+export async function sendOrQueue(payload, { adapter, outbox, online = true }) {
+  if (!adapter.queueable) {
+    await adapter.submit(payload);
+    return "handoff";
+  }
+  if (!online) {
+    outbox.add(payload);
+    return "queued";
+  }
+  try {
+    await adapter.submit(payload);
+    return "sent";
+  } catch (err) {
+    if (!err?.retryable) throw err;
+    outbox.add(payload);
+    return "queued";
+  }
+}
+
+// Flush now and whenever the browser reports it's back online. A flush that
+// throws (storage or adapter broke) is reported as onStatus("failed"), the
+// status QuotePage shows for a request it couldn't send.
+export function watchOutbox(outbox, adapter, onStatus = () => {}) {
+  if (!adapter.queueable) return () => {};
+  const flush = () => {
+    if (outbox.items().length > 0) outbox.flush(adapter).catch(() => onStatus("failed"));
+  };
+  flush();
+  window.addEventListener("online", flush);
+  return () => window.removeEventListener("online", flush);
+}
+
+export const quoteOutbox = createOutbox();
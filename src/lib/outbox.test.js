@@ -0,0 +1,144 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { OUTBOX_KEY, createOutbox, sendOrQueue, watchOutbox } from "./outbox.js";
+import { SubmitError, httpAdapter, mailtoAdapter } from "./quoteAdapters.js";
+
+function storage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+// Adapter whose next results are scripted: "ok", "retry" or "reject".
+function scripted(results) {
+  const sent = [];
+  return {
+    sent,
+    queueable: true,
+    async submit(payload) {
+      const r = results.shift() ?? "ok";
+      if (r === "retry") throw new SubmitError("offline", { retryable: true });
+      if (r === "reject") throw new SubmitError("bad request");
+      sent.push(payload.id);
+    },
+  };
+}
+
+test("sendOrQueue sends when online", async () => {
+  const outbox = createOutbox({ storage: storage() });
+  const adapter = scripted(["ok"]);
+  assert.equal(await sendOrQueue({ id: "a" }, { adapter, outbox }), "sent");
+  assert.deepEqual(adapter.sent, ["a"]);
+  assert.equal(outbox.items().length, 0);
+});
+
+test("sendOrQueue queues when offline without trying", async () => {
+  const outbox = createOutbox({ storage: storage() });
+  const adapter = scripted([]);
+  assert.equal(await sendOrQueue({ id: "a" }, { adapter, outbox, online: false }), "queued");
+  assert.deepEqual(adapter.sent, []);
+  assert.deepEqual(outbox.items(), [{ id: "a" }]);
+});
+
+test("sendOrQueue queues retryable failures and rethrows the rest", async () => {
+  const outbox = createOutbox({ storage: storage() });
+  assert.equal(await sendOrQueue({ id: "a" }, { adapter: scripted(["retry"]), outbox }), "queued");
+  await assert.rejects(sendOrQueue({ id: "b" }, { adapter: scripted(["reject"]), outbox }), /bad request/);
+  assert.deepEqual(outbox.items(), [{ id: "a" }]);
+});
+
+test("flush sends what it can and keeps retryable failures", async () => {
+  const outbox = createOutbox({ storage: storage() });
+  outbox.add({ id: "a" });
+  outbox.add({ id: "b" });
+  outbox.add({ id: "c" });
+  const adapter = scripted(["ok", "retry", "reject"]);
+  assert.deepEqual(await outbox.flush(adapter), { sent: 1, dropped: 1, pending: 1 });
+  assert.deepEqual(outbox.items(), [{ id: "b" }]);
+  assert.deepEqual(await outbox.flush(adapter), { sent: 1, dropped: 0, pending: 0 });
+});
+
+test("the queue survives a reload and ignores duplicates", () => {
+  const shared = storage();
+  createOutbox({ storage: shared }).add({ id: "a" });
+  const reopened = createOutbox({ storage: shared });
+  reopened.add({ id: "a" });
+  assert.deepEqual(reopened.items(), [{ id: "a" }]);
+});
+
+test("concurrent flushes share one run", async () => {
+  const outbox = createOutbox({ storage: storage() });
+  outbox.add({ id: "a" });
+  const adapter = scripted(["ok"]);
+  await Promise.all([outbox.flush(adapter), outbox.flush(adapter)]);
+  assert.deepEqual(adapter.sent, ["a"]);
+});
+
+test("httpAdapter classifies responses", async () => {
+  const respond = (status) => httpAdapter("https://api.example.com/quotes", { fetchImpl: async () => ({ ok: status < 300, status }) });
+  await respond(201).submit({ id: "a" });
+  await assert.rejects(respond(503).submit({ id: "a" }), (err) => err.retryable === true);
+  await assert.rejects(respond(429).submit({ id: "a" }), (err) => err.retryable === true);
+  await assert.rejects(respond(422).submit({ id: "a" }), (err) => err.retryable === false);
+  const offline = httpAdapter("https://api.example.com/quotes", {
+    fetchImpl: async () => {
+      throw new TypeError("Failed to fetch");
+    },
+  });
+  await assert.rejects(offline.submit({ id: "a" }), (err) => err.retryable === true);
+});
+
+test("httpAdapter posts JSON", async () => {
+  let seen;
+  const adapter = httpAdapter("https://api.example.com/quotes", {
+    fetchImpl: async (url, init) => {
+      seen = { url, init };
+      return { ok: true, status: 201 };
+    },
+  });
+  await adapter.submit({ id: "a", email: "dana@example.com" });
+  assert.equal(seen.url, "https://api.example.com/quotes");
+  assert.equal(seen.init.method, "POST");
+  assert.deepEqual(JSON.parse(seen.init.body), { id: "a", email: "dana@example.com" });
+});
+
+test("mailtoAdapter hands off and is never queued", async () => {
+  let opened;
+  const adapter = mailtoAdapter("sales@example.com", { open: (url) => (opened = url) });
+  const outbox = createOutbox({ storage: storage() });
+  const payload = { id: "a", request: "quote", product: "polaris-10kw", email: "dana@example.com", phone: "" };
+  assert.equal(await sendOrQueue(payload, { adapter, outbox, online: false }), "handoff");
+  assert.match(opened, /^mailto:sales@example\.com\?subject=/);
+  assert.match(decodeURIComponent(opened), /email: dana@example\.com/);
+  assert.doesNotMatch(decodeURIComponent(opened), /phone:/);
+  assert.equal(outbox.items().length, 0);
+});
+
+test("watchOutbox reports a flush that throws as failed instead of rejecting", async () => {
+  const listeners = {};
+  globalThis.window = {
+    addEventListener: (type, fn) => (listeners[type] = fn),
+    removeEventListener: (type) => delete listeners[type],
+  };
+  // Sending works, but the outbox can't be updated afterwards.
+  const broken = storage();
+  broken.removeItem = () => {
+    throw new Error("storage unavailable");
+  };
+  broken.setItem(OUTBOX_KEY, JSON.stringify([{ id: "q1" }]));
+  const outbox = createOutbox({ storage: broken });
+  const adapter = { queueable: true, submit: async () => {} };
+  const statuses = [];
+  const stop = watchOutbox(outbox, adapter, (s) => statuses.push(s));
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(statuses, ["failed"]);
+  listeners.online();
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  assert.deepEqual(statuses, ["failed", "failed"]);
+  stop();
+  assert.equal(listeners.online, undefined);
+  delete globalThis.window;
+});
@@ -0,0 +1,119 @@
+// --- Pilot plant runs: typed samples, summaries and chart scales ------------
+// Pure helpers behind the pilot data explorer. The samples live in
+// src/data/pilot-runs.csv (one row per run and sample time); units, digits and
+// run setpoints in src/data/pilot-runs.json.
+
+import { parseCsv, toCsv } from "./csv.js";
+
+export const METRICS = ["power_kw", "gas_flow_slm", "nox_percent", "energy_mj_per_mol_n", "hno3_wt_percent"];
+
+// Samples before this are the torch warming up; averages skip them.
+export const STEADY_AFTER_MIN = 15;
+
+/**
+ * CSV text + metadata -> [{ id, setpointKw, gasFlowSlm, samples: [{ minute, ...metrics }] }]
+ * in metadata order. Throws on missing columns, unknown runs or non-numeric cells.
+ */
+export function loadPilotRuns(csvText, meta) {
+  const [header, ...rows] = parseCsv(csvText);
+  const columns = ["run", "minute", ...METRICS];
+  const missing = columns.filter((c) => !header?.includes(c));
+  if (missing.length) throw new Error(`pilot data: missing column(s) ${missing.join(", ")}`);
+
+  const runs = Object.entries(meta.runs).map(([id, r]) => ({ id, ...r, samples: [] }));
+  const byId = new Map(runs.map((r) => [r.id, r]));
+  rows.forEach((row, i) => {
+    const cell = (c) => row[header.indexOf(c)];
+    const run = byId.get(cell("run"));
+    if (!run) throw new Error(`pilot data: row ${i + 2} has unknown run "${cell("run")}"`);
+    const sample = {};
+    for (const c of columns.slice(1)) {
+      const v = Number(cell(c));
+      if (cell(c) === "" || !Number.isFinite(v)) throw new Error(`pilot data: row ${i + 2} has a bad ${c}`);
+      sample[c] = v;
+    }
+    run.samples.push(sample);
+  });
+  for (const run of runs) run.samples.sort((a, b) => a.minute - b.minute);
+  return runs;
+}
+
+export function runSummary(run) {
+  const steady = run.samples.filter((s) => s.minute >= STEADY_AFTER_MIN);
+  const mean = (key) => (steady.length ? steady.reduce((sum, s) => sum + s[key], 0) / steady.length : NaN);
+  const last = run.samples[run.samples.length - 1];
+  return {
+    id: run.id,
+    powerKw: mean("power_kw"),
+    noxPercent: mean("nox_percent"),
+    energyMjPerMolN: mean("energy_mj_per_mol_n"),
+    finalHno3WtPercent: last ? last.hno3_wt_percent : NaN,
+    minutes: last ? last.minute : 0,
+  };
+}
+
+export function selectRuns(runs, ids) {
+  const wanted = new Set(ids);
+  return runs.filter((r) => wanted.has(r.id));
+}
+
+// The selected runs back in the bundled CSV layout, for download. Until the
+// data is "measured", every row carries its status so a copy can't pass for
+// logged runs.
+export function runsToCsv(meta, runs) {
+  const status = meta.status && meta.status !== "measured" ? [meta.status] : [];
+  const rows = runs.flatMap((r) => r.samples.map((s) => [r.id, s.minute, ...METRICS.map((m) => s[m]), ...status]));
+  return toCsv(rows, ["run", "minute", ...METRICS, ...(status.length ? ["status"] : [])]);
+}
+
+// "n2bio-pilot-runs-0.1.0-illustrative.csv"; measured data gets no suffix.
+export function downloadName(meta, extension) {
+  const status = meta.status && meta.status !== "measured" ? `-${meta.status}` : "";
+  return `n2bio-pilot-runs-${meta.version}${status}.${extension}`;
+}
+
+// Metadata plus the samples of the selected runs, for download.
+export function runsToJson(meta, runs) {
+  const out = { ...meta, runs: Object.fromEntries(runs.map(({ id, ...run }) => [id, run])) };
+  return `${JSON.stringify(out, null, 2)}\n`;
+}
+
+/* ---------- Axis scales ---------- */
+
+// The smallest 1, 2 or 5 × 10^n step that keeps the axis near `count` ticks.
+function niceStep(span, count) {
+  const p = 10 ** Math.floor(Math.log10(span / Math.max(1, count)));
+  return [1, 2, 5, 10].map((m) => m * p).find((m) => span / m <= count * 1.5);
+}
+
+/**
+ * Friendly ticks covering [min, max]: { min, max, ticks }. A flat series is
+ * padded so it still gets an axis.
+ */
+export function niceTicks(min, max, count = 5) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return { min: 0, max: 1, ticks: [0, 1] };
+  if (min === max) {
+    const pad = Math.abs(min) * 0.1 || 1;
+    return niceTicks(min - pad, max + pad, count);
+  }
+  const step = niceStep(max - min, count);
+  const first = Math.floor(min / step);
+  const last = Math.ceil(max / step);
+  // Integer multiples so floating point drift cannot add or drop a tick.
+  const ticks = [];
+  for (let i = first; i <= last; i++) ticks.push(+(i * step).toPrecision(12));
+  return { min: ticks[0], max: ticks[ticks.length - 1], ticks };
+}
+
+// [min, max] of one metric over every sample of the given runs.
+export function metricExtent(runs, metric) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const r of runs) {
+    for (const s of r.samples) {
+      if (s[metric] < min) min = s[metric];
+      if (s[metric] > max) max = s[metric];
+    }
+  }
+  return [min, max];
+}
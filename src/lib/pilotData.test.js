@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { parseCsv, toCsv } from "./csv.js";
+import {
+  downloadName,
+  loadPilotRuns,
+  metricExtent,
+  niceTicks,
+  runSummary,
+  runsToCsv,
+  runsToJson,
+  selectRuns,
+} from "./pilotData.js";
+
+const meta = { runs: { A: { setpointKw: 60, gasFlowSlm: 1400 }, B: { setpointKw: 100, gasFlowSlm: 2000 } } };
+const header = "run,minute,power_kw,gas_flow_slm,nox_percent,energy_mj_per_mol_n,hno3_wt_percent";
+const csv = [
+  header,
+  "B,15,100,2000,2.0,3.5,1.0",
+  "A,15,60,1400,1.5,3.7,0.4",
+  "A,0,60,1400,1.2,4.5,0",
+  "A,30,60,1400,1.5,3.9,0.8",
+].join("\r\n");
+
+test("parseCsv reads back what toCsv writes", () => {
+  const rows = [["a,b", 'say "hi"', ""], ["x", "y\nz", "1"]];
+  assert.deepEqual(parseCsv(toCsv(rows, ["h1", "h2", "h3"])), [["h1", "h2", "h3"], ...rows]);
+  assert.deepEqual(parseCsv("a,b\n1,2\n\n"), [["a", "b"], ["1", "2"]]);
+});
+
+test("loadPilotRuns groups samples per run in metadata order, sorted by time", () => {
+  const runs = loadPilotRuns(csv, meta);
+  assert.deepEqual(
+    runs.map((r) => [r.id, r.setpointKw, r.samples.map((s) => s.minute)]),
+    [
+      ["A", 60, [0, 15, 30]],
+      ["B", 100, [15]],
+    ]
+  );
+  assert.equal(runs[0].samples[0].energy_mj_per_mol_n, 4.5);
+});
+
+test("loadPilotRuns rejects missing columns, unknown runs and bad numbers", () => {
+  assert.throws(() => loadPilotRuns("run,minute\nA,0", meta), /missing column/);
+  assert.throws(() => loadPilotRuns(`${header}\nC,0,1,1,1,1,1`, meta), /unknown run "C"/);
+  assert.throws(() => loadPilotRuns(`${header}\nA,0,1,,1,1,1`, meta), /bad gas_flow_slm/);
+});
+
+test("runSummary averages the steady state and reports the final acid", () => {
+  const s = runSummary(loadPilotRuns(csv, meta)[0]);
+  assert.equal(s.energyMjPerMolN, 3.8);
+  assert.equal(s.noxPercent, 1.5);
+  assert.equal(s.finalHno3WtPercent, 0.8);
+  assert.equal(s.minutes, 30);
+});
+
+test("selectRuns and runsToCsv round-trip the chosen runs", () => {
+  const runs = selectRuns(loadPilotRuns(csv, meta), ["B"]);
+  assert.deepEqual(runs.map((r) => r.id), ["B"]);
+  assert.deepEqual(parseCsv(runsToCsv(meta, runs)), [header.split(","), ["B", "15", "100", "2000", "2", "3.5", "1"]]);
+});
+
+test("downloads of data that isn't measured say so in every row and the file name", () => {
+  const illustrative = { version: "0.1.0", status: "illustrative", ...meta };
+  const runs = selectRuns(loadPilotRuns(csv, meta), ["B"]);
+  assert.deepEqual(parseCsv(runsToCsv(illustrative, runs)), [
+    [...header.split(","), "status"],
+    ["B", "15", "100", "2000", "2", "3.5", "1", "illustrative"],
+  ]);
+  assert.equal(JSON.parse(runsToJson(illustrative, runs)).status, "illustrative");
+  assert.equal(downloadName(illustrative, "csv"), "n2bio-pilot-runs-0.1.0-illustrative.csv");
+  assert.equal(downloadName({ ...illustrative, status: "measured" }, "json"), "n2bio-pilot-runs-0.1.0.json");
+});
+
+test("runsToJson keeps the metadata and nests samples under each run", () => {
+  const out = JSON.parse(runsToJson({ version: "1", ...meta }, selectRuns(loadPilotRuns(csv, meta), ["A"])));
+  assert.equal(out.version, "1");
+  assert.deepEqual(Object.keys(out.runs), ["A"]);
+  assert.equal(out.runs.A.setpointKw, 60);
+  assert.equal(out.runs.A.samples.length, 3);
+});
+
+test("metricExtent spans every selected sample", () => {
+  assert.deepEqual(metricExtent(loadPilotRuns(csv, meta), "energy_mj_per_mol_n"), [3.5, 4.5]);
+});
+
+test("niceTicks lands on 1, 2 or 5 steps and pads flat series", () => {
+  assert.deepEqual(niceTicks(3.42, 4.52), { min: 3.4, max: 4.6, ticks: [3.4, 3.6, 3.8, 4, 4.2, 4.4, 4.6] });
+  assert.deepEqual(niceTicks(0.38, 10.9).ticks, [0, 2, 4, 6, 8, 10, 12]);
+  assert.deepEqual(niceTicks(1.28, 2.45, 6).ticks, [1.2, 1.4, 1.6, 1.8, 2, 2.2, 2.4, 2.6]);
+  assert.deepEqual(niceTicks(5, 5).ticks, [4.4, 4.6, 4.8, 5, 5.2, 5.4, 5.6]);
+});
+
+test("the bundled dataset loads", () => {
+  const runs = loadPilotRuns(
+    readFileSync(new URL("../data/pilot-runs.csv", import.meta.url), "utf8"),
+    JSON.parse(readFileSync(new URL("../data/pilot-runs.json", import.meta.url), "utf8"))
+  );
+  assert.equal(runs.length, 4);
+  for (const r of runs) assert.ok(r.samples.length > 1, r.id);
+});
@@ -0,0 +1,22 @@
+// --- Service worker precache manifest -----------------------------------------
+// Pure helper for scripts/build-service-worker.js: which built files the
+// kiosk's service worker (src/service-worker.js) downloads up front, and
+// under which URLs. Pages are cached by their directory URL ("/N2bio/es/"),
+// the way they are linked and served.
+
+// Never precached: the worker itself, files only crawlers read and the
+// embeddable build, which only other sites load.
+const SKIP = /(^|\/)(sw\.js|robots\.txt|sitemap\.xml)$|\.map$|^embed\//;
+
+/**
+ * @param {string[]} files  paths relative to dist/, "/"-separated
+ * @param {{ base: string, assetOrigin?: string, version: string }} options
+ * @returns {{ version: string, base: string, assetOrigin: string, urls: string[] }}
+ */
+export function precacheManifest(files, { base, assetOrigin = "", version }) {
+  const urls = files
+    .filter((f) => !SKIP.test(f))
+    .map((f) => base + f.replace(/(^|\/)index\.html$/, "$1"))
+    .sort();
+  return { version, base, assetOrigin, urls: [...new Set(urls)] };
+}
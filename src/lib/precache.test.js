@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { precacheManifest } from "./precache.js";
+
+test("precacheManifest maps pages to their directory URL and skips crawler files", () => {
+  const files = ["index.html", "es/index.html", "privacy/index.html", "assets/index-abc.js", "img/a-480.avif", "sw.js", "robots.txt", "sitemap.xml", "404.html", "embed/n2bio-overview.js"];
+  assert.deepEqual(precacheManifest(files, { base: "/N2bio/", version: "v1" }), {
+    version: "v1",
+    base: "/N2bio/",
+    assetOrigin: "",
+    urls: ["/N2bio/", "/N2bio/404.html", "/N2bio/assets/index-abc.js", "/N2bio/es/", "/N2bio/img/a-480.avif", "/N2bio/privacy/"],
+  });
+});
@@ -0,0 +1,11 @@
+// Written by scripts/build-qr-codes.js: URL -> rows of "0"/"1" modules.
+// Empty until that has run; <QrCode> then shows just the link.
+export const QR_CODES =
+  Object.values(import.meta.glob("../generated/qr-codes.json", { eager: true, import: "default" }))[0] || {};
+
+// SVG path with one unit square per dark module, offset by the quiet zone.
+export function qrPath(rows, quiet = 4) {
+  return rows
+    .flatMap((row, y) => [...row].map((bit, x) => (bit === "1" ? `M${x + quiet} ${y + quiet}h1v1h-1z` : "")))
+    .join("");
+}
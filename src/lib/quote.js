@@ -0,0 +1,86 @@
+// --- Quote / white-paper request --------------------------------------------
+// Form model and validation. Messages are i18n keys under `quote.errors`.
+
+// Product names are brand names and stay untranslated; "not-sure" is in i18n.
+export const PRODUCT_NAMES = {
+  "altair-mira-1.5kw": "Altair / Mira 1.5 kW",
+  "polaris-10kw": "Polaris 10 kW",
+  "sirius-100kw": "Sirius 100 kW",
+};
+export const PRODUCTS = [...Object.keys(PRODUCT_NAMES), "not-sure"];
+export const FARM_TYPES = ["layer", "broiler", "dairy", "swine", "digester", "other"];
+export const REQUESTS = ["quote", "white-paper"];
+
+// Humans take a few seconds to fill in a form; scripts don't.
+export const MIN_FILL_MS = 3000;
+
+export function emptyQuote({ product = "not-sure", request = "quote" } = {}) {
+  return {
+    request: REQUESTS.includes(request) ? request : "quote",
+    product: PRODUCTS.includes(product) ? product : "not-sure",
+    farmType: "",
+    herdSize: "",
+    name: "",
+    email: "",
+    phone: "",
+    organization: "",
+    region: "",
+    message: "",
+    consent: false,
+    // Honeypot: hidden from people, irresistible to form-filling bots.
+    website: "",
+  };
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Whole animals, optionally grouped in thousands with a space, comma or dot
+// ("120,000", "120.000"). Anything else, like "2.5", is NaN.
+function parseHerdSize(text) {
+  const herd = text.trim();
+  if (!/^(\d+|\d{1,3}([\s,.]\d{3})+)$/.test(herd)) return NaN;
+  return Number(herd.replace(/[\s,.]/g, ""));
+}
+
+/**
+ * Returns { field: "quote.errors.<reason>" } for every invalid field;
+ * an empty object means the form can be sent.
+ */
+export function validateQuote(values) {
+  const errors = {};
+  if (!PRODUCTS.includes(values.product)) errors.product = "quote.errors.required";
+  if (!FARM_TYPES.includes(values.farmType)) errors.farmType = "quote.errors.required";
+  if (!values.herdSize.trim()) errors.herdSize = "quote.errors.required";
+  else if (!(parseHerdSize(values.herdSize) > 0)) errors.herdSize = "quote.errors.herdSize";
+  if (values.name.trim().length < 2) errors.name = "quote.errors.required";
+  if (!values.email.trim()) errors.email = "quote.errors.required";
+  else if (!EMAIL.test(values.email.trim())) errors.email = "quote.errors.email";
+  if (values.phone.trim() && !/^[+()\d\s.-]{6,}$/.test(values.phone.trim())) errors.phone = "quote.errors.phone";
+  if (values.message.length > 2000) errors.message = "quote.errors.tooLong";
+  if (!values.consent) errors.consent = "quote.errors.consent";
+  return errors;
+}
+
+export function looksLikeSpam(values, startedAt, now = Date.now()) {
+  return values.website.trim() !== "" || now - startedAt < MIN_FILL_MS;
+}
+
+/** What actually leaves the browser: trimmed, honeypot dropped, context added. */
+export function buildPayload(values, { locale, source, id, now = new Date() }) {
+  return {
+    id,
+    request: values.request,
+    product: values.product,
+    farmType: values.farmType,
+    herdSize: parseHerdSize(values.herdSize),
+    name: values.name.trim(),
+    email: values.email.trim(),
+    phone: values.phone.trim(),
+    organization: values.organization.trim(),
+    region: values.region.trim(),
+    message: values.message.trim(),
+    locale,
+    source: source || "direct",
+    submittedAt: now.toISOString(),
+  };
+}
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MIN_FILL_MS, buildPayload, emptyQuote, looksLikeSpam, validateQuote } from "./quote.js";
+
+const filled = () => ({
+  ...emptyQuote({ product: "polaris-10kw" }),
+  farmType: "layer",
+  herdSize: "120,000",
+  name: "Dana Farmer",
+  email: "dana@example.com",
+  consent: true,
+});
+
+test("emptyQuote only accepts known products and request types", () => {
+  assert.equal(emptyQuote({ product: "sirius-100kw" }).product, "sirius-100kw");
+  assert.equal(emptyQuote({ product: "death-ray" }).product, "not-sure");
+  assert.equal(emptyQuote({ request: "white-paper" }).request, "white-paper");
+  assert.equal(emptyQuote({ request: "nope" }).request, "quote");
+});
+
+test("a complete form has no errors", () => {
+  assert.deepEqual(validateQuote(filled()), {});
+});
+
+test("required fields and consent are enforced", () => {
+  const errors = validateQuote(emptyQuote());
+  assert.equal(errors.farmType, "quote.errors.required");
+  assert.equal(errors.herdSize, "quote.errors.required");
+  assert.equal(errors.name, "quote.errors.required");
+  assert.equal(errors.email, "quote.errors.required");
+  assert.equal(errors.consent, "quote.errors.consent");
+  assert.equal(errors.phone, undefined);
+});
+
+test("format checks", () => {
+  assert.equal(validateQuote({ ...filled(), email: "dana@" }).email, "quote.errors.email");
+  assert.equal(validateQuote({ ...filled(), herdSize: "lots" }).herdSize, "quote.errors.herdSize");
+  assert.equal(validateQuote({ ...filled(), herdSize: "0" }).herdSize, "quote.errors.herdSize");
+  assert.equal(validateQuote({ ...filled(), herdSize: "2.5" }).herdSize, "quote.errors.herdSize");
+  assert.equal(validateQuote({ ...filled(), herdSize: "1,20" }).herdSize, "quote.errors.herdSize");
+  assert.equal(validateQuote({ ...filled(), phone: "abc" }).phone, "quote.errors.phone");
+  assert.equal(validateQuote({ ...filled(), phone: "+1 (855) 752-7620" }).phone, undefined);
+  assert.equal(validateQuote({ ...filled(), message: "x".repeat(2001) }).message, "quote.errors.tooLong");
+});
+
+test("honeypot and too-fast submissions look like spam", () => {
+  const now = 100_000;
+  assert.equal(looksLikeSpam(filled(), now - MIN_FILL_MS - 1, now), false);
+  assert.equal(looksLikeSpam(filled(), now - 500, now), true);
+  assert.equal(looksLikeSpam({ ...filled(), website: "http://spam" }, 0, now), true);
+});
+
+test("buildPayload trims, parses the herd size and drops the honeypot", () => {
+  const payload = buildPayload(
+    { ...filled(), name: "  Dana Farmer " },
+    { locale: "es", source: "white-box", id: "q1", now: new Date("2025-01-02T03:04:05Z") }
+  );
+  assert.equal(payload.name, "Dana Farmer");
+  assert.equal(payload.herdSize, 120000);
+  assert.equal(buildPayload({ ...filled(), herdSize: "120.000" }, { id: "q2" }).herdSize, 120000);
+  assert.equal(buildPayload({ ...filled(), herdSize: " 2 500 " }, { id: "q3" }).herdSize, 2500);
+  assert.equal(payload.locale, "es");
+  assert.equal(payload.source, "white-box");
+  assert.equal(payload.submittedAt, "2025-01-02T03:04:05.000Z");
+  assert.equal("website" in payload, false);
+  assert.equal("consent" in payload, false);
+});
@@ -0,0 +1,77 @@
+// --- Quote submission backends ----------------------------------------------
+// Every adapter has `submit(payload)`, resolving on success and throwing a
+// SubmitError otherwise. `retryable` tells the outbox whether to keep it.
+//
+// Chosen at build time (see vite.config.js):
+//   QUOTE_ENDPOINT=https://…/quotes   POST JSON to an HTTP endpoint
+//   (unset)                           open the visitor's mail client instead
+// For local testing run `npm run mock:quote` and point QUOTE_ENDPOINT at it.
+
+import { ORGANIZATION } from "./organization.js";
+
+export const DEFAULT_MAILTO = ORGANIZATION.email;
+
+export class SubmitError extends Error {
+  constructor(message, { retryable = false, cause } = {}) {
+    super(message, { cause });
+    this.name = "SubmitError";
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * POST the payload as JSON. Network failures, 429 and 5xx are retryable;
+ * other 4xx mean the server rejected it and retrying won't help.
+ */
+export function httpAdapter(endpoint, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  return {
+    name: "http",
+    queueable: true,
+    async submit(payload) {
+      let res;
+      try {
+        res = await fetchImpl(endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", Accept: "application/json" },
+          body: JSON.stringify(payload),
+        });
+      } catch (err) {
+        throw new SubmitError("Network error", { retryable: true, cause: err });
+      }
+      if (res.ok) return;
+      throw new SubmitError(`Server answered ${res.status}`, { retryable: res.status === 429 || res.status >= 500 });
+    },
+  };
+}
+
+export function mailtoBody(payload) {
+  return Object.entries(payload)
+    .filter(([, v]) => v !== "" && v != null)
+    .map(([k, v]) => `${k}: ${v}`)
+    .join("\n");
+}
+
+/**
+ * Hand the request to the visitor's mail client. We can't know whether the
+ * mail is actually sent, so this never queues.
+ */
+export function mailtoAdapter(address = DEFAULT_MAILTO, { open = (url) => window.location.assign(url) } = {}) {
+  return {
+    name: "mailto",
+    queueable: false,
+    async submit(payload) {
+      const subject = `N2bio ${payload.request} request: ${payload.product}`;
+      open(`mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(mailtoBody(payload))}`);
+    },
+  };
+}
+
+export function resolveQuoteAdapter({ endpoint, mailto } = {}) {
+  if (endpoint) return httpAdapter(endpoint);
+  return mailtoAdapter(mailto || DEFAULT_MAILTO);
+}
+
+export const quoteAdapter = resolveQuoteAdapter({
+  endpoint: import.meta.env?.VITE_QUOTE_ENDPOINT,
+  mailto: import.meta.env?.VITE_QUOTE_MAILTO,
+});
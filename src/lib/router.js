@@ -0,0 +1,120 @@
+// --- Tiny history router ---------------------------------------------------
+// Paths inside the app never include the deployment base ("/N2bio/");
+// `withBase` / `stripBase` translate at the edges.
+
+export const BASE = (() => {
+  const b = import.meta.env?.BASE_URL;
+  if (typeof b !== "string" || b.length === 0) return "/";
+  return b.endsWith("/") ? b : b + "/";
+})();
+
+// sessionStorage key written by the generated 404.html (see vite.config.js).
+export const REDIRECT_KEY = "n2bio:redirect";
+
+const NAVIGATE_EVENT = "n2bio:navigate";
+
+// "/N2bio/privacy/" -> "/privacy", "/N2bio/index.html" -> "/"
+export function stripBase(pathname, base = BASE) {
+  let p = (pathname || "/").replace(/\/{2,}/g, "/");
+  const bare = base.replace(/\/$/, "");
+  if (bare && (p === bare || p.startsWith(bare + "/"))) p = p.slice(bare.length);
+  p = p.replace(/\/index\.html$/, "/");
+  if (p.length > 1) p = p.replace(/\/+$/, "");
+  return p.startsWith("/") ? p : "/" + p;
+}
+
+// "/privacy" -> "/N2bio/privacy"; hashes and queries pass through.
+export function withBase(to, base = BASE) {
+  if (/^([a-z]+:|#)/i.test(to)) return to;
+  return base.replace(/\/$/, "") + (to.startsWith("/") ? to : "/" + to);
+}
+
+/**
+ * Match an app path against route patterns like "/diagrams/:id".
+ * Returns { route, params } for the first hit, or null.
+ */
+export function matchRoute(routes, path) {
+  const parts = path.split("/").filter(Boolean);
+  for (const route of routes) {
+    const pattern = route.path.split("/").filter(Boolean);
+    if (pattern.length !== parts.length) continue;
+    const params = {};
+    const ok = pattern.every((seg, i) => {
+      if (seg.startsWith(":")) {
+        // A malformed escape ("%E0%A4%A") is a bad link, not a crash: no match.
+        try {
+          params[seg.slice(1)] = decodeURIComponent(parts[i]);
+        } catch {
+          return false;
+        }
+        return true;
+      }
+      return seg === parts[i];
+    });
+    if (ok) return { route, params };
+  }
+  return null;
+}
+
+// Prerendering has no window; the URL being rendered is set here instead.
+let serverLocation = { pathname: "/", search: "" };
+
+export function setServerLocation(url) {
+  const { pathname, search } = new URL(url, "http://prerender.invalid");
+  serverLocation = { pathname, search };
+}
+
+export function currentPath() {
+  if (typeof window === "undefined") return stripBase(serverLocation.pathname);
+  return stripBase(window.location.pathname);
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const url = withBase(to);
+  if (replace) window.history.replaceState(null, "", url);
+  else window.history.pushState(null, "", url);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+export function subscribe(callback) {
+  window.addEventListener("popstate", callback);
+  window.addEventListener(NAVIGATE_EVENT, callback);
+  return () => {
+    window.removeEventListener("popstate", callback);
+    window.removeEventListener(NAVIGATE_EVENT, callback);
+  };
+}
+
+// GitHub Pages answers unknown paths with 404.html, which stashes the
+// requested URL and bounces to the base. Put that URL back before render.
+// Returns true when the URL was changed (the prerendered HTML is then stale).
+export function restoreRedirect() {
+  try {
+    const saved = window.sessionStorage.getItem(REDIRECT_KEY);
+    if (!saved) return false;
+    window.sessionStorage.removeItem(REDIRECT_KEY);
+    if (!saved.startsWith(BASE)) return false;
+    window.history.replaceState(null, "", saved);
+    return true;
+  } catch {
+    // storage blocked (private mode); the visitor just lands on the home page
+    return false;
+  }
+}
+
+export function currentSearch() {
+  if (typeof window === "undefined") return serverLocation.search;
+  return window.location.search;
+}
+
+// Set or clear one query parameter on the current URL (hash kept).
+// `state` lets callers tag the entry, e.g. to know whether Back will undo it.
+export function setSearchParam(name, value, { replace = false, state = null } = {}) {
+  const url = new URL(window.location.href);
+  if (value == null) url.searchParams.delete(name);
+  else url.searchParams.set(name, value);
+  const next = url.pathname + url.search + url.hash;
+  if (replace) window.history.replaceState(state, "", next);
+  else window.history.pushState(state, "", next);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { matchRoute, stripBase, withBase } from "./router.js";
+
+test("stripBase turns deployed URLs into app paths", () => {
+  assert.equal(stripBase("/", "/N2bio/"), "/");
+  assert.equal(stripBase("/N2bio/", "/N2bio/"), "/");
+  assert.equal(stripBase("/N2bio", "/N2bio/"), "/");
+  assert.equal(stripBase("/N2bio/index.html", "/N2bio/"), "/");
+  assert.equal(stripBase("//N2bio//index.html", "/N2bio/"), "/");
+  assert.equal(stripBase("/N2bio/privacy/", "/N2bio/"), "/privacy");
+  assert.equal(stripBase("", "/N2bio/"), "/");
+  assert.equal(stripBase(null, "/N2bio/"), "/");
+});
+
+test("stripBase on a custom domain keeps every segment", () => {
+  assert.equal(stripBase("/foo/bar", "/"), "/foo/bar");
+  assert.equal(stripBase("/es/privacy", "/"), "/es/privacy");
+});
+
+test("stripBase does not strip a base that is only a prefix of a segment", () => {
+  assert.equal(stripBase("/N2bioX/privacy", "/N2bio/"), "/N2bioX/privacy");
+});
+
+test("withBase prefixes app paths and leaves links alone", () => {
+  assert.equal(withBase("/privacy", "/N2bio/"), "/N2bio/privacy");
+  assert.equal(withBase("privacy", "/N2bio/pr-42/"), "/N2bio/pr-42/privacy");
+  assert.equal(withBase("/terms", "/"), "/terms");
+  assert.equal(withBase("#media", "/N2bio/"), "#media");
+  assert.equal(withBase("https://example.com", "/N2bio/"), "https://example.com");
+});
+
+test("matchRoute extracts params", () => {
+  const routes = [{ path: "/" }, { path: "/diagrams/:id" }];
+  assert.equal(matchRoute(routes, "/").route, routes[0]);
+  assert.deepEqual(matchRoute(routes, "/diagrams/global-problem").params, { id: "global-problem" });
+  assert.equal(matchRoute(routes, "/diagrams"), null);
+  assert.equal(matchRoute(routes, "/nope/x/y"), null);
+});
+
+test("matchRoute decodes params and treats malformed escapes as no match", () => {
+  const routes = [{ path: "/diagrams/:id" }, { path: "/:page" }];
+  assert.deepEqual(matchRoute(routes, "/diagrams/a%20b").params, { id: "a b" });
+  assert.equal(matchRoute(routes, "/diagrams/%E0%A4%A"), null);
+  assert.equal(matchRoute(routes, "/%E0"), null);
+});
@@ -0,0 +1,21 @@
+// --- Section navigator (scroll-spy + reading progress) -----------------------
+// Pure helpers behind src/components/SectionNav.jsx.
+
+// Only a thin band a third of the way down the viewport counts as "here", so
+// exactly one section is current while reading.
+export const SPY_MARGIN = "-33% 0px -66% 0px";
+
+/**
+ * The current section: the first of `ids` (page order) inside the band, or
+ * `previous` while the band sits between sections.
+ */
+export function activeSection(ids, visible, previous = null) {
+  return ids.find((id) => visible.includes(id)) ?? (ids.includes(previous) ? previous : null);
+}
+
+// How far through the page the reader is, 0..1.
+export function scrollProgress(scrollTop, scrollHeight, viewportHeight) {
+  const scrollable = scrollHeight - viewportHeight;
+  if (!(scrollable > 0)) return 0;
+  return Math.min(1, Math.max(0, scrollTop / scrollable));
+}
@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { activeSection, scrollProgress } from "./sectionNav.js";
+
+const ids = ["hero", "diagrams", "how"];
+
+test("activeSection picks the first section in the band, in page order", () => {
+  assert.equal(activeSection(ids, ["how", "diagrams"]), "diagrams");
+  assert.equal(activeSection(ids, ["how"], "hero"), "how");
+});
+
+test("activeSection keeps the previous section between sections", () => {
+  assert.equal(activeSection(ids, [], "diagrams"), "diagrams");
+  assert.equal(activeSection(ids, [], "gone"), null);
+  assert.equal(activeSection(ids, []), null);
+});
+
+test("scrollProgress runs from 0 at the top to 1 at the bottom", () => {
+  assert.equal(scrollProgress(0, 3000, 1000), 0);
+  assert.equal(scrollProgress(1000, 3000, 1000), 0.5);
+  assert.equal(scrollProgress(2500, 3000, 1000), 1);
+  assert.equal(scrollProgress(0, 800, 1000), 0);
+});
@@ -0,0 +1,86 @@
+// --- Per-page metadata --------------------------------------------------------
+// One description per URL, used three ways: the prerender step writes it into
+// each page's <head>, the sitemap lists it, and App keeps the head in sync on
+// client-side navigation.
+import { getContent } from "../content/index.js";
+import { catalogs } from "../i18n/catalogs.js";
+import { DEFAULT_LOCALE, LOCALES, localizePath, splitLocale } from "../i18n/locales.js";
+import { createTranslator } from "../i18n/translate.js";
+import { ROUTES } from "../routes.js";
+import { assetUrl } from "./assets.js";
+import { SITE_NAME, absoluteUrl, pageUrl, summarize } from "./head.js";
+import { IMAGE_MANIFEST } from "./imageManifest.js";
+import { matchRoute } from "./router.js";
+import { articleLd, organizationLd, videoLd } from "./structuredData.js";
+
+function imageCard(file, alt) {
+  const meta = IMAGE_MANIFEST[file];
+  return { url: absoluteUrl(assetUrl(file)), alt, width: meta?.width, height: meta?.height };
+}
+
+/**
+ * Everything the <head> needs for one app path (locale prefix included,
+ * base excluded), e.g. "/es/diagrams/global-problem".
+ */
+export function describePage(fullPath) {
+  const { locale, path } = splitLocale(fullPath);
+  const content = getContent(locale);
+  const t = createTranslator(locale, catalogs);
+  const { hero, diagrams, legal, whiteBox } = content;
+  const match = matchRoute(ROUTES, path);
+  const diagram = match?.route.name === "diagram" && diagrams.items.find((d) => d.id === match.params.id);
+
+  let page;
+  if (!match || (match.route.name === "diagram" && !diagram)) {
+    page = { title: t("pages.notFoundTitle"), description: t("pages.notFoundBody"), noindex: true };
+  } else if (match.route.name === "home") {
+    const first = diagrams.items[0];
+    page = { title: hero.title, description: hero.intro, image: imageCard(first.image, first.alt) };
+  } else if (diagram) {
+    page = { title: diagram.title, description: diagram.body, image: imageCard(diagram.image, diagram.alt), type: "article" };
+  } else if (match.route.name === "library") {
+    const paper = content.media.items.find((i) => i.image);
+    page = { title: t("library.title"), description: t("library.intro"), image: paper && imageCard(paper.image, paper.alt) };
+  } else if (match.route.name === "fact-sheet") {
+    page = { title: t("factSheet.title"), description: hero.intro };
+  } else if (match.route.name === "quote") {
+    page = { title: t("quote.title"), description: t("quote.intro"), image: imageCard(whiteBox.image.src, whiteBox.image.alt) };
+  } else {
+    const doc = legal[match.route.name];
+    page = { title: doc.title, description: doc.sections[0].body };
+  }
+
+  const image = page.image || imageCard(diagrams.items[0].image, diagrams.items[0].alt);
+  return {
+    ...page,
+    type: page.type || "website",
+    locale,
+    path,
+    route: match?.route.name ?? null,
+    lang: LOCALES[locale].htmlLang,
+    ogLocale: LOCALES[locale].intl.replace("-", "_"),
+    fullTitle: `${page.title} | ${SITE_NAME}`,
+    description: summarize(page.description),
+    image,
+    url: pageUrl(localizePath(path, locale)),
+    alternates: page.noindex
+      ? []
+      : [
+          ...Object.keys(LOCALES).map((l) => ({ hreflang: LOCALES[l].htmlLang, url: pageUrl(localizePath(path, l)) })),
+          { hreflang: "x-default", url: pageUrl(localizePath(path, DEFAULT_LOCALE)) },
+        ],
+    jsonLd: structuredData(content, match?.route.name),
+  };
+}
+
+// The company on every page; videos and papers where they're shown (the
+// featured ones on the home page, all of them in the library).
+function structuredData(content, routeName) {
+  const out = [organizationLd()];
+  if (routeName === "home" || routeName === "library") {
+    const items = content.media.items.filter((i) => routeName === "library" || i.featured);
+    out.push(...items.filter((i) => i.youtubeId).map(videoLd));
+    out.push(...items.filter((i) => i.headline).map(articleLd));
+  }
+  return out;
+}
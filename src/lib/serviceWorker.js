@@ -0,0 +1,23 @@
+// --- Kiosk offline support ----------------------------------------------------
+// Only kiosk devices install the service worker (dist/sw.js, built from
+// src/service-worker.js): it downloads the whole site up front, which regular
+// visitors should not pay for.
+import { BASE, withBase } from "./router.js";
+
+export function registerServiceWorker() {
+  if (!import.meta.env?.PROD || !("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.register(withBase("/sw.js"), { scope: BASE }).catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+}
+
+// Leaving kiosk mode: drop the worker and its caches.
+export async function unregisterServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  const registrations = await navigator.serviceWorker.getRegistrations();
+  const scope = new URL(BASE, window.location.origin).href;
+  await Promise.all(registrations.filter((r) => r.scope === scope).map((r) => r.unregister()));
+  if (typeof caches === "undefined") return;
+  const keys = await caches.keys();
+  await Promise.all(keys.filter((k) => k.startsWith("n2bio-")).map((k) => caches.delete(k)));
+}
@@ -0,0 +1,6 @@
+import { createContext } from "react";
+
+// Set by the embeddable build (src/entry-embed.js) to a function from a
+// localized app path to an absolute URL on the full site: links then leave
+// for the site instead of navigating the page they are embedded in.
+export const SiteLinks = createContext(null);
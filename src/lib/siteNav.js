@@ -0,0 +1,27 @@
+// --- Header navigation ------------------------------------------------------
+// This site's own pages in the header, and which item a route belongs to.
+// Diagram pages are part of the overview; the legal pages are none of them.
+
+// `key` is the message under `nav.`.
+export const SITE_PAGES = [
+  { key: "overview", to: "/" },
+  { key: "library", to: "/library" },
+  { key: "factSheet", to: "/fact-sheet" },
+];
+
+const ITEM_FOR_ROUTE = {
+  home: "overview",
+  diagram: "overview",
+  library: "library",
+  "fact-sheet": "factSheet",
+  quote: "contact",
+};
+
+/**
+ * Header item for the current route ("contact" is the Contact Us button),
+ * or null when none applies.
+ * @param {string | undefined} routeName
+ */
+export function currentNavItem(routeName) {
+  return ITEM_FOR_ROUTE[routeName] ?? null;
+}
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ROUTES } from "../routes.js";
+import { SITE_PAGES, currentNavItem } from "./siteNav.js";
+import { matchRoute } from "./router.js";
+
+const itemFor = (path) => currentNavItem(matchRoute(ROUTES, path)?.route.name);
+
+test("every header page is current on its own route", () => {
+  for (const page of SITE_PAGES) assert.equal(itemFor(page.to), page.key);
+});
+
+test("diagram pages belong to the overview and the quote form to Contact", () => {
+  assert.equal(itemFor("/diagrams/global-problem"), "overview");
+  assert.equal(itemFor("/quote"), "contact");
+});
+
+test("legal and unknown pages mark nothing", () => {
+  assert.equal(itemFor("/privacy"), null);
+  assert.equal(itemFor("/terms"), null);
+  assert.equal(itemFor("/nope"), null);
+});
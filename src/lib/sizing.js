@@ -0,0 +1,117 @@
+// --- On-farm system sizing + ROI -----------------------------------------
+// Pure functions only (no React, no DOM) so sales can script it and we can
+// test it. Every number the page shows comes out of `sizeSystem`.
+
+export const MOLAR_MASS = {
+  N: 14.007,
+  NH3: 17.031,
+  HNO3: 63.01,
+};
+
+// Planning assumptions. Override any of them per lead via `sizeSystem(input, overrides)`.
+export const DEFAULT_ASSUMPTIONS = {
+  manurePerBirdTonnesYr: 0.0365,  // ~100 g fresh manure / bird / day
+  digestatePerTonneManure: 0.9,   // m³ of liquid digestate per tonne of manure
+  digestateAmmoniaNKgPerM3: 3.0,  // total ammoniacal N in poultry digestate
+  ammoniaRecovery: 0.9,           // share of ammonia stripped with recycled heat
+  energyPerMolNMJ: 3.5,           // plasma fixation cost, MJ per mol N
+  operatingHoursYr: 8000,
+  heatRecoveryFraction: 0.6,      // share of torch input recovered as process heat
+  fertilizerPricePerKgN: 3.0,     // USD, organic nitrate-N
+  heatValuePerKwh: 0.03,          // USD, displaced digester heating fuel
+  whiteBoxKw: 10,
+  whiteBoxCapex: 150000,          // USD per 10 kW white box
+  siriusKw: 100,
+  siriusCapex: 900000,            // USD per 100 kW Sirius torch skid
+  maxWhiteBoxes: 5,               // above this, quote Sirius torches instead
+};
+
+const KWH_PER_MJ = 1 / 3.6;
+
+function positive(n) {
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Moles of N one unit of `kw` fixes per year.
+export function annualMolNPerUnit(kw, a = DEFAULT_ASSUMPTIONS) {
+  const mj = kw * a.operatingHoursYr * 3.6;
+  return mj / a.energyPerMolNMJ;
+}
+
+// Digestate volume (m³/yr): explicit value wins, else derived from manure,
+// else from flock size.
+export function resolveDigestateM3(input, a = DEFAULT_ASSUMPTIONS) {
+  const digestate = positive(input.digestateM3Yr);
+  if (digestate) return digestate;
+  const manure = positive(input.manureTonnesYr) || positive(input.flockSize) * a.manurePerBirdTonnesYr;
+  return manure * a.digestatePerTonneManure;
+}
+
+/**
+ * Size a plasma nitric-acid system for one farm.
+ *
+ * input: { flockSize, manureTonnesYr, digestateM3Yr, fertilizerSpendYr, electricityPricePerKwh }
+ */
+export function sizeSystem(input = {}, overrides = {}) {
+  const a = { ...DEFAULT_ASSUMPTIONS, ...overrides };
+
+  const digestateM3Yr = resolveDigestateM3(input, a);
+  const ammoniaNKgYr = digestateM3Yr * a.digestateAmmoniaNKgPerM3 * a.ammoniaRecovery;
+
+  // NH3 + HNO3 -> NH4NO3: one mole of plasma-fixed N per mole of captured ammonia N.
+  const requiredMolN = (ammoniaNKgYr * 1000) / MOLAR_MASS.N;
+
+  const boxMol = annualMolNPerUnit(a.whiteBoxKw, a);
+  const whiteBoxes = requiredMolN > 0 ? Math.ceil(requiredMolN / boxMol) : 0;
+  const useSirius = whiteBoxes > a.maxWhiteBoxes;
+  const siriusTorches = useSirius
+    ? Math.ceil(requiredMolN / annualMolNPerUnit(a.siriusKw, a))
+    : 0;
+
+  const unit = useSirius
+    ? { kind: "sirius", count: siriusTorches, kw: a.siriusKw, capex: a.siriusCapex }
+    : { kind: "white-box", count: whiteBoxes, kw: a.whiteBoxKw, capex: a.whiteBoxCapex };
+  const installedKw = unit.count * unit.kw;
+
+  // The torch only runs as long as the ammonia stream needs it.
+  const energyMJ = requiredMolN * a.energyPerMolNMJ;
+  const energyKwhYr = energyMJ * KWH_PER_MJ;
+  const heatKwhYr = energyKwhYr * a.heatRecoveryFraction;
+  const utilization = installedKw > 0 ? energyKwhYr / (installedKw * a.operatingHoursYr) : 0;
+
+  const nitricAcidKgYr = (requiredMolN * MOLAR_MASS.HNO3) / 1000;
+  const plasmaNKgYr = (requiredMolN * MOLAR_MASS.N) / 1000;
+  const fertilizerNKgYr = plasmaNKgYr + ammoniaNKgYr;
+
+  const electricityCostYr = energyKwhYr * positive(input.electricityPricePerKwh);
+  const fertilizerValueYr = fertilizerNKgYr * a.fertilizerPricePerKgN;
+  const spend = positive(input.fertilizerSpendYr);
+  // Savings can't exceed what the grower is spending today.
+  const fertilizerSavingsYr = spend > 0 ? Math.min(spend, fertilizerValueYr) : fertilizerValueYr;
+  const heatSavingsYr = heatKwhYr * a.heatValuePerKwh;
+  const netSavingsYr = fertilizerSavingsYr + heatSavingsYr - electricityCostYr;
+  const capex = unit.count * unit.capex;
+  const paybackYears = netSavingsYr > 0 && capex > 0 ? capex / netSavingsYr : Infinity;
+
+  return {
+    assumptions: a,
+    digestateM3Yr,
+    ammoniaNKgYr,
+    nitricAcidKgYr,
+    plasmaNKgYr,
+    fertilizerNKgYr,
+    unit,
+    whiteBoxes,
+    siriusTorches,
+    installedKw,
+    utilization,
+    energyKwhYr,
+    heatKwhYr,
+    electricityCostYr,
+    fertilizerSavingsYr,
+    heatSavingsYr,
+    netSavingsYr,
+    capex,
+    paybackYears,
+  };
+}
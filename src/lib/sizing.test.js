@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_ASSUMPTIONS, annualMolNPerUnit, resolveDigestateM3, sizeSystem } from "./sizing.js";
+
+const close = (actual, expected, tol = 0.5) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} ≉ ${expected}`);
+
+test("one 10 kW box fixes about 82,286 mol N a year", () => {
+  // 10 kW × 8,000 h × 3.6 MJ/kWh ÷ 3.5 MJ/mol
+  close(annualMolNPerUnit(10), 82285.7);
+});
+
+test("digestate comes from the explicit volume, then manure, then flock size", () => {
+  assert.equal(resolveDigestateM3({ digestateM3Yr: 500, manureTonnesYr: 100, flockSize: 1 }), 500);
+  assert.equal(resolveDigestateM3({ manureTonnesYr: 100, flockSize: 1 }), 90);
+  close(resolveDigestateM3({ flockSize: 10000 }), 10000 * 0.0365 * 0.9, 1e-9);
+});
+
+test("units needed follow the captured ammonia", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000 });
+  // 1,000 m³ × 3.0 kg N/m³ × 90% recovery
+  close(r.ammoniaNKgYr, 2700, 1e-9);
+  // 2,700 kg ÷ 14.007 g/mol = 192,760 mol N, i.e. 2.34 boxes' worth
+  assert.deepEqual(r.unit, { kind: "white-box", count: 3, kw: 10, capex: 150000 });
+  assert.equal(r.installedKw, 30);
+  close(r.plasmaNKgYr, 2700, 1e-9);
+  close(r.fertilizerNKgYr, 5400, 1e-9);
+});
+
+test("large farms get Sirius torches instead of more than five boxes", () => {
+  const r = sizeSystem({ flockSize: 2000000 });
+  assert.ok(r.whiteBoxes > DEFAULT_ASSUMPTIONS.maxWhiteBoxes);
+  assert.equal(r.unit.kind, "sirius");
+  assert.equal(r.unit.count, r.siriusTorches);
+  assert.equal(r.capex, r.siriusTorches * DEFAULT_ASSUMPTIONS.siriusCapex);
+});
+
+test("recovered heat is 60% of the electricity the torch uses", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000 });
+  // 192,760 mol × 3.5 MJ ÷ 3.6
+  close(r.energyKwhYr, 187406);
+  close(r.heatKwhYr, 112444);
+  close(r.heatSavingsYr, 112444 * 0.03, 0.05);
+});
+
+test("payback divides capex by net yearly savings", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000, electricityPricePerKwh: 0.02 });
+  // 5,400 kg N × $3 + $3,373 heat − 187,406 kWh × $0.02
+  close(r.netSavingsYr, 16200 + 3373.3 - 3748.1);
+  close(r.paybackYears, 450000 / r.netSavingsYr, 1e-9);
+  close(r.paybackYears, 28.4, 0.05);
+});
+
+test("fertilizer savings are capped at what the grower spends today", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000, fertilizerSpendYr: 5000 });
+  assert.equal(r.fertilizerSavingsYr, 5000);
+});
+
+test("zero spend means no current spend known: the full fertilizer value counts", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000, fertilizerSpendYr: 0 });
+  close(r.fertilizerSavingsYr, 16200, 1e-9);
+});
+
+test("no input sizes nothing and never pays back", () => {
+  const r = sizeSystem({});
+  assert.equal(r.whiteBoxes, 0);
+  assert.equal(r.installedKw, 0);
+  assert.equal(r.utilization, 0);
+  assert.equal(r.capex, 0);
+  assert.equal(r.paybackYears, Infinity);
+});
+
+test("savings that don't cover electricity never pay back", () => {
+  const r = sizeSystem({ digestateM3Yr: 1000, fertilizerSpendYr: 5000, electricityPricePerKwh: 0.1 });
+  assert.ok(r.netSavingsYr < 0);
+  assert.equal(r.paybackYears, Infinity);
+});
@@ -0,0 +1,57 @@
+// --- schema.org structured data ---------------------------------------------
+import { assetUrl } from "./assets.js";
+import { absoluteUrl } from "./head.js";
+import { ORGANIZATION } from "./organization.js";
+import { embedUrl, watchUrl } from "./youtube.js";
+
+export function organizationLd() {
+  const a = ORGANIZATION.address;
+  return {
+    "@context": "https://schema.org",
+    "@type": "Organization",
+    name: ORGANIZATION.name,
+    url: ORGANIZATION.url,
+    email: ORGANIZATION.email,
+    telephone: ORGANIZATION.phone,
+    address: {
+      "@type": "PostalAddress",
+      streetAddress: a.street,
+      addressLocality: a.locality,
+      addressRegion: a.region,
+      postalCode: a.postalCode,
+      addressCountry: a.country,
+    },
+    sameAs: ORGANIZATION.sameAs,
+  };
+}
+
+export function videoLd(video) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "VideoObject",
+    name: video.title,
+    description: video.description,
+    thumbnailUrl: absoluteUrl(assetUrl(video.thumbnail)),
+    embedUrl: embedUrl(video.youtubeId, { autoplay: false }),
+    contentUrl: watchUrl(video.youtubeId),
+    uploadDate: video.published,
+    publisher: { "@type": "Organization", name: ORGANIZATION.name, url: ORGANIZATION.url },
+  };
+}
+
+export function articleLd(paper) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ScholarlyArticle",
+    headline: paper.headline,
+    name: paper.headline,
+    description: paper.description,
+    url: paper.href,
+    image: absoluteUrl(assetUrl(paper.image)),
+    ...(paper.authors && { author: paper.authors.map((name) => ({ "@type": "Person", name })) }),
+    ...(paper.published && { datePublished: paper.published }),
+    ...(paper.journal && { isPartOf: { "@type": "Periodical", name: paper.journal } }),
+    ...(paper.pages && { pagination: paper.pages }),
+    ...(paper.doi && { sameAs: `https://doi.org/${paper.doi}`, identifier: `doi:${paper.doi}` }),
+  };
+}
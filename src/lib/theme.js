@@ -0,0 +1,33 @@
+// --- Color themes --------------------------------------------------------------
+// The palette lives in CSS (src/index.css): each theme is a set of token
+// values under html[data-theme=...]. Visitors pick one, or "system" to follow
+// the OS (prefers-contrast first, then prefers-color-scheme). index.html
+// applies the saved choice before first paint with a copy of this logic.
+
+export const THEMES = ["light", "dark", "contrast"];
+export const THEME_CHOICES = ["system", ...THEMES];
+export const THEME_KEY = "n2bio:theme";
+
+export function resolveTheme(choice, { dark = false, moreContrast = false } = {}) {
+  if (THEMES.includes(choice)) return choice;
+  if (moreContrast) return "contrast";
+  return dark ? "dark" : "light";
+}
+
+export function readThemeChoice(storage) {
+  try {
+    const saved = storage?.getItem(THEME_KEY);
+    return THEME_CHOICES.includes(saved) ? saved : "system";
+  } catch {
+    return "system";
+  }
+}
+
+export function saveThemeChoice(storage, choice) {
+  try {
+    if (choice === "system") storage?.removeItem(THEME_KEY);
+    else storage?.setItem(THEME_KEY, choice);
+  } catch {
+    // storage blocked; the choice lasts for this page only
+  }
+}
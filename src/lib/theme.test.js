@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { THEME_KEY, readThemeChoice, resolveTheme, saveThemeChoice } from "./theme.js";
+
+function storage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+test("resolveTheme keeps an explicit choice", () => {
+  assert.equal(resolveTheme("light", { dark: true }), "light");
+  assert.equal(resolveTheme("contrast"), "contrast");
+});
+
+test("resolveTheme follows the OS for system", () => {
+  assert.equal(resolveTheme("system"), "light");
+  assert.equal(resolveTheme("system", { dark: true }), "dark");
+  assert.equal(resolveTheme("system", { dark: true, moreContrast: true }), "contrast");
+  assert.equal(resolveTheme("purple", { dark: true }), "dark");
+});
+
+test("readThemeChoice ignores unknown or unreadable values", () => {
+  assert.equal(readThemeChoice(storage({ [THEME_KEY]: "dark" })), "dark");
+  assert.equal(readThemeChoice(storage({ [THEME_KEY]: "neon" })), "system");
+  assert.equal(readThemeChoice(null), "system");
+  const blocked = { getItem: () => { throw new Error("denied"); } };
+  assert.equal(readThemeChoice(blocked), "system");
+});
+
+test("saveThemeChoice stores themes and forgets system", () => {
+  const s = storage();
+  saveThemeChoice(s, "contrast");
+  assert.equal(s.data.get(THEME_KEY), "contrast");
+  saveThemeChoice(s, "system");
+  assert.equal(s.data.has(THEME_KEY), false);
+});
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from "react";
+import { createAttractLoop } from "./kiosk.js";
+
+const ACTIVITY = ["pointerdown", "keydown", "wheel", "touchstart"];
+
+function scrollToSection(id) {
+  // After a reset the page may still be rendering; wait a frame for it.
+  requestAnimationFrame(() => {
+    const smooth = !(window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false);
+    document.getElementById(id)?.scrollIntoView({ behavior: smooth ? "smooth" : "auto", block: "start" });
+  });
+}
+
+const videoPlaying = () => [...document.querySelectorAll("video")].some((v) => !v.paused && !v.ended);
+
+/**
+ * Kiosk attract loop: while `enabled`, scroll through the section ids in
+ * `steps`, stop at the first touch, and call `onReset` once the screen has
+ * been left alone (never mid-video).
+ */
+export default function useAttractLoop(enabled, steps, onReset) {
+  const reset = useRef(onReset);
+  useEffect(() => {
+    reset.current = onReset;
+  });
+
+  const key = steps.join(" ");
+  useEffect(() => {
+    if (!enabled) return;
+    const loop = createAttractLoop({
+      steps: key.split(" "),
+      onStep: scrollToSection,
+      onReset: () => reset.current(),
+      busy: videoPlaying,
+    });
+    const activity = () => loop.activity();
+    ACTIVITY.forEach((type) => window.addEventListener(type, activity, { capture: true, passive: true }));
+    loop.start();
+    return () => {
+      loop.stop();
+      ACTIVITY.forEach((type) => window.removeEventListener(type, activity, { capture: true }));
+    };
+  }, [enabled, key]);
+}
@@ -0,0 +1,42 @@
+import { useEffect } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Keep Tab focus inside `ref` while `active`; restore the previous focus after.
+export default function useFocusTrap(ref, active) {
+  useEffect(() => {
+    if (!active) return;
+    const root = ref.current;
+    if (!root) return;
+    // Inside a shadow root (the embeddable build) document.activeElement is the host.
+    const scope = root.getRootNode();
+    const previous = scope.activeElement;
+
+    const focusables = () => [...root.querySelectorAll(FOCUSABLE)].filter((el) => el.offsetParent !== null);
+    (focusables()[0] || root).focus();
+
+    const onKeyDown = (e) => {
+      if (e.key !== "Tab") return;
+      const els = focusables();
+      if (els.length === 0) {
+        e.preventDefault();
+        return;
+      }
+      const first = els[0];
+      const last = els[els.length - 1];
+      if (e.shiftKey && scope.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && scope.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    root.addEventListener("keydown", onKeyDown);
+    return () => {
+      root.removeEventListener("keydown", onKeyDown);
+      if (previous && typeof previous.focus === "function") previous.focus();
+    };
+  }, [ref, active]);
+}
@@ -0,0 +1,63 @@
+import { useEffect, useRef, useState } from "react";
+import { SPY_MARGIN, activeSection } from "./sectionNav.js";
+
+// --- in-view helpers ---------------------------------------------------------
+
+// One element: attach `ref`, read `inView` (drives the fade-ins).
+export default function useInView(threshold = 0.2) {
+  const ref = useRef(null);
+  const [inView, setInView] = useState(false);
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const obs = new IntersectionObserver(
+      ([entry]) => setInView(entry.isIntersecting),
+      { threshold }
+    );
+    obs.observe(el);
+    return () => obs.disconnect();
+  }, [threshold]);
+  return { ref, inView };
+}
+
+/**
+ * Many elements, found by id: the ids currently intersecting, in the order
+ * given. One observer covers them all; `rootMargin` narrows the viewport to a
+ * band (scroll-spy). Re-observes when `ids` or `watchKey` change, e.g. after
+ * the page below remounts.
+ */
+export function useInViewIds(ids, { rootMargin = "0px", threshold = 0, watchKey } = {}) {
+  const [visible, setVisible] = useState([]);
+  const key = ids.join(" ");
+  useEffect(() => {
+    const wanted = key.split(" ");
+    const seen = new Set();
+    const obs = new IntersectionObserver(
+      (entries) => {
+        for (const e of entries) {
+          if (e.isIntersecting) seen.add(e.target.id);
+          else seen.delete(e.target.id);
+        }
+        setVisible(wanted.filter((id) => seen.has(id)));
+      },
+      { rootMargin, threshold }
+    );
+    for (const id of wanted) {
+      const el = document.getElementById(id);
+      if (el) obs.observe(el);
+    }
+    return () => obs.disconnect();
+  }, [key, rootMargin, threshold, watchKey]);
+  return visible;
+}
+
+// Scroll-spy over `ids` (page order): the section being read, kept while the
+// band sits between two of them. Shared by the header's section strip and
+// its mobile menu.
+export function useActiveSection(ids) {
+  const visible = useInViewIds(ids, { rootMargin: SPY_MARGIN });
+  const [active, setActive] = useState(null);
+  const current = activeSection(ids, visible, active);
+  if (current !== active) setActive(current);
+  return current;
+}
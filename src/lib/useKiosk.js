@@ -0,0 +1,45 @@
+import { useSyncExternalStore } from "react";
+import { KIOSK_KEY, kioskStart } from "./kiosk.js";
+import { currentPath } from "./router.js";
+import { registerServiceWorker, unregisterServiceWorker } from "./serviceWorker.js";
+
+let start;
+
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read ?kiosk once per page load (before the first render, from main.jsx):
+ * remember the choice, mark <html data-kiosk> for the kiosk: CSS variant and
+ * install or remove the offline service worker.
+ */
+export function initKiosk() {
+  const store = storage();
+  start = kioskStart(window.location.search, store?.getItem(KIOSK_KEY) ?? null, currentPath());
+  try {
+    if (start) store?.setItem(KIOSK_KEY, start);
+    else store?.removeItem(KIOSK_KEY);
+  } catch {
+    // storage full or blocked: kiosk mode lasts for this page load only
+  }
+  if (start) {
+    document.documentElement.dataset.kiosk = "";
+    registerServiceWorker();
+  } else {
+    delete document.documentElement.dataset.kiosk;
+    unregisterServiceWorker().catch(() => {});
+  }
+}
+
+const noSubscription = () => () => {};
+
+// The kiosk start path ("/", "/es"…), or null outside kiosk mode. Always null
+// while prerendering and hydrating.
+export default function useKiosk() {
+  return useSyncExternalStore(noSubscription, () => start ?? null, () => null);
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { currentPath, subscribe } from "./router.js";
+
+// Re-renders on pushState navigations and back/forward. The server snapshot is
+// the real path too, so hydrating a prerendered page renders that same page.
+export default function useRoute() {
+  return useSyncExternalStore(subscribe, currentPath, currentPath);
+}
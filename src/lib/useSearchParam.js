@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { currentSearch, subscribe } from "./router.js";
+
+// Current value of one query parameter, kept in sync with history changes.
+export default function useSearchParam(name) {
+  const search = useSyncExternalStore(subscribe, currentSearch, () => "");
+  return new URLSearchParams(search).get(name);
+}
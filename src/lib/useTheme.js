@@ -0,0 +1,64 @@
+import { useEffect, useSyncExternalStore } from "react";
+import { THEME_KEY, readThemeChoice, resolveTheme, saveThemeChoice } from "./theme.js";
+
+const DARK = "(prefers-color-scheme: dark)";
+const MORE_CONTRAST = "(prefers-contrast: more)";
+const listeners = new Set();
+let choice = null;
+
+function storage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+function currentChoice() {
+  if (choice === null) choice = readThemeChoice(storage());
+  return choice;
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function applyTheme() {
+  const media = (q) => window.matchMedia?.(q).matches ?? false;
+  document.documentElement.dataset.theme = resolveTheme(currentChoice(), {
+    dark: media(DARK),
+    moreContrast: media(MORE_CONTRAST),
+  });
+}
+
+function setThemeChoice(next) {
+  choice = next;
+  saveThemeChoice(storage(), next);
+  applyTheme();
+  listeners.forEach((l) => l());
+}
+
+// [choice, setChoice] where choice is "system" or one of THEMES. Follows OS
+// setting changes while on "system", and choices made in other tabs.
+export default function useTheme() {
+  const value = useSyncExternalStore(subscribe, currentChoice, () => "system");
+
+  useEffect(() => {
+    const queries = [DARK, MORE_CONTRAST].map((q) => window.matchMedia?.(q)).filter(Boolean);
+    const onStorage = (e) => {
+      if (e.key !== THEME_KEY && e.key !== null) return;
+      choice = null;
+      applyTheme();
+      listeners.forEach((l) => l());
+    };
+    queries.forEach((q) => q.addEventListener("change", applyTheme));
+    window.addEventListener("storage", onStorage);
+    return () => {
+      queries.forEach((q) => q.removeEventListener("change", applyTheme));
+      window.removeEventListener("storage", onStorage);
+    };
+  }, []);
+
+  return [value, setThemeChoice];
+}
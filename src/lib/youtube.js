@@ -0,0 +1,53 @@
+// --- YouTube URLs ----------------------------------------------------------
+// The player itself is only requested after the visitor presses play, and
+// always from the no-cookie domain.
+
+const EMBED_ORIGIN = "https://www.youtube-nocookie.com";
+const WATCH_ORIGIN = "https://www.youtube.com";
+
+/**
+ * "1:02:03" -> 3723, "4:05" -> 245, "90" -> 90. Returns NaN for anything else.
+ * @param {string | number | undefined} value
+ * @returns {number}
+ */
+export function parseTimestamp(value) {
+  if (typeof value === "number") return Number.isInteger(value) && value >= 0 ? value : NaN;
+  if (typeof value !== "string" || !/^\d+(:[0-5]\d){0,2}$/.test(value.trim())) return NaN;
+  return value
+    .trim()
+    .split(":")
+    .reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Player URL for the lite embed.
+ * @param {string} youtubeId
+ * @param {{ start?: number, lang?: string, autoplay?: boolean }} [options]
+ */
+export function embedUrl(youtubeId, { start = 0, lang, autoplay = true } = {}) {
+  const url = new URL(`/embed/${encodeURIComponent(youtubeId)}`, EMBED_ORIGIN);
+  if (autoplay) url.searchParams.set("autoplay", "1");
+  if (start > 0) url.searchParams.set("start", String(start));
+  url.searchParams.set("rel", "0");
+  if (lang) {
+    url.searchParams.set("hl", lang);
+    url.searchParams.set("cc_lang_pref", lang);
+  }
+  return url.toString();
+}
+
+/**
+ * Link to the video on youtube.com, optionally with captions switched on.
+ * @param {string} youtubeId
+ * @param {{ start?: number, captions?: boolean, lang?: string }} [options]
+ */
+export function watchUrl(youtubeId, { start = 0, captions = false, lang } = {}) {
+  const url = new URL("/watch", WATCH_ORIGIN);
+  url.searchParams.set("v", youtubeId);
+  if (start > 0) url.searchParams.set("t", `${start}s`);
+  if (captions) {
+    url.searchParams.set("cc_load_policy", "1");
+    if (lang) url.searchParams.set("cc_lang_pref", lang);
+  }
+  return url.toString();
+}
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { embedUrl, parseTimestamp, watchUrl } from "./youtube.js";
+
+test("parseTimestamp reads seconds, m:ss and h:mm:ss", () => {
+  assert.equal(parseTimestamp("90"), 90);
+  assert.equal(parseTimestamp("4:05"), 245);
+  assert.equal(parseTimestamp("1:02:03"), 3723);
+  assert.equal(parseTimestamp(0), 0);
+  assert.equal(parseTimestamp(" 0:30 "), 30);
+});
+
+test("parseTimestamp rejects malformed values", () => {
+  assert.ok(Number.isNaN(parseTimestamp("4:5")));
+  assert.ok(Number.isNaN(parseTimestamp("1:60")));
+  assert.ok(Number.isNaN(parseTimestamp("-3")));
+  assert.ok(Number.isNaN(parseTimestamp("")));
+  assert.ok(Number.isNaN(parseTimestamp(undefined)));
+  assert.ok(Number.isNaN(parseTimestamp(1.5)));
+});
+
+test("embedUrl uses the no-cookie player", () => {
+  const url = new URL(embedUrl("t1R0xygjFOQ"));
+  assert.equal(url.origin, "https://www.youtube-nocookie.com");
+  assert.equal(url.pathname, "/embed/t1R0xygjFOQ");
+  assert.equal(url.searchParams.get("autoplay"), "1");
+  assert.equal(url.searchParams.get("start"), null);
+});
+
+test("embedUrl passes start time and caption language", () => {
+  const url = new URL(embedUrl("abc", { start: 245, lang: "es" }));
+  assert.equal(url.searchParams.get("start"), "245");
+  assert.equal(url.searchParams.get("cc_lang_pref"), "es");
+  assert.equal(url.searchParams.get("hl"), "es");
+});
+
+test("watchUrl can switch captions on", () => {
+  const url = new URL(watchUrl("abc", { start: 30, captions: true, lang: "pt" }));
+  assert.equal(url.origin, "https://www.youtube.com");
+  assert.equal(url.searchParams.get("v"), "abc");
+  assert.equal(url.searchParams.get("t"), "30s");
+  assert.equal(url.searchParams.get("cc_load_policy"), "1");
+  assert.equal(url.searchParams.get("cc_lang_pref"), "pt");
+});
@@ -1,7 +1,16 @@
 // src/main.jsx
 import React from 'react'
-import { createRoot } from 'react-dom/client'
+import { createRoot, hydrateRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { restoreRedirect } from './lib/router.js'
+import { initKiosk } from './lib/useKiosk.js'
 import './index.css'
 
-createRoot(document.getElementById('root')).render(<App />)
+const redirected = restoreRedirect()
+initKiosk()
+const container = document.getElementById('root')
+
+// Prerendered pages are hydrated. After a 404 redirect the HTML is the home
+// page's, not the restored URL's, so render from scratch instead.
+if (container.hasChildNodes() && !redirected) hydrateRoot(container, <App />)
+else createRoot(container).render(<App />)
@@ -0,0 +1,51 @@
+import React from "react";
+import Link from "../components/Link.jsx";
+import RichText from "../components/RichText.jsx";
+import ResponsiveImage from "../components/ResponsiveImage.jsx";
+import { useI18n } from "../i18n/context.js";
+
+/* ---------- Single diagram, deep-linkable at /diagrams/:id ---------- */
+export default function DiagramPage({ diagram, items, onOpen }) {
+  const { t } = useI18n();
+  const index = items.findIndex((d) => d.id === diagram.id);
+  const prev = items[index - 1];
+  const next = items[index + 1];
+
+  return (
+    <article className="mx-auto max-w-7xl px-6 py-20">
+      <Link to="/#diagrams" className="text-sm text-ink-muted hover:text-accent">
+        {t("pages.allDiagrams")}
+      </Link>
+      <h1 className="mt-6 text-4xl md:text-5xl font-bold">{diagram.title}</h1>
+      <p className="mt-6 text-lg text-ink-muted max-w-3xl">
+        <RichText text={diagram.body} />
+      </p>
+      <button type="button" onClick={() => onOpen(diagram.id)} className="mt-10 block w-full cursor-zoom-in">
+        <ResponsiveImage
+          file={diagram.image}
+          alt={diagram.alt}
+          sizes="(min-width: 1280px) 1232px, 100vw"
+          loading="eager"
+          className="rounded-panel border border-line-subtle w-full"
+        />
+      </button>
+      <div className="mt-6 flex flex-wrap items-center justify-between gap-4 text-sm">
+        <button type="button" onClick={() => onOpen(diagram.id)} className="inline-block px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover">
+          {t("pages.openFullSize")}
+        </button>
+        <nav aria-label={t("pages.otherDiagrams")} className="flex gap-6">
+          {prev && (
+            <Link to={`/diagrams/${prev.id}`} className="hover:text-accent">
+              ← {prev.title}
+            </Link>
+          )}
+          {next && (
+            <Link to={`/diagrams/${next.id}`} className="hover:text-accent">
+              {next.title} →
+            </Link>
+          )}
+        </nav>
+      </div>
+    </article>
+  );
+}
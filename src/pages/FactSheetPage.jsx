@@ -0,0 +1,154 @@
+import React from "react";
+import Link from "../components/Link.jsx";
+import QrCode from "../components/QrCode.jsx";
+import ResponsiveImage from "../components/ResponsiveImage.jsx";
+import { useI18n } from "../i18n/context.js";
+import { factSheet, factSheetFile } from "../lib/factSheet.js";
+import { withBase } from "../lib/router.js";
+
+function Heading({ children }) {
+  return <h2 className="text-sm font-semibold uppercase tracking-wider text-ink-muted">{children}</h2>;
+}
+
+function Figure({ item, sizes }) {
+  return (
+    <figure className="break-inside-avoid">
+      <ResponsiveImage file={item.image} alt={item.alt} sizes={sizes} className="w-full rounded-card border border-line-subtle" />
+      <figcaption className="mt-3">
+        <h3 className="font-semibold">{item.title}</h3>
+        <p className="mt-1 text-sm text-ink-muted">{item.body}</p>
+      </figcaption>
+    </figure>
+  );
+}
+
+/* ---------- Fact sheet: two printed pages, same outline as the PDF ---------- */
+export default function FactSheetPage() {
+  const { t, content, locale } = useI18n();
+  const sheet = factSheet(content);
+
+  return (
+    <article className="mx-auto max-w-5xl px-6 py-16 print:max-w-none print:p-0">
+      <div className="flex flex-wrap items-center justify-between gap-4 print:hidden">
+        <Link to="/" className="text-sm text-ink-muted hover:text-accent">
+          {t("pages.back")}
+        </Link>
+        <div className="flex flex-wrap gap-3">
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="px-4 py-2 rounded-control border border-line font-semibold hover:bg-panel"
+          >
+            {t("factSheet.print")}
+          </button>
+          <a
+            href={withBase(`/${factSheetFile(locale)}`)}
+            download
+            className="px-4 py-2 rounded-control bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+          >
+            {t("factSheet.download")}
+          </a>
+        </div>
+      </div>
+
+      <header className="mt-10 border-b border-line pb-6 print:mt-0">
+        <p className="text-sm font-semibold uppercase tracking-wider text-accent">N2bio · {t("factSheet.kicker")}</p>
+        <h1 className="mt-2 text-4xl md:text-5xl font-bold">{sheet.title}</h1>
+        <p className="mt-4 text-lg text-ink-muted">{sheet.intro}</p>
+      </header>
+
+      <section className="mt-8 break-inside-avoid">
+        <Heading>{t("factSheet.problem")}</Heading>
+        <div className="mt-4 grid md:grid-cols-2 print:grid-cols-2 gap-6 items-start">
+          <ResponsiveImage
+            file={sheet.problem.image}
+            alt={sheet.problem.alt}
+            sizes="(min-width: 768px) 480px, 100vw"
+            className="w-full rounded-card border border-line-subtle"
+          />
+          <div>
+            <h3 className="font-semibold">{sheet.problem.title}</h3>
+            <p className="mt-2 text-sm text-ink-muted">{sheet.problem.body}</p>
+          </div>
+        </div>
+      </section>
+
+      <section className="mt-8">
+        <Heading>{t("factSheet.solution")}</Heading>
+        <div className="mt-4 grid md:grid-cols-2 print:grid-cols-2 gap-6">
+          {sheet.solutions.map((s) => (
+            <Figure key={s.title} item={s} sizes="(min-width: 768px) 480px, 100vw" />
+          ))}
+        </div>
+      </section>
+
+      <section className="mt-10 break-inside-avoid print:break-before-page print:mt-0">
+        <Heading>{t("factSheet.how")}</Heading>
+        <ol className="mt-4 grid md:grid-cols-2 print:grid-cols-2 gap-4 text-sm">
+          {sheet.steps.map((s, i) => (
+            <li key={s.id} className="rounded-card border border-line-subtle p-4">
+              <span className="font-semibold">
+                {i + 1}. {s.label}
+              </span>
+              <p className="mt-1 text-ink-muted">{s.text}</p>
+            </li>
+          ))}
+        </ol>
+      </section>
+
+      <section className="mt-8 break-inside-avoid">
+        <Heading>{t("factSheet.benefits")}</Heading>
+        <ul className="mt-4 grid md:grid-cols-2 print:grid-cols-2 gap-4 text-sm">
+          {sheet.benefits.map((b) => (
+            <li key={b.title}>
+              <span className="font-semibold">{b.title}</span>
+              <p className="mt-1 text-ink-muted">{b.body}</p>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="mt-8 break-inside-avoid">
+        <Heading>{t("factSheet.links")}</Heading>
+        <ul className="mt-4 grid sm:grid-cols-3 print:grid-cols-3 gap-6 text-sm">
+          {sheet.links.map((l) => (
+            <li key={l.id} className="flex gap-3 items-start">
+              <QrCode url={l.url} label={t("factSheet.scan", { title: l.title })} className="w-24 h-24 shrink-0" />
+              <div className="min-w-0">
+                <p className="font-semibold">{l.title}</p>
+                <a href={l.url} className="mt-1 block break-all text-xs text-ink-muted underline hover:text-accent">
+                  {l.url}
+                </a>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="mt-8 border-t border-line pt-6 break-inside-avoid">
+        <Heading>{t("factSheet.contact")}</Heading>
+        <dl className="mt-3 grid sm:grid-cols-2 print:grid-cols-2 gap-x-8 gap-y-1 text-sm">
+          <div>
+            <dt className="sr-only">{t("footer.address")}</dt>
+            <dd className="font-semibold">{sheet.contact.name}</dd>
+            <dd className="text-ink-muted">{sheet.contact.address}</dd>
+          </div>
+          <div>
+            <dt className="sr-only">{t("footer.contact")}</dt>
+            <dd>{sheet.contact.phone}</dd>
+            <dd>
+              <a href={`mailto:${sheet.contact.email}`} className="underline hover:text-accent">
+                {sheet.contact.email}
+              </a>
+            </dd>
+            <dd>
+              <a href={sheet.contact.url} className="underline hover:text-accent">
+                {sheet.contact.url.replace(/^https?:\/\/(www\.)?|\/$/g, "")}
+              </a>
+            </dd>
+          </div>
+        </dl>
+      </section>
+    </article>
+  );
+}
@@ -0,0 +1,28 @@
+import React from "react";
+import Link from "../components/Link.jsx";
+import RichText from "../components/RichText.jsx";
+import { useI18n } from "../i18n/context.js";
+
+/* ---------- Privacy / Terms ---------- */
+export default function LegalPage({ page }) {
+  const { t } = useI18n();
+  return (
+    <article className="mx-auto max-w-3xl px-6 py-20">
+      <Link to="/" className="text-sm text-ink-muted hover:text-accent">
+        {t("pages.back")}
+      </Link>
+      <h1 className="mt-6 text-4xl md:text-5xl font-bold">{page.title}</h1>
+      <p className="mt-2 text-sm text-ink-muted">{t("pages.lastUpdated", { date: page.updated })}</p>
+      <div className="mt-10 space-y-8">
+        {page.sections.map((section) => (
+          <section key={section.heading}>
+            <h2 className="text-2xl font-semibold">{section.heading}</h2>
+            <p className="mt-3 text-ink-muted">
+              <RichText text={section.body} />
+            </p>
+          </section>
+        ))}
+      </div>
+    </article>
+  );
+}
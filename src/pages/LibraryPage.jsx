@@ -0,0 +1,91 @@
+import React from "react";
+import Link from "../components/Link.jsx";
+import MediaCard from "../components/MediaCard.jsx";
+import { FIELD, Select } from "../components/CalculatorParts.jsx";
+import { useI18n } from "../i18n/context.js";
+import { facets, filterItems, sortItems } from "../lib/library.js";
+import { setSearchParam } from "../lib/router.js";
+import useSearchParam from "../lib/useSearchParam.js";
+
+// Filters live in the query string (?type=paper&topic=plasma&year=2025&q=…),
+// so a filtered view can be bookmarked or shared. Typing replaces the entry
+// rather than adding one per keystroke.
+function useFilter(name) {
+  const value = useSearchParam(name) ?? "";
+  const set = (next) => setSearchParam(name, next || null, { replace: true });
+  return [value, set];
+}
+
+/* ---------- Publications + media library ---------- */
+export default function LibraryPage() {
+  const { t, content } = useI18n();
+  const items = sortItems(content.media.items);
+  const available = facets(items);
+  const [type, setType] = useFilter("type");
+  const [topic, setTopic] = useFilter("topic");
+  const [year, setYear] = useFilter("year");
+  const [query, setQuery] = useFilter("q");
+  const shown = filterItems(items, { type, topic, year, query });
+  const filtered = Boolean(type || topic || year || query);
+
+  const clear = () => {
+    for (const name of ["type", "topic", "year", "q"]) setSearchParam(name, null, { replace: true });
+  };
+
+  return (
+    <section className="mx-auto max-w-7xl px-6 py-20">
+      <Link to="/" className="text-sm text-ink-muted hover:text-accent">
+        {t("pages.back")}
+      </Link>
+      <h1 className="mt-6 text-4xl md:text-5xl font-bold">{t("library.title")}</h1>
+      <p className="mt-6 max-w-3xl text-lg text-ink-muted">{t("library.intro")}</p>
+
+      <form role="search" onSubmit={(e) => e.preventDefault()} className="mt-10 grid gap-4 md:grid-cols-4">
+        <label htmlFor="library-q" className="block text-sm">
+          <span className="font-medium">{t("library.search")}</span>
+          <input id="library-q" type="search" value={query} onChange={(e) => setQuery(e.target.value)} className={FIELD} />
+        </label>
+        <Select
+          id="library-type"
+          label={t("library.type")}
+          value={type}
+          onChange={setType}
+          options={[["", t("library.all")], ...available.types.map((v) => [v, t(`library.types.${v}`)])]}
+        />
+        <Select
+          id="library-topic"
+          label={t("library.topic")}
+          value={topic}
+          onChange={setTopic}
+          options={[["", t("library.all")], ...available.topics.map((v) => [v, t(`library.topics.${v}`)])]}
+        />
+        <Select
+          id="library-year"
+          label={t("library.year")}
+          value={year}
+          onChange={setYear}
+          options={[["", t("library.all")], ...available.years.map((v) => [String(v), String(v)])]}
+        />
+      </form>
+
+      <div className="mt-6 flex flex-wrap items-center gap-4 text-sm">
+        <p role="status">{t("library.results", { count: shown.length })}</p>
+        {filtered && (
+          <button type="button" onClick={clear} className="underline hover:text-accent">
+            {t("library.clear")}
+          </button>
+        )}
+      </div>
+
+      {shown.length > 0 ? (
+        <div className="mt-8 grid md:grid-cols-3 gap-8">
+          {shown.map((item) => (
+            <MediaCard key={item.id} item={item} showTags />
+          ))}
+        </div>
+      ) : (
+        <p className="mt-8 text-ink-muted">{t("library.empty")}</p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,23 @@
+import React from "react";
+import Link from "../components/Link.jsx";
+import { useI18n } from "../i18n/context.js";
+
+/* ---------- 404 ---------- */
+export default function NotFound({ path }) {
+  const { t } = useI18n();
+  return (
+    <section className="mx-auto max-w-3xl px-6 py-28 text-center">
+      <p className="text-sm uppercase tracking-widest text-ink-muted">404</p>
+      <h1 className="mt-4 text-4xl md:text-5xl font-bold">{t("pages.notFoundTitle")}</h1>
+      <p className="mt-6 text-lg text-ink-muted">
+        {t("pages.notFoundBody")} <code className="break-all">{path}</code>
+      </p>
+      <Link
+        to="/"
+        className="inline-block mt-10 px-5 py-3 rounded-card bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+      >
+        {t("pages.notFoundHome")}
+      </Link>
+    </section>
+  );
+}
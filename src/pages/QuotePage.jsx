@@ -0,0 +1,278 @@
+import React, { useEffect, useRef, useState } from "react";
+import Link from "../components/Link.jsx";
+import { FIELD } from "../components/CalculatorParts.jsx";
+import { useI18n } from "../i18n/context.js";
+import { FARM_TYPES, PRODUCTS, PRODUCT_NAMES, REQUESTS, buildPayload, emptyQuote, looksLikeSpam, validateQuote } from "../lib/quote.js";
+import { quoteAdapter } from "../lib/quoteAdapters.js";
+import { quoteOutbox, sendOrQueue } from "../lib/outbox.js";
+import useSearchParam from "../lib/useSearchParam.js";
+
+function newId() {
+  return window.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function Input({ id, label, hint, error, multiline = false, ...props }) {
+  const Tag = multiline ? "textarea" : "input";
+  const describedBy = [hint && `${id}-hint`, error && `${id}-error`].filter(Boolean).join(" ") || undefined;
+  return (
+    <label htmlFor={id} className="block text-sm">
+      <span className="font-medium">{label}</span>
+      <Tag id={id} name={id} aria-invalid={!!error} aria-describedby={describedBy} className={FIELD} {...props} />
+      {hint && (
+        <span id={`${id}-hint`} className="mt-1 block text-xs text-ink-muted">
+          {hint}
+        </span>
+      )}
+      {error && (
+        <span id={`${id}-error`} className="mt-1 block text-xs font-semibold text-alert">
+          {error}
+        </span>
+      )}
+    </label>
+  );
+}
+
+/* ---------- Quote / white-paper request ---------- */
+// `outboxStatus` is "failed" when re-sending queued requests broke (App.jsx).
+export default function QuotePage({ outboxStatus }) {
+  const { t, locale } = useI18n();
+  // Links into the form say where the visitor came from and what they were looking at.
+  const source = useSearchParam("from");
+  const product = useSearchParam("product");
+  const request = useSearchParam("request");
+  const [values, setValues] = useState(() => emptyQuote());
+  const [errors, setErrors] = useState({});
+  // idle | sending | sent | queued | handoff | failed
+  const [status, setStatus] = useState("idle");
+  const startedAt = useRef(Date.now());
+  const formRef = useRef(null);
+
+  // Applied after mount: the prerendered form has no query string to go on.
+  useEffect(() => {
+    const prefill = emptyQuote({ product: product ?? undefined, request: request ?? undefined });
+    setValues((v) => ({ ...v, product: prefill.product, request: prefill.request }));
+  }, [product, request]);
+
+  const set = (field) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setValues((v) => ({ ...v, [field]: value }));
+    if (errors[field]) {
+      setErrors((prev) => {
+        const next = { ...prev };
+        delete next[field];
+        return next;
+      });
+    }
+  };
+  const err = (field) => errors[field] && t(errors[field]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (status === "sending") return;
+    const found = validateQuote(values);
+    setErrors(found);
+    const first = Object.keys(found)[0];
+    if (first) {
+      formRef.current.querySelector(`[name="${first}"]`)?.focus();
+      return;
+    }
+    // Bots get the same "thanks" as people; nothing is sent.
+    if (looksLikeSpam(values, startedAt.current)) {
+      setStatus("sent");
+      return;
+    }
+    setStatus("sending");
+    const payload = buildPayload(values, { locale, source, id: newId() });
+    try {
+      setStatus(await sendOrQueue(payload, { adapter: quoteAdapter, outbox: quoteOutbox, online: navigator.onLine }));
+    } catch {
+      setStatus("failed");
+    }
+  };
+
+  const reset = () => {
+    setValues((v) => emptyQuote({ product: v.product, request: v.request }));
+    setErrors({});
+    setStatus("idle");
+    startedAt.current = Date.now();
+  };
+
+  if (status === "sent" || status === "queued" || status === "handoff") {
+    return (
+      <section className="mx-auto max-w-3xl px-6 py-28 text-center">
+        <h1 className="text-4xl font-bold">{t("quote.title")}</h1>
+        <p role="status" className="mt-6 text-lg text-ink-muted">
+          {t(`quote.${status}`)}
+        </p>
+        <div className="mt-10 flex flex-wrap justify-center gap-4">
+          <button
+            type="button"
+            onClick={reset}
+            className="px-5 py-3 rounded-card bg-inverse text-on-inverse font-semibold hover:bg-inverse-hover"
+          >
+            {t("quote.again")}
+          </button>
+          <Link to="/" className="px-5 py-3 rounded-card border border-line font-semibold hover:bg-panel">
+            {t("pages.back")}
+          </Link>
+        </div>
+      </section>
+    );
+  }
+
+  const hasErrors = Object.keys(errors).length > 0;
+
+  return (
+    <section className="mx-auto max-w-3xl px-6 py-20">
+      <Link to="/" className="text-sm text-ink-muted hover:text-accent">
+        {t("pages.back")}
+      </Link>
+      <h1 className="mt-6 text-4xl md:text-5xl font-bold">{t("quote.title")}</h1>
+      <p className="mt-6 text-lg text-ink-muted">{t("quote.intro")}</p>
+
+      <form ref={formRef} noValidate onSubmit={onSubmit} className="mt-10 space-y-10">
+        <fieldset className="space-y-5">
+          <legend className="text-xl font-semibold">{t("quote.request")}</legend>
+          <div className="flex flex-wrap gap-6 text-sm">
+            {REQUESTS.map((r) => (
+              <label key={r} className="inline-flex items-center gap-2">
+                <input type="radio" name="request" value={r} checked={values.request === r} onChange={set("request")} />
+                {t(`quote.requests.${r}`)}
+              </label>
+            ))}
+          </div>
+          <label htmlFor="product" className="block text-sm">
+            <span className="font-medium">{t("quote.product")}</span>
+            <select id="product" name="product" value={values.product} onChange={set("product")} className={FIELD}>
+              {PRODUCTS.map((p) => (
+                <option key={p} value={p}>
+                  {PRODUCT_NAMES[p] ?? t("quote.notSure")}
+                </option>
+              ))}
+            </select>
+          </label>
+        </fieldset>
+
+        <fieldset className="space-y-5">
+          <legend className="text-xl font-semibold">{t("quote.farm")}</legend>
+          <label htmlFor="farmType" className="block text-sm">
+            <span className="font-medium">{t("quote.farmType")}</span>
+            <select
+              id="farmType"
+              name="farmType"
+              value={values.farmType}
+              onChange={set("farmType")}
+              aria-invalid={!!errors.farmType}
+              aria-describedby={errors.farmType ? "farmType-error" : undefined}
+              className={FIELD}
+            >
+              <option value="">
+                {t("quote.choose")}
+              </option>
+              {FARM_TYPES.map((f) => (
+                <option key={f} value={f}>
+                  {t(`quote.farmTypes.${f}`)}
+                </option>
+              ))}
+            </select>
+            {errors.farmType && (
+              <span id="farmType-error" className="mt-1 block text-xs font-semibold text-alert">
+                {err("farmType")}
+              </span>
+            )}
+          </label>
+          <Input
+            id="herdSize"
+            label={t("quote.herdSize")}
+            hint={t("quote.herdHint")}
+            error={err("herdSize")}
+            inputMode="numeric"
+            value={values.herdSize}
+            onChange={set("herdSize")}
+          />
+          <Input id="region" label={t("quote.region")} autoComplete="country-name" value={values.region} onChange={set("region")} />
+        </fieldset>
+
+        <fieldset className="space-y-5">
+          <legend className="text-xl font-semibold">{t("quote.contact")}</legend>
+          <Input id="name" label={t("quote.name")} error={err("name")} autoComplete="name" value={values.name} onChange={set("name")} />
+          <Input
+            id="email"
+            type="email"
+            label={t("quote.email")}
+            error={err("email")}
+            autoComplete="email"
+            value={values.email}
+            onChange={set("email")}
+          />
+          <Input
+            id="phone"
+            type="tel"
+            label={t("quote.phone")}
+            error={err("phone")}
+            autoComplete="tel"
+            value={values.phone}
+            onChange={set("phone")}
+          />
+          <Input
+            id="organization"
+            label={t("quote.organization")}
+            autoComplete="organization"
+            value={values.organization}
+            onChange={set("organization")}
+          />
+          <Input
+            id="message"
+            multiline
+            rows={4}
+            label={t("quote.message")}
+            error={err("message")}
+            value={values.message}
+            onChange={set("message")}
+          />
+          {/* Honeypot: off-screen and skipped by keyboard and screen readers. */}
+          <div aria-hidden="true" className="absolute -left-[9999px] h-px w-px overflow-hidden">
+            <label htmlFor="website">Website</label>
+            <input id="website" name="website" tabIndex={-1} autoComplete="off" value={values.website} onChange={set("website")} />
+          </div>
+          <label htmlFor="consent" className="flex items-start gap-3 text-sm">
+            <input
+              id="consent"
+              name="consent"
+              type="checkbox"
+              checked={values.consent}
+              onChange={set("consent")}
+              aria-invalid={!!errors.consent}
+              aria-describedby={errors.consent ? "consent-error" : undefined}
+              className="mt-1"
+            />
+            <span>
+              {t("quote.consent")}{" "}
+              <Link to="/privacy" className="underline hover:text-accent">
+                {t("footer.privacy")}
+              </Link>
+              {errors.consent && (
+                <span id="consent-error" className="mt-1 block text-xs font-semibold text-alert">
+                  {err("consent")}
+                </span>
+              )}
+            </span>
+          </label>
+        </fieldset>
+
+        <div className="flex flex-wrap items-center gap-4">
+          <button
+            type="submit"
+            disabled={status === "sending"}
+            className="px-5 py-3 rounded-card bg-gradient-to-r from-cta-from to-cta-to text-on-cta font-semibold shadow hover:opacity-95 disabled:opacity-60"
+          >
+            {status === "sending" ? t("quote.sending") : t("quote.submit")}
+          </button>
+          <p role="alert" className="text-sm font-semibold text-alert">
+            {status === "failed" || outboxStatus === "failed" ? t("quote.failed") : hasErrors ? t("quote.errors.summary") : ""}
+          </p>
+        </div>
+      </form>
+    </section>
+  );
+}
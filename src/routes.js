@@ -0,0 +1,16 @@
+// App routes (without base or locale prefix). Shared by App, the SEO
+// helpers and the prerender step.
+export const ROUTES = [
+  { path: "/", name: "home" },
+  { path: "/privacy", name: "privacy" },
+  { path: "/terms", name: "terms" },
+  { path: "/diagrams/:id", name: "diagram" },
+  { path: "/quote", name: "quote" },
+  { path: "/library", name: "library" },
+  { path: "/fact-sheet", name: "fact-sheet" },
+];
+
+// Every concrete page, for prerendering and the sitemap.
+export function staticPaths(content) {
+  return ["/", "/privacy", "/terms", "/quote", "/library", "/fact-sheet", ...content.diagrams.items.map((d) => `/diagrams/${d.id}`)];
+}
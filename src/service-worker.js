@@ -0,0 +1,82 @@
+// Offline support for kiosk mode (registered by src/lib/serviceWorker.js).
+// Not bundled by Vite: scripts/build-service-worker.js copies this file to
+// dist/sw.js with the precache manifest (src/lib/precache.js) filled in.
+// Everything is served cache-first; a new deploy changes the manifest
+// version, which installs a fresh cache and drops the old one.
+
+const MANIFEST = self.__PRECACHE_MANIFEST;
+const PREFIX = "n2bio-";
+const CACHE = PREFIX + MANIFEST.version;
+// The 404 page hands unknown paths to the app (see vite.config.js).
+const FALLBACK = MANIFEST.base + "404.html";
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(MANIFEST.urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Same-origin path for a request we cache, or null. The CDN (ASSET_ORIGIN)
+// mirrors dist/, so its files are cached under their same-origin path.
+function localPath(url) {
+  if (url.origin === self.location.origin) return url.pathname;
+  const { assetOrigin } = MANIFEST;
+  if (assetOrigin && url.href.startsWith(assetOrigin + "/")) return url.href.slice(assetOrigin.length).split(/[?#]/)[0];
+  return null;
+}
+
+// <video> asks for byte ranges; the Cache API only stores whole responses.
+async function partial(request, response) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get("range") || "");
+  if (!match) return response;
+  const body = await response.blob();
+  const start = match[1] ? Number(match[1]) : Math.max(0, body.size - Number(match[2]));
+  const end = match[1] && match[2] ? Math.min(Number(match[2]), body.size - 1) : body.size - 1;
+  if (start > end) return new Response(null, { status: 416, headers: { "Content-Range": `bytes */${body.size}` } });
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      "Content-Type": response.headers.get("Content-Type") || "application/octet-stream",
+      "Content-Length": String(end - start + 1),
+      "Content-Range": `bytes ${start}-${end}/${body.size}`,
+    },
+  });
+}
+
+async function page(request, path) {
+  const cache = await caches.open(CACHE);
+  const hit = await cache.match(path.endsWith("/") ? path : path + "/");
+  if (hit) return hit;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const fallback = await cache.match(FALLBACK);
+    if (fallback) return fallback;
+    throw err;
+  }
+}
+
+async function asset(request, path) {
+  const hit = await caches.match(path, { cacheName: CACHE });
+  return hit ? partial(request, hit) : fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const path = localPath(new URL(request.url));
+  if (path === null) return;
+  event.respondWith(request.mode === "navigate" ? page(request, path) : asset(request, path));
+});
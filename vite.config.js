@@ -1,9 +1,114 @@
 // vite.config.js
+import { execSync } from 'node:child_process'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { normalizeOrigin, resolveDeployBase, resolveSiteOrigin } from './src/lib/deploy.js'
 
-export default defineConfig({
-  base: '/N2bio/',      // ⬅️ IMPORTANT: repo name
+// Where the build is served from (see src/lib/deploy.js):
+//   BASE_PATH=/          custom domain at the root
+//   PR_NUMBER=42         preview under /N2bio/pr-42/
+//   ASSET_ORIGIN=https://cdn.example.com   images, JS and CSS from a CDN
+// With none set, the GitHub Pages project path /N2bio/ is used.
+// SITE_ORIGIN=https://<org>.github.io makes canonical URLs, social cards and
+// the sitemap absolute (prerendered by scripts/prerender.js).
+// The quote form posts to QUOTE_ENDPOINT, or falls back to a mailto: link
+// (QUOTE_MAILTO, default in src/lib/quoteAdapters.js).
+// ANALYTICS=console,local,endpoint picks where consented engagement events go
+// (src/lib/analyticsSinks.js); "endpoint" posts to ANALYTICS_ENDPOINT.
+// The commit and build time show in the debug overlay (?debug); CI passes
+// GITHUB_SHA, local builds ask git. The embeddable build (mode "embed", below)
+// links back to SITE_ORIGIN + base and loads images from there too, or from
+// ASSET_ORIGIN when set.
+const base = resolveDeployBase({ basePath: process.env.BASE_PATH, prNumber: process.env.PR_NUMBER })
+const assetOrigin = normalizeOrigin(process.env.ASSET_ORIGIN)
+
+function gitCommit() {
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA.slice(0, 7)
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim()
+  } catch {
+    return ''
+  }
+}
+
+// GitHub Pages serves 404.html for any unknown path. Ours remembers the
+// requested URL and bounces to the app, which restores it (restoreRedirect
+// in src/lib/router.js) so deep links like /N2bio/privacy keep working.
+function spaFallback() {
+  let base = '/'
+  let ssr = false
+  return {
+    name: 'n2bio-spa-fallback',
+    apply: 'build',
+    configResolved(config) {
+      base = config.base
+      ssr = !!config.build.ssr
+    },
+    generateBundle() {
+      if (ssr) return
+      this.emitFile({
+        type: 'asset',
+        fileName: '404.html',
+        source: `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>N2bio</title>
+    <script>
+      try {
+        sessionStorage.setItem('n2bio:redirect', location.pathname + location.search + location.hash)
+      } catch (e) {}
+      location.replace(${JSON.stringify(base)})
+    </script>
+  </head>
+  <body>Redirecting…</body>
+</html>
+`,
+      })
+    },
+  }
+}
+
+const define = {
+  'import.meta.env.VITE_ASSET_ORIGIN': JSON.stringify(assetOrigin),
+  'import.meta.env.VITE_QUOTE_ENDPOINT': JSON.stringify(process.env.QUOTE_ENDPOINT || ''),
+  'import.meta.env.VITE_QUOTE_MAILTO': JSON.stringify(process.env.QUOTE_MAILTO || ''),
+  'import.meta.env.VITE_ANALYTICS': JSON.stringify(process.env.ANALYTICS || ''),
+  'import.meta.env.VITE_ANALYTICS_ENDPOINT': JSON.stringify(process.env.ANALYTICS_ENDPOINT || ''),
+  'import.meta.env.VITE_SITE_ORIGIN': JSON.stringify(resolveSiteOrigin(process.env.SITE_ORIGIN)),
+  'import.meta.env.VITE_BUILD_COMMIT': JSON.stringify(gitCommit()),
+  'import.meta.env.VITE_BUILD_TIME': JSON.stringify(new Date().toISOString()),
+}
+
+// `vite build --mode embed`: the <n2bio-overview> custom element
+// (src/entry-embed.js) as one self-contained script next to the site,
+// dist/embed/n2bio-overview.js, for other sites to load with a script tag.
+// IIFE rather than ES: browsers run it, bundlers never see it, and Vite only
+// strips whitespace from non-ES library output.
+const embed = {
+  base,
   plugins: [react()],
-  build: { outDir: 'dist' }
+  define: {
+    ...define,
+    // Library builds leave process.env alone; React reads it, browsers lack it.
+    'process.env.NODE_ENV': JSON.stringify('production'),
+  },
+  build: {
+    outDir: 'dist/embed',
+    copyPublicDir: false,
+    lib: { entry: 'src/entry-embed.js', name: 'N2bioOverview', formats: ['iife'], fileName: () => 'n2bio-overview.js' },
+  },
+}
+
+export default defineConfig(({ mode }) => mode === 'embed' ? embed : {
+  base,
+  plugins: [react(), spaFallback()],
+  define,
+  build: { outDir: 'dist' },
+  experimental: {
+    // Bundled JS/CSS follow public assets onto the CDN; pages stay on `base`.
+    renderBuiltUrl(filename) {
+      if (assetOrigin) return `${assetOrigin}${base}${filename}`
+    },
+  },
 })